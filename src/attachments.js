@@ -0,0 +1,117 @@
+/**
+ * Slack File Attachments
+ *
+ * Files posted with a [Create] message (event.files, subtype "file_share")
+ * are downloaded from Slack (needs the files:read scope) and uploaded to
+ * Codecks as attachments of the created cards.
+ *
+ * Limits (config.json → attachments):
+ *   enabled        — false turns file transfer off
+ *   maxFiles       — files per message, the rest is skipped
+ *   maxFileSizeMb  — bigger files are skipped
+ *   allowedTypes   — MIME types, "image/*" style wildcards allowed
+ *
+ * Every file that doesn't make it is reported as { name, reason }.
+ */
+
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    maxFiles: 10,
+    maxFileSizeMb: 20,
+    allowedTypes: ['image/*', 'video/*', 'audio/*', 'text/*', 'application/pdf', 'application/zip', 'application/json']
+};
+
+function typeAllowed(mimetype, allowedTypes) {
+    const type = (mimetype || '').toLowerCase();
+    return allowedTypes.some(pattern => {
+        const p = pattern.toLowerCase();
+        return p.endsWith('/*') ? type.startsWith(p.slice(0, -1)) : type === p;
+    });
+}
+
+/**
+ * Splits Slack files into the ones to transfer and the skipped ones
+ * @param {Array} files - event.files
+ * @param {object} options - DEFAULT_OPTIONS overrides (config.attachments)
+ * @returns {{ accepted: Array, rejected: Array<{ name, reason }> }}
+ */
+function selectFiles(files, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const accepted = [];
+    const rejected = [];
+
+    if (!opts.enabled) return { accepted, rejected };
+
+    for (const file of files || []) {
+        const name = file.name || file.title || file.id;
+        const sizeMb = (file.size || 0) / (1024 * 1024);
+
+        if (file.mode === 'tombstone' || file.mode === 'external' || !file.url_private_download) {
+            rejected.push({ name, reason: 'not downloadable from Slack' });
+        } else if (!typeAllowed(file.mimetype, opts.allowedTypes)) {
+            rejected.push({ name, reason: `file type ${file.mimetype || 'unknown'} not allowed` });
+        } else if (sizeMb > opts.maxFileSizeMb) {
+            rejected.push({ name, reason: `${sizeMb.toFixed(1)} MB is over the ${opts.maxFileSizeMb} MB limit` });
+        } else if (accepted.length >= opts.maxFiles) {
+            rejected.push({ name, reason: `only ${opts.maxFiles} file(s) per message` });
+        } else {
+            accepted.push(file);
+        }
+    }
+
+    return { accepted, rejected };
+}
+
+/**
+ * Downloads a Slack file with the bot token
+ */
+async function downloadSlackFile(file, token, timeoutMs = 30000) {
+    const response = await fetch(file.url_private_download, {
+        headers: { Authorization: `Bearer ${token}` },
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Slack download failed (${response.status})`);
+    }
+
+    // Without files:read Slack answers with its HTML login page
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.startsWith('text/html') && !(file.mimetype || '').startsWith('text/html')) {
+        throw new Error('Slack returned a login page — is the files:read scope missing?');
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Downloads the accepted files and uploads them to Codecks
+ * @param {Array} files - event.files
+ * @param {object} deps - { download(file) → Buffer, upload(buffer, { fileName, contentType }) → attachment, options }
+ * @returns {{ attachments: Array, failed: Array<{ name, reason }> }}
+ */
+async function transferFiles(files, { download, upload, options = {} }) {
+    const { accepted, rejected } = selectFiles(files, options);
+    const attachments = [];
+    const failed = [...rejected];
+
+    for (const file of accepted) {
+        const name = file.name || file.title || file.id;
+        try {
+            const buffer = await download(file);
+            attachments.push(await upload(buffer, { fileName: name, contentType: file.mimetype || 'application/octet-stream' }));
+            console.log(`[Files] Uploaded "${name}" (${buffer.length} bytes)`);
+        } catch (error) {
+            failed.push({ name, reason: error.message });
+            console.error(`[Files] Failed "${name}":`, error.message);
+        }
+    }
+
+    for (const entry of rejected) {
+        console.warn(`[Files] Skipped "${entry.name}": ${entry.reason}`);
+    }
+
+    return { attachments, failed };
+}
+
+module.exports = { selectFiles, downloadSlackFile, transferFiles };
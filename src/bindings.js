@@ -0,0 +1,54 @@
+/**
+ * Channel Bindings
+ *
+ * Per-channel default deck set with "!bind Space/Deck":
+ *   channel id → { deckId, deckPath, spaceId, spaceName, boundBy, boundAt }
+ *
+ * Used before the global defaultDeckId / defaultDeckName, and the bound
+ * space is tried first for bare [Deck: Name] in that channel.
+ * Stored in the "bindings" namespace of the bot store (src/store.js).
+ */
+
+const { MemoryStore } = require('./store');
+
+const NAMESPACE = 'bindings';
+
+class ChannelBindingStore {
+    constructor(store = new MemoryStore()) {
+        this.store = store;
+    }
+
+    get(channel) {
+        return this.store.get(NAMESPACE, channel);
+    }
+
+    /**
+     * Binds a channel to a deck (replaces the previous binding)
+     */
+    bind(channel, binding) {
+        const record = {
+            deckId: binding.deckId,
+            deckPath: binding.deckPath,
+            spaceId: binding.spaceId || null,
+            spaceName: binding.spaceName || null,
+            boundBy: binding.boundBy || null,
+            boundAt: new Date().toISOString()
+        };
+        this.store.set(NAMESPACE, channel, record);
+        return record;
+    }
+
+    unbind(channel) {
+        return this.store.delete(NAMESPACE, channel);
+    }
+
+    channels() {
+        return this.store.entries(NAMESPACE).map(([channel]) => channel);
+    }
+
+    get size() {
+        return this.channels().length;
+    }
+}
+
+module.exports = { ChannelBindingStore };
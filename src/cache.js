@@ -11,10 +11,101 @@
  * - Key = shortcut used in Slack
  * - Value = full name in Codecks
  * - Empty mapping {} = searches by name directly
+ * 
+ * Refreshing:
+ * - new data is loaded into fresh maps and swapped in at the end,
+ *   so lookups keep working (on the old data) while a refresh runs
+ * - after `ttlMinutes` the cache refreshes in the background
+ * - resolveFresh() refreshes once on a miss (shared by concurrent callers,
+ *   at most once per `missRefreshCooldownSeconds`) and retries
+ * 
+ * Deck names can repeat across spaces: a bare name that matches more than
+ * one deck resolves to { ambiguous: true, candidates } instead of an id.
+ * 
+ * With a store attached (attachStore) every load is saved as a snapshot,
+ * and a restart serves the snapshot (stale) until the first refresh.
+ * 
+ * Fuzzy matching (spaces, decks, users): scored by edit distance and tokens,
+ * accepted above `fuzzyThreshold`; two names scoring within `fuzzyTieMargin`
+ * of each other count as a tie → no match, suggest() lists them instead.
+ */
+
+const DEFAULT_OPTIONS = {
+    ttlMinutes: 30,
+    missRefreshCooldownSeconds: 60,
+    fuzzyThreshold: 0.7,
+    fuzzyTieMargin: 0.03,
+    suggestionThreshold: 0.4
+};
+
+/**
+ * Edit distance with adjacent transpositions ("backlgo" → "backlog" = 1)
+ */
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i][j] = j;
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Similarity of two words, 0..1 (typos via edit distance, short forms via prefix)
+ */
+function wordSimilarity(input, candidate) {
+    if (!input || !candidate) return 0;
+    if (input === candidate) return 1;
+    
+    const edit = 1 - editDistance(input, candidate) / Math.max(input.length, candidate.length);
+    const prefix = input.length >= 3 && candidate.startsWith(input)
+        ? 0.5 + 0.5 * (input.length / candidate.length)
+        : 0;
+    return Math.max(edit, prefix);
+}
+
+/**
+ * Scores a (normalized) name against user input, 0..1.
+ * Best of: whole-string similarity, or every input word matched
+ * to its closest candidate word ("nowak tob" ~ "tobiasz nowak").
  */
+function scoreMatch(input, candidate) {
+    if (!input || !candidate) return 0;
+    if (input === candidate) return 1;
+    
+    const whole = wordSimilarity(input, candidate);
+    
+    const inputTokens = input.split(/[\s/_-]+/).filter(Boolean);
+    const candidateTokens = candidate.split(/[\s/_-]+/).filter(Boolean);
+    if (inputTokens.length === 0 || candidateTokens.length === 0) return whole;
+    
+    const tokenTotal = inputTokens.reduce((sum, token) =>
+        sum + Math.max(...candidateTokens.map(c => wordSimilarity(token, c))), 0);
+    
+    // Matching part of a longer name ("anna" in "anna nowak") ranks below a full match
+    const coverage = candidateTokens.length > inputTokens.length ? 0.95 : 1;
+    
+    return Math.max(whole, (tokenTotal / inputTokens.length) * coverage);
+}
 
 class MappingCache {
-    constructor() {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        
         // Cache: name (lowercase) → UUID
         this.spaces = new Map();      // "ma txa" → "uuid-space"
         this.decks = new Map();       // "backlog" → { id: "uuid", spaceId: "uuid-space", spaceName: "MA TXA" }
@@ -28,9 +119,48 @@ class MappingCache {
         // Full deck paths: "space/deck" → UUID
         this.deckPaths = new Map();   // "ma txa/backlog" → "uuid-deck"
         
+        // Deck details by UUID (for reports)
+        this.deckInfo = new Map();    // "uuid-deck" → { name: "Backlog", spaceId: "uuid-space", spaceName: "MA TXA" }
+        
+        // Every deck with a given name (more than one = ambiguous)
+        this.deckCandidates = new Map(); // "backlog" → ["uuid-deck", "uuid-deck-2"]
+        
         // Status
         this.initialized = false;
         this.lastRefresh = null;
+        
+        // Refresh state
+        this.client = null;           // Codecks client used for background refreshes
+        this.refreshing = null;       // in-flight refresh promise (shared)
+        this.lastMissRefresh = null;
+        this.autoRefreshTimer = null;
+        
+        // Persistent snapshot (src/store.js)
+        this.store = null;
+    }
+    
+    /**
+     * Updates refresh options (ttlMinutes, missRefreshCooldownSeconds)
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+    
+    /**
+     * Empty set of lookup maps (filled by the loaders, then swapped in)
+     */
+    createMaps() {
+        return {
+            spaces: new Map(),
+            decks: new Map(),
+            users: new Map(),
+            spaceNames: new Map(),
+            deckNames: new Map(),
+            userNames: new Map(),
+            deckPaths: new Map(),
+            deckInfo: new Map(),
+            deckCandidates: new Map()
+        };
     }
     
     /**
@@ -38,19 +168,25 @@ class MappingCache {
      */
     async initialize(codecksClient) {
         console.log('[Cache] Initializing...');
+        this.client = codecksClient;
         
         try {
+            const next = this.createMaps();
+            
             // Pobierz spaces (projects)
-            await this.loadSpaces(codecksClient);
+            await this.loadSpaces(codecksClient, next);
             
             // Pobierz decks (z przypisaniem do spaces)
-            await this.loadDecks(codecksClient);
+            await this.loadDecks(codecksClient, next);
             
             // Pobierz users
-            await this.loadUsers(codecksClient);
+            await this.loadUsers(codecksClient, next);
             
+            // Swap — old maps served lookups until now
+            Object.assign(this, next);
             this.initialized = true;
             this.lastRefresh = new Date();
+            this.saveSnapshot();
             
             console.log('[Cache] Ready:');
             console.log(`  Spaces: ${this.spaces.size}`);
@@ -68,33 +204,35 @@ class MappingCache {
     /**
      * Pobiera i cachuje spaces (projects)
      */
-    async loadSpaces(codecksClient) {
+    async loadSpaces(codecksClient, target = this) {
         const projects = await codecksClient.listProjects();
         
-        this.spaces.clear();
-        this.spaceNames.clear();
+        target.spaces.clear();
+        target.spaceNames.clear();
         
         for (const project of projects) {
             const name = project.title || project.name;
             if (name && project.id) {
                 const normalizedName = this.normalize(name);
-                this.spaces.set(normalizedName, project.id);
-                this.spaceNames.set(project.id, name);
+                target.spaces.set(normalizedName, project.id);
+                target.spaceNames.set(project.id, name);
             }
         }
         
-        console.log(`[Cache] Loaded ${this.spaces.size} spaces`);
+        console.log(`[Cache] Loaded ${target.spaces.size} spaces`);
     }
     
     /**
      * Fetches and caches decks (with space association)
      */
-    async loadDecks(codecksClient) {
+    async loadDecks(codecksClient, target = this) {
         const decksData = await codecksClient.listDecksWithSpaces();
         
-        this.decks.clear();
-        this.deckNames.clear();
-        this.deckPaths.clear();
+        target.decks.clear();
+        target.deckNames.clear();
+        target.deckPaths.clear();
+        target.deckInfo.clear();
+        target.deckCandidates.clear();
         
         for (const deck of decksData) {
             const name = deck.title || deck.name;
@@ -112,16 +250,16 @@ class MappingCache {
                     if (typeof deck.project === 'object' && deck.project.id) {
                         // Format: {id: "...", name: "..."}
                         projectId = deck.project.id;
-                        spaceName = deck.project.name || this.spaceNames.get(projectId);
+                        spaceName = deck.project.name || target.spaceNames.get(projectId);
                     } else if (typeof deck.project === 'string') {
                         // Format: just ID string
                         projectId = deck.project;
-                        spaceName = this.spaceNames.get(projectId);
+                        spaceName = target.spaceNames.get(projectId);
                     }
                 } else if (deck.projectId) {
                     // Fallback do projectId
                     projectId = deck.projectId;
-                    spaceName = this.spaceNames.get(projectId);
+                    spaceName = target.spaceNames.get(projectId);
                 }
                 
                 // Cache deck
@@ -131,59 +269,157 @@ class MappingCache {
                     spaceName: spaceName
                 };
                 
-                // If deck name already exists, use full space/deck path
-                if (this.decks.has(normalizedName)) {
-                    // Same name in different space — keep first, require full path
-                    
-                } else {
-                    this.decks.set(normalizedName, deckInfo);
+                // Same name in different space — keep first, the bare name
+                // becomes ambiguous (resolveDeck asks for space/deck)
+                if (!target.decks.has(normalizedName)) {
+                    target.decks.set(normalizedName, deckInfo);
                 }
                 
-                this.deckNames.set(deck.id, name);
+                const candidates = target.deckCandidates.get(normalizedName) || [];
+                candidates.push(deck.id);
+                target.deckCandidates.set(normalizedName, candidates);
+                
+                target.deckNames.set(deck.id, name);
+                target.deckInfo.set(deck.id, { name, spaceId: projectId, spaceName });
                 
                 // Full space/deck path
                 if (spaceName) {
                     const fullPath = this.normalize(`${spaceName}/${name}`);
-                    this.deckPaths.set(fullPath, deck.id);
+                    target.deckPaths.set(fullPath, deck.id);
                 }
             }
         }
         
-        console.log(`[Cache] Loaded ${this.decks.size} decks, ${this.deckPaths.size} paths`);
+        console.log(`[Cache] Loaded ${target.decks.size} decks, ${target.deckPaths.size} paths`);
     }
     
     /**
      * Pobiera i cachuje users
      */
-    async loadUsers(codecksClient) {
+    async loadUsers(codecksClient, target = this) {
         const users = await codecksClient.listUsers();
         
-        this.users.clear();
-        this.userNames.clear();
+        target.users.clear();
+        target.userNames.clear();
         
         for (const user of users) {
             const name = user.nickname || user.username || user.name;
             if (name && user.id) {
                 const normalizedName = this.normalize(name);
-                this.users.set(normalizedName, user.id);
-                this.userNames.set(user.id, name);
+                target.users.set(normalizedName, user.id);
+                target.userNames.set(user.id, name);
                 
                 // Also add username if different from nickname
                 if (user.username && user.username !== name) {
-                    this.users.set(this.normalize(user.username), user.id);
+                    target.users.set(this.normalize(user.username), user.id);
                 }
             }
         }
         
-        console.log(`[Cache] Loaded ${this.users.size} users`);
+        console.log(`[Cache] Loaded ${target.users.size} users`);
     }
     
     /**
-     * Refreshes cache
+     * Refreshes cache (concurrent calls share one refresh)
      */
-    async refresh(codecksClient) {
+    refresh(codecksClient) {
+        if (this.refreshing) return this.refreshing;
+        
         console.log('[Cache] Refreshing...');
-        return this.initialize(codecksClient);
+        this.refreshing = this.initialize(codecksClient || this.client)
+            .finally(() => { this.refreshing = null; });
+        return this.refreshing;
+    }
+    
+    /**
+     * True when the last refresh is older than ttlMinutes
+     */
+    isStale() {
+        if (!this.lastRefresh || !this.options.ttlMinutes) return false;
+        return Date.now() - this.lastRefresh.getTime() > this.options.ttlMinutes * 60 * 1000;
+    }
+    
+    /**
+     * Stale-while-revalidate: starts a background refresh when stale,
+     * callers keep using the current data
+     */
+    refreshIfStale() {
+        if (!this.client || this.refreshing || !this.isStale()) return;
+        
+        console.log('[Cache] Stale — refreshing in background');
+        this.refresh(this.client).catch(error => {
+            console.error('[Cache] Background refresh failed:', error.message);
+        });
+    }
+    
+    /**
+     * Checks staleness periodically (timer doesn't keep the process alive)
+     */
+    startAutoRefresh(codecksClient) {
+        this.stopAutoRefresh();
+        if (codecksClient) this.client = codecksClient;
+        if (!this.options.ttlMinutes) return;
+        
+        const intervalMs = Math.min(this.options.ttlMinutes * 60 * 1000, 60 * 1000);
+        this.autoRefreshTimer = setInterval(() => this.refreshIfStale(), intervalMs);
+        this.autoRefreshTimer.unref();
+    }
+    
+    stopAutoRefresh() {
+        if (this.autoRefreshTimer) clearInterval(this.autoRefreshTimer);
+        this.autoRefreshTimer = null;
+    }
+    
+    /**
+     * Refreshes once after a lookup miss. Concurrent misses wait for the same
+     * refresh; new refreshes are rate-limited by missRefreshCooldownSeconds.
+     * Returns true when the data was refreshed (worth retrying the lookup).
+     */
+    async refreshOnMiss() {
+        if (!this.client) return false;
+        
+        if (this.refreshing) {
+            try {
+                await this.refreshing;
+                return true;
+            } catch {
+                return false;
+            }
+        }
+        
+        const cooldownMs = this.options.missRefreshCooldownSeconds * 1000;
+        if (this.lastMissRefresh && Date.now() - this.lastMissRefresh < cooldownMs) return false;
+        this.lastMissRefresh = Date.now();
+        
+        try {
+            console.log('[Cache] Lookup miss — refreshing');
+            await this.refresh(this.client);
+            return true;
+        } catch (error) {
+            console.error('[Cache] Refresh on miss failed:', error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * Resolves a space / deck / user, refreshing the cache once on a miss
+     * @param {string} kind - "space" | "deck" | "user"
+     * @param {...*} args - same arguments as resolveSpace / resolveDeck / resolveUser
+     */
+    async resolveFresh(kind, ...args) {
+        const resolvers = {
+            space: this.resolveSpace,
+            deck: this.resolveDeck,
+            user: this.resolveUser
+        };
+        const resolve = () => resolvers[kind].apply(this, args);
+        
+        const result = resolve();
+        if (result || !args[0]) return result;
+        
+        if (!await this.refreshOnMiss()) return result;
+        
+        return resolve();
     }
     
     /**
@@ -206,6 +442,13 @@ class MappingCache {
             return spaceId;
         }
         
+        // 3. Fuzzy matching
+        const fuzzy = this.fuzzyMatch(normalized, this.spaces.entries());
+        if (fuzzy.id) {
+            console.log(`[Resolve] Space (fuzzy ${fuzzy.score.toFixed(2)}): ${input} → ${fuzzy.id}`);
+            return fuzzy.id;
+        }
+        
         console.warn(`[Resolve] Space not found: ${input}`);
         return null;
     }
@@ -240,27 +483,77 @@ class MappingCache {
             
             // Fallback: szukaj tylko po nazwie decka
             const normalized = this.normalize(deckPart);
+            const ambiguous = this.ambiguousDeck(input, normalized);
+            if (ambiguous) return ambiguous;
+            
             const deckInfo = this.decks.get(normalized);
             
             if (deckInfo) {
                 console.log(`[Resolve] Deck (fallback): ${deckPart} → ${deckInfo.id}`);
                 return deckInfo.id;
             }
+            
+            // Fuzzy: typo in the space or deck part of the path
+            const fuzzy = this.fuzzyMatch(fullPath, this.deckPaths.entries());
+            if (fuzzy.id) {
+                console.log(`[Resolve] Deck (fuzzy ${fuzzy.score.toFixed(2)}): ${input} → ${fuzzy.id}`);
+                return fuzzy.id;
+            }
         } else {
             // Sama nazwa decka
             const normalized = this.normalize(resolvedPath);
+            const ambiguous = this.ambiguousDeck(input, normalized);
+            if (ambiguous) return ambiguous;
+            
             const deckInfo = this.decks.get(normalized);
             
             if (deckInfo) {
                 console.log(`[Resolve] Deck: ${input} → ${deckInfo.id}`);
                 return deckInfo.id;
             }
+            
+            // Fuzzy: the matched name can itself be shared by several spaces
+            const names = [...this.decks.keys()].map(name => [name, name]);
+            const fuzzy = this.fuzzyMatch(normalized, names);
+            if (fuzzy.id) {
+                const fuzzyAmbiguous = this.ambiguousDeck(input, fuzzy.id);
+                if (fuzzyAmbiguous) return fuzzyAmbiguous;
+                
+                const id = this.decks.get(fuzzy.id).id;
+                console.log(`[Resolve] Deck (fuzzy ${fuzzy.score.toFixed(2)}): ${input} → ${id}`);
+                return id;
+            }
         }
         
         console.warn(`[Resolve] Deck not found: ${input}`);
         return null;
     }
     
+    /**
+     * Ambiguous result for a deck name shared by several spaces (or null)
+     * @returns {{ ambiguous: true, input: string, candidates: Array<{ id, path }> }|null}
+     */
+    ambiguousDeck(input, normalizedName) {
+        const ids = this.deckCandidates.get(normalizedName) || [];
+        if (ids.length < 2) return null;
+        
+        console.warn(`[Resolve] Deck ambiguous: ${input} (${ids.length} spaces)`);
+        return {
+            ambiguous: true,
+            input,
+            candidates: ids.map(id => ({ id, path: this.describeDeck(id) }))
+        };
+    }
+    
+    /**
+     * Deck names used by more than one deck (normalized)
+     */
+    duplicateDeckNames() {
+        return [...this.deckCandidates.entries()]
+            .filter(([, ids]) => ids.length > 1)
+            .map(([name]) => name);
+    }
+    
     /**
      * Resolvuje User name do UUID
      * @param {string} input - nazwa ze Slacka lub alias
@@ -281,18 +574,82 @@ class MappingCache {
             return userId;
         }
         
-        // 3. Fuzzy matching — partial name match
-        for (const [name, id] of this.users.entries()) {
-            if (name.includes(normalized) || normalized.includes(name)) {
-                console.log(`[Resolve] User (fuzzy): ${input} → ${id}`);
-                return id;
-            }
+        // 3. Fuzzy matching — best score wins, ties don't
+        const fuzzy = this.fuzzyMatch(normalized, this.users.entries());
+        if (fuzzy.id) {
+            console.log(`[Resolve] User (fuzzy ${fuzzy.score.toFixed(2)}): ${input} → ${fuzzy.id}`);
+            return fuzzy.id;
         }
         
         console.warn(`[Resolve] User not found: ${input}`);
         return null;
     }
     
+    /**
+     * Ranks [name, id] entries against a normalized input.
+     * Several names of one id (nickname, username) count once, with the best score.
+     * @returns {{ id: string|null, score: number, tie: boolean, ranked: Array<{ id, name, score }> }}
+     */
+    fuzzyMatch(normalizedInput, entries) {
+        const best = new Map();
+        for (const [name, id] of entries) {
+            const score = scoreMatch(normalizedInput, name);
+            const current = best.get(id);
+            if (!current || score > current.score) best.set(id, { id, name, score });
+        }
+        
+        const ranked = [...best.values()].sort((a, b) => b.score - a.score);
+        const [first, second] = ranked;
+        
+        if (!first || first.score < this.options.fuzzyThreshold) {
+            return { id: null, score: first ? first.score : 0, tie: false, ranked };
+        }
+        
+        if (second && first.score - second.score < this.options.fuzzyTieMargin) {
+            console.warn(`[Resolve] Fuzzy tie for "${normalizedInput}": ${first.name} / ${second.name}`);
+            return { id: null, score: first.score, tie: true, ranked };
+        }
+        
+        return { id: first.id, score: first.score, tie: false, ranked };
+    }
+    
+    /**
+     * "Did you mean" — up to `limit` display names closest to an unresolved input
+     * @param {string} kind - "space", "deck" or "user"
+     */
+    suggest(kind, input, aliasMapping = {}, spaceAliasMapping = {}) {
+        if (!input) return [];
+        
+        let normalized = this.normalize(this.resolveAlias(input, aliasMapping));
+        let entries;
+        let label;
+        
+        if (kind === 'space') {
+            entries = this.spaces.entries();
+            label = id => this.spaceNames.get(id);
+        } else if (kind === 'deck') {
+            // "Space/Deck" input is compared with full paths, a bare name with deck names
+            if (normalized.includes('/')) {
+                const [spacePart, deckPart] = normalized.split('/').map(p => p.trim());
+                normalized = this.normalize(`${this.resolveAlias(spacePart, spaceAliasMapping)}/${deckPart}`);
+                entries = this.deckPaths.entries();
+            } else {
+                entries = [...this.deckInfo.entries()].map(([id, info]) => [this.normalize(info.name), id]);
+            }
+            label = id => this.describeDeck(id);
+        } else if (kind === 'user') {
+            entries = this.users.entries();
+            label = id => this.userNames.get(id);
+        } else {
+            throw new Error(`Unknown lookup kind: ${kind}`);
+        }
+        
+        return this.fuzzyMatch(normalized, entries).ranked
+            .filter(entry => entry.score >= this.options.suggestionThreshold)
+            .slice(0, 3)
+            .map(entry => label(entry.id) || entry.name);
+    }
+    
     /**
      * Resolves alias to full name
      */
@@ -312,6 +669,18 @@ class MappingCache {
         return input;
     }
     
+    /**
+     * Returns a readable "Space/Deck" path for a deck UUID
+     */
+    describeDeck(deckId) {
+        if (!deckId) return null;
+        
+        const info = this.deckInfo.get(deckId);
+        if (!info) return this.deckNames.get(deckId) || deckId;
+        
+        return info.spaceName ? `${info.spaceName}/${info.name}` : info.name;
+    }
+    
     /**
      * Normalizes string for comparison
      */
@@ -326,6 +695,57 @@ class MappingCache {
             .trim();
     }
     
+    /**
+     * Serializable copy of all lookup maps
+     */
+    snapshot() {
+        const maps = {};
+        for (const name of Object.keys(this.createMaps())) {
+            maps[name] = [...this[name].entries()];
+        }
+        return {
+            lastRefresh: this.lastRefresh ? this.lastRefresh.toISOString() : null,
+            maps
+        };
+    }
+    
+    /**
+     * Loads maps from a snapshot; lastRefresh is kept, so an old
+     * snapshot is stale and refreshes in the background
+     */
+    restore(snapshot) {
+        if (!snapshot || !snapshot.maps) return false;
+        
+        const next = this.createMaps();
+        for (const name of Object.keys(next)) {
+            next[name] = new Map(snapshot.maps[name] || []);
+        }
+        
+        Object.assign(this, next);
+        this.initialized = true;
+        this.lastRefresh = snapshot.lastRefresh ? new Date(snapshot.lastRefresh) : null;
+        
+        console.log(`[Cache] Restored snapshot from ${snapshot.lastRefresh || 'unknown time'} (${this.decks.size} decks, ${this.users.size} users)`);
+        return true;
+    }
+    
+    /**
+     * Persists snapshots to the bot store and restores the last one
+     */
+    attachStore(store) {
+        this.store = store;
+        if (!this.initialized) this.restore(store.get('cache', 'snapshot'));
+    }
+    
+    saveSnapshot() {
+        if (!this.store) return;
+        try {
+            this.store.set('cache', 'snapshot', this.snapshot());
+        } catch (error) {
+            console.error('[Cache] Failed to save snapshot:', error.message);
+        }
+    }
+    
     /**
      * Zwraca statystyki cache
      */
@@ -333,6 +753,8 @@ class MappingCache {
         return {
             initialized: this.initialized,
             lastRefresh: this.lastRefresh,
+            stale: this.isStale(),
+            refreshing: !!this.refreshing,
             spaces: this.spaces.size,
             decks: this.decks.size,
             deckPaths: this.deckPaths.size,
@@ -356,11 +778,13 @@ class MappingCache {
      */
     listDecks() {
         const result = [];
-        for (const [name, info] of this.decks.entries()) {
+        for (const [id, info] of this.deckInfo.entries()) {
+            const candidates = this.deckCandidates.get(this.normalize(info.name)) || [];
             result.push({ 
-                name: this.deckNames.get(info.id), 
-                id: info.id,
-                space: info.spaceName
+                name: info.name, 
+                id: id,
+                space: info.spaceName,
+                duplicate: candidates.length > 1
             });
         }
         return result;
@@ -385,4 +809,4 @@ class MappingCache {
 // Singleton instance
 const mappingCache = new MappingCache();
 
-module.exports = { MappingCache, mappingCache };
+module.exports = { MappingCache, mappingCache, scoreMatch };
@@ -5,41 +5,248 @@
  * - users: fetched via ROLES (direct access returns 500!)
  * - projects: id, name
  * - decks: id, title
+ * 
+ * HTTP layer: per-request timeout, retries with exponential backoff + jitter
+ * for 429/5xx/network errors (Retry-After is respected), a concurrency limit
+ * and typed errors (CodecksAuthError, CodecksRateLimitError, ...).
+ * Non-idempotent calls (card creation) are never blindly re-sent.
+ */
+
+// ============================================================
+// Errors
+// ============================================================
+
+class CodecksError extends Error {
+    constructor(message, { status = null, body = null, code = 'api_error', retryable = false } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.body = body;
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+/** 401 / 403 — bad or expired token */
+class CodecksAuthError extends CodecksError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'auth', retryable: false });
+    }
+}
+
+/** 404 */
+class CodecksNotFoundError extends CodecksError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'not_found', retryable: false });
+    }
+}
+
+/** 400 / 422 — payload rejected */
+class CodecksValidationError extends CodecksError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'validation', retryable: false });
+    }
+}
+
+/** 429 — request was not processed, safe to retry */
+class CodecksRateLimitError extends CodecksError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'rate_limit', retryable: true });
+        this.retryAfterMs = details.retryAfterMs ?? null;
+    }
+}
+
+/** 5xx — request may or may not have been processed */
+class CodecksServerError extends CodecksError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'server', retryable: true });
+        this.retryAfterMs = details.retryAfterMs ?? null;
+    }
+}
+
+/** Timeout / connection error — request may or may not have been processed */
+class CodecksNetworkError extends CodecksError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: 'network', retryable: true });
+        this.timedOut = details.timedOut || false;
+    }
+}
+
+/**
+ * Maps an HTTP error response to a typed error
+ */
+function errorFromResponse(status, text, headers) {
+    const body = (text || '').substring(0, 500);
+    const message = `Codecks API Error (${status}): ${body}`;
+    const retryAfterMs = parseRetryAfter(headers && headers.get('retry-after'));
+    const details = { status, body, retryAfterMs };
+
+    if (status === 401 || status === 403) return new CodecksAuthError(message, details);
+    if (status === 404) return new CodecksNotFoundError(message, details);
+    if (status === 429) return new CodecksRateLimitError(message, details);
+    if (status >= 500) return new CodecksServerError(message, details);
+    if (status === 400 || status === 422) return new CodecksValidationError(message, details);
+    return new CodecksError(message, details);
+}
+
+/**
+ * Retry-After: seconds or HTTP date → milliseconds
  */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+    return null;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Card relation with its comment threads (resolvables of context "comment")
+const COMMENTS_RELATION = 'resolvables({"context":"comment"})';
+
+// Card fields shown by !find / !card
+const CARD_FIELDS = [
+    "id",
+    "title",
+    "content",
+    "status",
+    "priority",
+    "effort",
+    "dueDate",
+    "updatedAt",
+    {"deck": ["id", "title"]},
+    {"assignee": ["id", "name"]}
+];
+
+// ============================================================
+// Concurrency limiter
+// ============================================================
+
+class Limiter {
+    constructor(concurrency) {
+        this.concurrency = Math.max(1, concurrency || 1);
+        this.active = 0;
+        this.queue = [];
+    }
+
+    async run(fn) {
+        if (this.active >= this.concurrency) {
+            await new Promise(resolve => this.queue.push(resolve));
+        }
+        this.active++;
+        try {
+            return await fn();
+        } finally {
+            this.active--;
+            const next = this.queue.shift();
+            if (next) next();
+        }
+    }
+}
+
+// ============================================================
+// Client
+// ============================================================
+
+const DEFAULT_OPTIONS = {
+    baseUrl: 'https://api.codecks.io',
+    timeoutMs: 15000,
+    maxRetries: 3,
+    retryBaseDelayMs: 500,
+    retryMaxDelayMs: 10000,
+    retryAfterMaxMs: 60000,
+    concurrency: 4
+};
 
 class CodecksClient {
-    constructor(token, subdomain) {
+    constructor(token, subdomain, options = {}) {
         this.token = token;
         this.subdomain = subdomain;
-        this.baseUrl = 'https://api.codecks.io';
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.baseUrl = this.options.baseUrl;
+        this.limiter = new Limiter(this.options.concurrency);
     }
     
     /**
-     * Wykonuje zapytanie do API
+     * Wykonuje zapytanie do API (z retry)
+     * @param {object} options - { idempotent: false } → retry only on 429
      */
-    async request(endpoint, data) {
+    async request(endpoint, data, options = {}) {
+        const idempotent = options.idempotent !== false;
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.limiter.run(() => this.send(endpoint, data));
+            } catch (error) {
+                const canRetry = error instanceof CodecksRateLimitError || (idempotent && error.retryable);
+                if (!canRetry || attempt >= this.options.maxRetries) throw error;
+                
+                const delay = this.retryDelay(attempt, error);
+                console.warn(`[Codecks] ${endpoint} failed (${error.message}) — retry ${attempt + 1}/${this.options.maxRetries} in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+    
+    /**
+     * Single HTTP call with timeout, throws typed errors
+     */
+    async send(endpoint, data) {
         const url = `${this.baseUrl}${endpoint}`;
         
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Auth-Token': this.token,
-                'X-Account': this.subdomain
-            },
-            body: JSON.stringify(data)
-        });
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Auth-Token': this.token,
+                    'X-Account': this.subdomain
+                },
+                body: JSON.stringify(data),
+                signal: AbortSignal.timeout(this.options.timeoutMs)
+            });
+        } catch (error) {
+            const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+            const message = timedOut
+                ? `Codecks API timeout after ${this.options.timeoutMs}ms`
+                : `Codecks API unreachable: ${error.cause ? error.cause.message || error.cause.code : error.message}`;
+            throw new CodecksNetworkError(message, { timedOut });
+        }
         
         if (!response.ok) {
-            const text = await response.text();
-            throw new Error(`Codecks API Error (${response.status}): ${text}`);
+            const text = await response.text().catch(() => '');
+            throw errorFromResponse(response.status, text, response.headers);
         }
         
         return response.json();
     }
     
     /**
-     * Creates a new card
+     * Exponential backoff with jitter; Retry-After wins when present
+     */
+    retryDelay(attempt, error) {
+        const { retryBaseDelayMs, retryMaxDelayMs, retryAfterMaxMs } = this.options;
+        
+        if (error && error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+            return Math.min(error.retryAfterMs, retryAfterMaxMs);
+        }
+        
+        const ceiling = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+    
+    /**
+     * Creates a new card (childCards: [{ content, assigneeId, priority, effort, tags }],
+     * parentCardId: makes it a sub-card of that card,
+     * attachments: results of uploadFile, dueDate: "YYYY-MM-DD",
+     * excludeIds: cards already created in the same batch — never taken for this one)
+     * @returns {object} { id, childCardIds } — child ids in childCards order
      */
     async createCard(cardData) {
         const payload = {
@@ -47,16 +254,195 @@ class CodecksClient {
             deckId: cardData.deckId,
             assigneeId: cardData.assigneeId || null,
             priority: cardData.priority || 'b',
+            effort: cardData.effort ?? null,
             putOnHand: cardData.putOnHand || false,
             masterTags: cardData.tags || [],
-            attachments: [],
-            childCards: []
+            attachments: cardData.attachments || [],
+            childCards: (cardData.childCards || []).map(child => ({
+                content: child.content,
+                assigneeId: child.assigneeId || null,
+                priority: child.priority || 'b',
+                effort: child.effort ?? null,
+                masterTags: child.tags || [],
+                ...(child.dueDate ? { dueDate: child.dueDate } : {})
+            }))
+        };
+        if (cardData.dueDate) payload.dueDate = cardData.dueDate;
+        if (cardData.parentCardId) payload.parentCardId = cardData.parentCardId;
+        
+        // Look for a duplicate a bit before "now" (clock skew)
+        const since = new Date(Date.now() - 60 * 1000).toISOString();
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const card = await this.request('/dispatch/cards/create', payload, { idempotent: false });
+                return { ...card, childCardIds: card.childCardIds || [] };
+            } catch (error) {
+                const ambiguous = error instanceof CodecksServerError || error instanceof CodecksNetworkError;
+                if (!ambiguous || attempt >= this.options.maxRetries) throw error;
+                
+                // The card may have been created anyway — never create it twice
+                const existing = await this.findCreatedCard(payload, since, cardData.excludeIds).catch(() => null);
+                if (existing) {
+                    console.log(`[Codecks] Card already created despite error (${error.message}) → ${existing.id}`);
+                    const childCardIds = payload.childCards.length > 0 ? await this.getChildCardIds(existing.id) : [];
+                    return { ...existing, childCardIds };
+                }
+                
+                const delay = this.retryDelay(attempt, error);
+                console.warn(`[Codecks] Card create failed (${error.message}) — retry ${attempt + 1}/${this.options.maxRetries} in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+    
+    /**
+     * Finds a card with the same deck and content created after `since`
+     * (used to check whether a failed create actually went through);
+     * cards in `excludeIds` are skipped (same content twice in one batch)
+     */
+    async findCreatedCard(payload, since, excludeIds = []) {
+        const filter = {
+            deckId: payload.deckId,
+            createdAt: { op: 'gte', value: since },
+            $order: '-createdAt',
+            $limit: 20
+        };
+        const query = {
+            query: {
+                "_root": [{
+                    "account": [{
+                        [`cards(${JSON.stringify(filter)})`]: ["id", "content", "createdAt"]
+                    }]
+                }]
+            }
+        };
+        
+        const result = await this.request('/', query);
+        const cards = Object.entries(result.card || {}).map(([id, data]) => ({ ...data, id: data.id || id }));
+        return cards.find(card => card.content === payload.content && !excludeIds.includes(card.id)) || null;
+    }
+    
+    /**
+     * Ids of a card's sub-cards, oldest first
+     */
+    async getChildCardIds(parentCardId) {
+        const filter = { parentCardId, $order: 'createdAt' };
+        const query = {
+            query: {
+                "_root": [{
+                    "account": [{
+                        [`cards(${JSON.stringify(filter)})`]: ["id", "createdAt"]
+                    }]
+                }]
+            }
         };
         
-        const result = await this.request('/dispatch/cards/create', payload);
+        const result = await this.request('/', query);
+        return Object.entries(result.card || {}).map(([id, data]) => data.id || id);
+    }
+    
+    /**
+     * Updates an existing card (only the given fields are sent)
+     */
+    async updateCard(cardData) {
+        const payload = { id: cardData.id };
+
+        if (cardData.content !== undefined) payload.content = cardData.content;
+        if (cardData.deckId !== undefined) payload.deckId = cardData.deckId;
+        if (cardData.assigneeId !== undefined) payload.assigneeId = cardData.assigneeId;
+        if (cardData.priority !== undefined) payload.priority = cardData.priority;
+        if (cardData.effort !== undefined) payload.effort = cardData.effort;
+        if (cardData.tags !== undefined) payload.masterTags = cardData.tags;
+        if (cardData.dueDate !== undefined) payload.dueDate = cardData.dueDate;
+        if (cardData.status !== undefined) payload.status = cardData.status;
+
+        const result = await this.request('/dispatch/cards/update', payload);
+        return result;
+    }
+
+    /**
+     * Archives a card
+     */
+    async archiveCard(cardId) {
+        const result = await this.request('/dispatch/cards/update', {
+            id: cardId,
+            visibility: 'archived'
+        });
+        return result;
+    }
+
+    /**
+     * Uploads a file for a card attachment: Codecks signs the upload,
+     * the file is posted to the returned storage URL
+     * @returns {object} attachment for createCard ({ fileName, url, size, contentType })
+     */
+    async uploadFile(buffer, { fileName, contentType }) {
+        const signed = await this.request('/s3/sign', {
+            fileName,
+            contentType,
+            size: buffer.length
+        });
+        
+        const form = new FormData();
+        for (const [key, value] of Object.entries(signed.fields || {})) form.append(key, value);
+        form.append('file', new Blob([buffer], { type: contentType }), fileName);
+        
+        let response;
+        try {
+            response = await fetch(signed.url, {
+                method: 'POST',
+                body: form,
+                signal: AbortSignal.timeout(this.options.timeoutMs)
+            });
+        } catch (error) {
+            throw new CodecksNetworkError(`File upload failed: ${error.message}`);
+        }
+        
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            throw errorFromResponse(response.status, text, response.headers);
+        }
+        
+        return {
+            fileName,
+            url: (signed.fields && signed.fields.key) || signed.key || signed.url,
+            size: buffer.length,
+            contentType
+        };
+    }
+    
+    /**
+     * Deletes a card (moves it to the deleted cards, like the Codecks UI)
+     */
+    async deleteCard(cardId) {
+        const result = await this.request('/dispatch/cards/update', {
+            id: cardId,
+            visibility: 'deleted'
+        });
+        return result;
+    }
+    
+    /**
+     * Adds a comment to a card (starts a new conversation on it)
+     */
+    async createComment(cardId, content) {
+        const result = await this.request('/dispatch/resolvables/create', {
+            cardId: cardId,
+            content: content,
+            context: 'comment'
+        }, { idempotent: false });
         return result;
     }
     
+    /**
+     * Builds a browser URL for a card
+     */
+    getCardUrl(cardId) {
+        if (!cardId) return null;
+        return `https://${this.subdomain}.codecks.io/card/${cardId}`;
+    }
+    
     /**
      * Lists decks
      */
@@ -137,6 +523,142 @@ class CodecksClient {
         return this.parseProjects(result);
     }
     
+    /**
+     * Current state of cards (status, assignee, comments) for the
+     * notification poller; `since` limits it to cards updated after that time
+     * @param {string[]} cardIds
+     * @param {string} since - ISO timestamp (optional)
+     */
+    async getCardStates(cardIds, since = null) {
+        if (cardIds.length === 0) return [];
+        
+        const filter = { id: cardIds };
+        if (since) filter.updatedAt = { op: 'gt', value: since };
+        
+        const query = {
+            query: {
+                "_root": [{
+                    "account": [{
+                        [`cards(${JSON.stringify(filter)})`]: [
+                            "id",
+                            "content",
+                            "status",
+                            "updatedAt",
+                            {"assignee": ["id", "name"]},
+                            {[COMMENTS_RELATION]: ["id", "createdAt", {"creator": ["id", "name"]}]}
+                        ]
+                    }]
+                }]
+            }
+        };
+        
+        const result = await this.request('/', query);
+        return this.parseCardStates(result);
+    }
+    
+    /**
+     * Searches cards by text (newest first, archived/deleted left out)
+     * @param {object} options - { text, deckId, assigneeId, openOnly (not done), limit }
+     */
+    async searchCards({ text = '', deckId = null, assigneeId = null, openOnly = false, limit = 100 }) {
+        const filter = {
+            visibility: 'default',
+            $order: '-updatedAt',
+            $limit: limit
+        };
+        if (text) filter.content = { op: 'contains', value: text };
+        if (deckId) filter.deckId = deckId;
+        if (assigneeId) filter.assigneeId = assigneeId;
+        if (openOnly) filter.status = { op: 'neq', value: 'done' };
+        
+        const query = {
+            query: {
+                "_root": [{
+                    "account": [{
+                        [`cards(${JSON.stringify(filter)})`]: CARD_FIELDS
+                    }]
+                }]
+            }
+        };
+        
+        const result = await this.request('/', query);
+        return this.parseCards(result);
+    }
+    
+    /**
+     * One card with its full content (null when it doesn't exist)
+     */
+    async getCard(cardId) {
+        const query = {
+            query: {
+                "_root": [{
+                    "account": [{
+                        [`cards(${JSON.stringify({ id: cardId })})`]: [...CARD_FIELDS, "visibility"]
+                    }]
+                }]
+            }
+        };
+        
+        const result = await this.request('/', query);
+        return this.parseCards(result)[0] || null;
+    }
+    
+    /**
+     * Cards on a user's hand, in hand order
+     */
+    async getHand(userId) {
+        const query = {
+            query: {
+                "_root": [{
+                    "account": [{
+                        [`queueEntries(${JSON.stringify({ userId, $order: 'sortIndex' })})`]: [
+                            "sortIndex",
+                            {"card": [...CARD_FIELDS, "visibility"]}
+                        ]
+                    }]
+                }]
+            }
+        };
+        
+        const result = await this.request('/', query);
+        const cards = new Map(this.parseCards(result).map(card => [card.id, card]));
+        
+        return Object.values(result.queueEntry || {})
+            .sort((a, b) => a.sortIndex - b.sortIndex)
+            .map(entry => cards.get(entry.card))
+            .filter(card => card && card.visibility !== 'archived' && card.visibility !== 'deleted');
+    }
+    
+    /**
+     * Takes a card off its assignee's hand
+     */
+    async removeFromHand(cardId) {
+        const result = await this.request('/dispatch/handQueue/removeCards', {
+            cardIds: [cardId]
+        });
+        return result;
+    }
+    
+    /**
+     * The user behind the API token (its comments are the bot's own)
+     */
+    async getLoggedInUser() {
+        const query = {
+            query: {
+                "_root": [{
+                    "loggedInUser": ["id", "name"]
+                }]
+            }
+        };
+        
+        const result = await this.request('/', query);
+        const userId = result._root && result._root.loggedInUser;
+        if (userId && result.user && result.user[userId]) {
+            return { id: userId, name: result.user[userId].name };
+        }
+        return null;
+    }
+    
     /**
      * Gets account details
      */
@@ -239,6 +761,58 @@ class CodecksClient {
         return users;
     }
     
+    /**
+     * Parsuje karty (searchCards, getCard)
+     */
+    parseCards(result) {
+        const users = result.user || {};
+        const decks = result.deck || {};
+        
+        const cards = Object.entries(result.card || {}).map(([id, data]) => ({
+            id: data.id || id,
+            title: data.title || (data.content || '').split('\n')[0],
+            content: data.content || '',
+            status: data.status || null,
+            priority: data.priority || null,
+            effort: data.effort ?? null,
+            dueDate: data.dueDate || null,
+            updatedAt: data.updatedAt || null,
+            visibility: data.visibility || null,
+            deckId: data.deck || null,
+            deckName: data.deck && decks[data.deck] ? decks[data.deck].title : null,
+            assigneeId: data.assignee || null,
+            assigneeName: data.assignee && users[data.assignee] ? users[data.assignee].name : null
+        }));
+        
+        // Normalized responses are keyed by id — keep the requested order
+        return cards.sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+    }
+    
+    /**
+     * Parsuje stany kart (getCardStates)
+     */
+    parseCardStates(result) {
+        const users = result.user || {};
+        const comments = result.resolvable || {};
+        
+        return Object.entries(result.card || {}).map(([id, data]) => ({
+            id: data.id || id,
+            title: (data.content || '').split('\n')[0],
+            status: data.status || null,
+            updatedAt: data.updatedAt || null,
+            assigneeId: data.assignee || null,
+            assigneeName: data.assignee && users[data.assignee] ? users[data.assignee].name : null,
+            comments: (data[COMMENTS_RELATION] || [])
+                .map(commentId => ({ id: commentId, ...(comments[commentId] || {}) }))
+                .map(comment => ({
+                    id: comment.id,
+                    createdAt: comment.createdAt || null,
+                    creatorId: comment.creator || null,
+                    creatorName: comment.creator && users[comment.creator] ? users[comment.creator].name : null
+                }))
+        }));
+    }
+    
     /**
      * Parsuje projects
      */
@@ -276,4 +850,13 @@ class CodecksClient {
     }
 }
 
-module.exports = { CodecksClient };
+module.exports = {
+    CodecksClient,
+    CodecksError,
+    CodecksAuthError,
+    CodecksNotFoundError,
+    CodecksValidationError,
+    CodecksRateLimitError,
+    CodecksServerError,
+    CodecksNetworkError
+};
@@ -0,0 +1,291 @@
+/**
+ * Channel Digests
+ *
+ * Posts a daily or weekly summary into configured channels:
+ *   created     — cards created from the channel in the period
+ *   completed   — those cards done in Codecks during the period
+ *   overdue     — open cards past their due date in the channel's bound deck
+ *   unassigned  — open cards without an owner in the bound deck
+ *
+ * A one-minute timer checks the schedule (no external cron). The last run
+ * per channel lives in the "digests" namespace of the bot store, so a digest
+ * missed while the bot was down is posted after the restart. The first
+ * check only records the time — enabling digests doesn't post right away.
+ *
+ * Codecks has no completion time, so the record also keeps when each card
+ * was first seen done (doneAt; its updatedAt the first time) — a done card
+ * that's only commented on later isn't "completed" again.
+ *
+ * Options (config.json → digest); every channel may override them:
+ *   enabled             — false turns the scheduler off (!digest now still works)
+ *   frequency           — "daily" or "weekly"
+ *   time                — "HH:MM" in timeZone (config.timeZone by default)
+ *   weekday             — day of weekly digests ("monday")
+ *   sections            — which of the sections above to include
+ *   maxCardsPerSection  — longer sections end with "…and N more"
+ *   trackDays           — cards created longer ago aren't checked for completion
+ *   channels            — ["C123", { "channel": "C456", "frequency": "weekly" }]
+ */
+
+const { MemoryStore } = require('./store');
+const { linkedCards } = require('./links');
+
+const NAMESPACE = 'digests';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SECTIONS = ['created', 'completed', 'overdue', 'unassigned'];
+
+// Open cards of the bound deck looked at for overdue / unassigned
+const DECK_CARD_LIMIT = 200;
+
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    frequency: 'daily',
+    time: '09:00',
+    weekday: 'monday',
+    timeZone: 'UTC',
+    sections: SECTIONS,
+    maxCardsPerSection: 10,
+    trackDays: 30,
+    channels: []
+};
+
+/**
+ * Milliseconds to add to UTC for local time in a zone at an instant
+ */
+function zoneOffset(timeZone, timestamp) {
+    try {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+        const local = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+            Number(parts.hour), Number(parts.minute), Number(parts.second));
+        return local - Math.floor(timestamp / 1000) * 1000;
+    } catch {
+        return 0;    // unknown zone → UTC
+    }
+}
+
+/**
+ * Latest scheduled time at or before `now` (timestamp, null if none)
+ * @param {object} schedule - { frequency, time: "HH:MM", weekday, timeZone }
+ */
+function lastScheduledAt(schedule, now = Date.now()) {
+    const [hour, minute] = String(schedule.time || '09:00').split(':').map(Number);
+    const weekday = WEEKDAYS.indexOf(String(schedule.weekday || 'monday').toLowerCase());
+    const localNow = new Date(now + zoneOffset(schedule.timeZone, now));
+
+    for (let back = 0; back <= 7; back++) {
+        const day = new Date(Date.UTC(localNow.getUTCFullYear(), localNow.getUTCMonth(), localNow.getUTCDate() - back));
+        if (schedule.frequency === 'weekly' && day.getUTCDay() !== weekday) continue;
+
+        const local = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour || 0, minute || 0);
+        const guess = local - zoneOffset(schedule.timeZone, local);
+        const slot = local - zoneOffset(schedule.timeZone, guess);
+        if (slot <= now) return slot;
+    }
+    return null;
+}
+
+/**
+ * Today in a zone as "YYYY-MM-DD"
+ */
+function localDate(timeZone, now) {
+    return new Date(now + zoneOffset(timeZone, now)).toISOString().substring(0, 10);
+}
+
+class DigestScheduler {
+    /**
+     * @param {object} store - bot store (src/store.js)
+     * @param {object} deps - { codecksClient, links (CardLinkStore), bindings (ChannelBindingStore),
+     *                        post(channel, digest), options }
+     */
+    constructor(store = new MemoryStore(), { codecksClient, links, bindings, post, options = {} } = {}) {
+        this.store = store;
+        this.codecksClient = codecksClient;
+        this.links = links;
+        this.bindings = bindings;
+        this.post = post;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.checking = false;
+        this.timer = null;
+    }
+
+    /**
+     * Settings of every scheduled channel
+     */
+    channels() {
+        return this.options.channels.map(entry => typeof entry === 'string'
+            ? this.settingsFor(entry)
+            : this.settingsFor(entry.channel || entry.id, entry));
+    }
+
+    /**
+     * Settings for a channel (configured or the defaults)
+     */
+    settingsFor(channel, overrides = null) {
+        const configured = overrides || this.options.channels.find(entry =>
+            typeof entry === 'object' && (entry.channel || entry.id) === channel) || {};
+        const { channels, enabled, ...defaults } = this.options;
+        return { ...defaults, ...configured, channel };
+    }
+
+    isScheduled(channel) {
+        return this.channels().some(settings => settings.channel === channel);
+    }
+
+    /**
+     * Posts every digest whose scheduled time passed since its last run
+     */
+    async check(now = Date.now()) {
+        if (this.checking) return 0;
+        this.checking = true;
+
+        let posted = 0;
+        try {
+            for (const settings of this.channels()) {
+                const state = this.store.get(NAMESPACE, settings.channel);
+                if (!state || !state.lastRunAt) {
+                    this.store.set(NAMESPACE, settings.channel, { ...state, lastRunAt: now });
+                    continue;
+                }
+
+                const slot = lastScheduledAt(settings, now);
+                if (slot === null || slot <= state.lastRunAt) continue;
+
+                try {
+                    await this.run(settings.channel, now);
+                    this.store.set(NAMESPACE, settings.channel, { ...this.store.get(NAMESPACE, settings.channel), lastRunAt: now });
+                    posted++;
+                } catch (error) {
+                    console.error(`[Digest] ${settings.channel} failed:`, error.message);
+                }
+            }
+        } finally {
+            this.checking = false;
+        }
+        return posted;
+    }
+
+    /**
+     * Builds and posts the digest of one channel (scheduled or !digest now)
+     */
+    async run(channel, now = Date.now()) {
+        const digest = await this.build(this.settingsFor(channel), now);
+        await this.post(channel, digest);
+        console.log(`[Digest] Posted ${digest.frequency} digest to ${channel}`);
+        return digest;
+    }
+
+    /**
+     * Collects the sections of a digest
+     * @returns {{ channel, frequency, since, deckPath, sections: { name: cards|null } }}
+     */
+    async build(settings, now = Date.now()) {
+        const since = now - (PERIOD_DAYS[settings.frequency] || 1) * DAY_MS;
+        const wanted = settings.sections.filter(name => SECTIONS.includes(name));
+        const sections = {};
+
+        const links = this.links.all().filter(link => link.channel === settings.channel);
+        const cardUrl = (cardId) => this.codecksClient.getCardUrl(cardId);
+
+        if (wanted.includes('created')) {
+            sections.created = links
+                .filter(link => new Date(link.createdAt).getTime() >= since)
+                .flatMap(link => linkedCards(link).map(card => ({ title: card.title, url: cardUrl(card.cardId) })));
+        }
+
+        if (wanted.includes('completed')) {
+            const cutoff = now - settings.trackDays * DAY_MS;
+            const cardIds = links
+                .filter(link => new Date(link.createdAt).getTime() >= cutoff)
+                .flatMap(link => linkedCards(link).map(card => card.cardId))
+                .filter(Boolean);
+            const states = cardIds.length > 0 ? await this.codecksClient.getCardStates(cardIds) : [];
+            const doneAt = this.recordCompletions(settings.channel, states, now);
+            sections.completed = states
+                .filter(state => state.status === 'done' && doneAt[state.id] >= since)
+                .map(state => ({ title: state.title, url: cardUrl(state.id), assigneeName: state.assigneeName }));
+        }
+
+        const binding = this.bindings ? this.bindings.get(settings.channel) : null;
+        const deckSections = wanted.filter(name => name === 'overdue' || name === 'unassigned');
+
+        if (deckSections.length > 0 && binding) {
+            const cards = await this.codecksClient.searchCards({ deckId: binding.deckId, openOnly: true, limit: DECK_CARD_LIMIT });
+            const today = localDate(settings.timeZone, now);
+            const describe = card => ({
+                title: card.title,
+                url: cardUrl(card.id),
+                assigneeName: card.assigneeName,
+                dueDate: card.dueDate ? String(card.dueDate).substring(0, 10) : null
+            });
+
+            if (deckSections.includes('overdue')) {
+                sections.overdue = cards.map(describe)
+                    .filter(card => card.dueDate && card.dueDate < today)
+                    .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+            }
+            if (deckSections.includes('unassigned')) {
+                sections.unassigned = cards.filter(card => !card.assigneeId).map(describe);
+            }
+        } else {
+            // No bound deck → shown as a hint to !bind
+            for (const name of deckSections) sections[name] = null;
+        }
+
+        return {
+            channel: settings.channel,
+            frequency: settings.frequency,
+            since,
+            deckPath: binding ? binding.deckPath : null,
+            maxCardsPerSection: settings.maxCardsPerSection,
+            sections
+        };
+    }
+
+    /**
+     * Updates when the channel's cards were first seen done (reopened cards
+     * are forgotten), returns cardId → timestamp
+     */
+    recordCompletions(channel, states, now) {
+        const record = this.store.get(NAMESPACE, channel) || {};
+        const doneAt = {};
+        for (const state of states) {
+            if (state.status !== 'done') continue;
+            const known = record.doneAt && record.doneAt[state.id];
+            doneAt[state.id] = known || (state.updatedAt ? new Date(state.updatedAt).getTime() : now);
+        }
+        this.store.set(NAMESPACE, channel, { ...record, doneAt });
+        return doneAt;
+    }
+
+    /**
+     * Checks the schedule every minute
+     */
+    start() {
+        if (!this.options.enabled || this.timer || this.options.channels.length === 0) return;
+
+        const tick = () => this.check().catch(error => console.error('[Digest] Check failed:', error.message));
+        this.timer = setInterval(tick, CHECK_INTERVAL_MS);
+        this.timer.unref();
+        tick();
+
+        console.log(`[Digest] Scheduled for ${this.options.channels.length} channel(s)`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = { DigestScheduler, lastScheduledAt, zoneOffset };
@@ -15,11 +15,56 @@ const {
     parseTaskMessage, 
     buildCardContent, 
     isCommand, 
+    parseCommand,
     getCommandResponse,
-    hasCreateCommand 
+    hasCreateCommand,
+    isPreviewRequest,
+    parseDueDate,
+    parseCardReference,
+    parseFindQuery,
+    parseCardId,
+    extractBlocksText
 } = require('./parser');
-const { CodecksClient } = require('./codecks');
+const { CodecksClient, CodecksError } = require('./codecks');
 const { mappingCache } = require('./cache');
+const { createStore } = require('./store');
+const { CardLinkStore, undoDenial, matchEditedTasks } = require('./links');
+const { WorkQueue } = require('./queue');
+const { SlackUserDirectory, parseSlackMention, replaceMentions } = require('./slack-users');
+const { ChannelBindingStore } = require('./bindings');
+const { pendingDeckChoices, pendingPreviews, pendingSearches } = require('./pending');
+const { selectFiles, downloadSlackFile, transferFiles } = require('./attachments');
+const { CardNotifier } = require('./notifier');
+const { DigestScheduler } = require('./digest');
+const { ReactionTrigger } = require('./reactions');
+const { 
+    DECK_CHOICE_ACTION,
+    PREVIEW_CREATE_ACTION,
+    UNDO_ACTION,
+    FIND_PAGE_ACTION,
+    CARD_LIST_ACTION,
+    describeFailure,
+    buildCreationReport, 
+    buildCreationMessage,
+    buildUndoReport,
+    buildEditReport, 
+    buildCardUpdates,
+    withProgress,
+    buildSearchPage,
+    buildCardDetails,
+    buildCardList,
+    buildDigest,
+    buildDeckChoicePrompt, 
+    buildDeckChoiceResult,
+    buildPreview
+} = require('./report');
+const { 
+    CARD_MODAL_CALLBACK, 
+    MESSAGE_SHORTCUT_CALLBACK, 
+    buildCardModal, 
+    buildNoticeModal, 
+    readCardSubmission 
+} = require('./modals');
 const configFile = require('../config.json');
 
 // Merge config: environment variables override config.json
@@ -41,7 +86,10 @@ const config = {
         : configFile.deckMapping || {},
     userMapping: process.env.USER_MAPPING 
         ? JSON.parse(process.env.USER_MAPPING) 
-        : configFile.userMapping || {}
+        : configFile.userMapping || {},
+    
+    // Persistent state (learned links, bindings)
+    dataDir: process.env.DATA_DIR || configFile.dataDir || 'data'
 };
 
 const app = express();
@@ -53,225 +101,2199 @@ const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
 // Codecks Client
 const codecksClient = new CodecksClient(
     process.env.CODECKS_TOKEN,
-    process.env.CODECKS_SUBDOMAIN
+    process.env.CODECKS_SUBDOMAIN,
+    config.codecks || {}
 );
 
-// Event deduplication
-const processedEvents = new Set();
+// Bot state (dedupe keys, card links, bindings, cache snapshot)
+const store = createStore(config.store || {}, config.dataDir);
+
+// Event deduplication window (Slack retries, restarts)
+const EVENT_DEDUPE_TTL_MS = 10 * 60 * 1000;
+
+// Slack message → Codecks cards
+const cardLinks = new CardLinkStore(store, { retentionDays: (config.store || {}).linkRetentionDays });
+
+// Slack user id → profile / Codecks user (learned links persisted)
+const slackUsers = new SlackUserDirectory(store);
+
+// Channel → default deck (!bind, persisted)
+const channelBindings = new ChannelBindingStore(store);
+
+// Serve the last cache snapshot until Codecks answers
+mappingCache.attachStore(store);
+
+// Deck choices, previews and !find pages outlive a restart
+for (const pending of [pendingDeckChoices, pendingPreviews, pendingSearches]) pending.attachStore(store);
+
+// Slack events are acknowledged at once and processed from a durable queue
+const eventQueue = new WorkQueue(store, processJob, {
+    ...(config.queue || {}),
+    onDead: handleDeadJob
+});
+
+// Codecks changes of created cards → their Slack threads (!notify on)
+const cardNotifier = new CardNotifier(store, {
+    codecksClient,
+    links: cardLinks,
+    post: postCardUpdates,
+    onProgress: handleCardProgress,
+    options: config.notifications || {}
+});
+
+// Daily / weekly channel digests (config.digest, !digest now)
+const digestScheduler = new DigestScheduler(store, {
+    codecksClient,
+    links: cardLinks,
+    bindings: channelBindings,
+    post: postDigest,
+    options: { timeZone: config.timeZone || 'UTC', ...(config.digest || {}) }
+});
+
+// Reaction with config.reactionTrigger.emoji → cards from any message
+const reactionTrigger = new ReactionTrigger({
+    slackClient,
+    links: cardLinks,
+    isChannelAllowed,
+    ensureCache,
+    authorName: resolveAuthorName,
+    create: async ({ channel, ts, user, author, tasks, deckPath, files, origin }) => {
+        const resolved = await resolveTasks(tasks, deckPath, channel, { user: author, ts });
+        await createTasks(channel, ts, user, resolved, files, origin);
+    },
+    options: config.reactionTrigger || {}
+});
+
+// Commands that manage bindings (also accepted in channels not bound yet)
+const BINDING_COMMANDS = ['!bind', '!unbind', '!binding'];
 
 // Middleware do weryfikacji Slack
 app.use('/slack/events', express.raw({ type: 'application/json' }));
+app.use(['/slack/commands', '/slack/interactions'], express.raw({ type: 'application/x-www-form-urlencoded' }));
 
 // JSON middleware for other endpoints
 app.use(express.json());
 
 /**
- * Verifies Slack request signature
+ * Verifies Slack request signature
+ */
+function verifySlackSignature(req) {
+    const timestamp = req.headers['x-slack-request-timestamp'];
+    const signature = req.headers['x-slack-signature'];
+    
+    if (!timestamp || !signature) return false;
+    
+    const fiveMinutesAgo = Math.floor(Date.now() / 1000) - 60 * 5;
+    if (timestamp < fiveMinutesAgo) return false;
+    
+    const sigBasestring = `v0:${timestamp}:${req.body}`;
+    const mySignature = 'v0=' + crypto
+        .createHmac('sha256', process.env.SLACK_SIGNING_SECRET)
+        .update(sigBasestring)
+        .digest('hex');
+    
+    try {
+        return crypto.timingSafeEqual(
+            Buffer.from(mySignature),
+            Buffer.from(signature)
+        );
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Slack Events API endpoint
+ */
+app.post('/slack/events', async (req, res) => {
+    if (!verifySlackSignature(req)) {
+        console.error('[Auth] Invalid Slack signature');
+        return res.status(401).send('Unauthorized');
+    }
+    
+    const payload = JSON.parse(req.body);
+    
+    // URL Verification
+    if (payload.type === 'url_verification') {
+        console.log('[Slack] URL verification OK');
+        return res.json({ challenge: payload.challenge });
+    }
+    
+    if (payload.type === 'event_callback') {
+        const retryNum = req.headers['x-slack-retry-num'];
+        if (retryNum) {
+            console.log(`[Slack] Retry #${retryNum} (${req.headers['x-slack-retry-reason'] || 'unknown'}) of ${payload.event_id}`);
+        }
+        
+        // Not queued → non-200, so Slack retries the delivery
+        try {
+            enqueueEvent(payload);
+        } catch (error) {
+            console.error('[Queue] Failed to enqueue event:', error.message);
+            return res.status(500).send('Queue error');
+        }
+    }
+    
+    // Odpowiadamy natychmiast, przetwarzanie w kolejce
+    res.status(200).send('OK');
+});
+
+/**
+ * Queues a Slack event unless it was already queued (Slack retry,
+ * duplicate delivery of the same message or edit)
+ */
+function enqueueEvent(payload) {
+    const event = payload.event || {};
+    const keys = eventDedupeKeys(payload);
+    
+    if (keys.some(key => store.has('events', key))) {
+        console.log(`[Queue] Duplicate event ${payload.event_id || keys[0]} skipped`);
+        return null;
+    }
+    
+    const job = eventQueue.enqueue({
+        type: 'slack_event',
+        payload: { event },
+        groupKey: eventGroupKey(event)
+    });
+    
+    for (const key of keys) markProcessed(key);
+    return job;
+}
+
+/**
+ * Dedupe keys: Slack's event_id (same on retries) and the message
+ * (client_msg_id / ts), or the message + edit time for edits
+ */
+function eventDedupeKeys(payload) {
+    const event = payload.event || {};
+    const keys = payload.event_id ? [`event:${payload.event_id}`] : [];
+    
+    if (event.type === 'reaction_added') {
+        const item = event.item || {};
+        keys.push(`reaction:${item.channel}:${item.ts}:${event.user}:${event.reaction}`);
+    } else if (event.subtype === 'message_changed') {
+        const message = event.message || {};
+        const editTs = (message.edited && message.edited.ts) || event.event_ts || event.ts;
+        keys.push(`edit:${event.channel}:${message.ts}:${editTs}`);
+    } else if (event.client_msg_id || event.ts) {
+        keys.push(`${event.client_msg_id || event.ts}`);
+    }
+    
+    return keys;
+}
+
+/**
+ * Jobs of one Slack message (its creation, edits, thread replies) run in order
+ */
+function eventGroupKey(event) {
+    if (event.type === 'reaction_added' && event.item) {
+        return `${event.item.channel}:${event.item.ts}`;
+    }
+    if (event.subtype === 'message_changed' && event.message) {
+        return `${event.channel}:${event.message.ts}`;
+    }
+    return `${event.channel}:${event.thread_ts || event.ts}`;
+}
+
+/**
+ * Queue handler — throws to retry the job later
+ */
+async function processJob(job) {
+    if (job.type === 'slack_event') {
+        await handleEvent(job.payload.event);
+        return;
+    }
+    if (job.type === 'create_tasks') {
+        const { channel, ts, user, tasks, files } = job.payload;
+        await createTasks(channel, ts, user, tasks, files);
+        return;
+    }
+    throw new Error(`Unknown job type: ${job.type}`);
+}
+
+/**
+ * A message that kept failing: mark it in Slack so someone replays it (/queue)
+ */
+async function handleDeadJob(job) {
+    const { channel, ts } = jobMessage(job);
+    if (!channel || !ts) return;
+    
+    await addReaction(channel, ts, { success: [], failed: [{ error: job.lastError }] });
+    try {
+        await slackClient.chat.postMessage({
+            channel,
+            thread_ts: ts,
+            text: `❌ Couldn't process this message after ${job.attempts} attempt(s): ${job.lastError}\nIt can be replayed from the bot's /queue endpoint (job \`${job.id}\`).`
+        });
+    } catch (error) {
+        console.error('[Slack] Failed to report dead job:', error.message);
+    }
+}
+
+/**
+ * Slack message a job belongs to ({ channel, ts })
+ */
+function jobMessage(job) {
+    const payload = job.payload || {};
+    if (job.type === 'create_tasks') return { channel: payload.channel, ts: payload.ts };
+    
+    const event = payload.event || {};
+    const message = event.subtype === 'message_changed' ? (event.message || {}) : event;
+    return { channel: event.channel, ts: message.ts };
+}
+
+/**
+ * Slash command endpoint (/codecks → card creation modal)
+ */
+app.post('/slack/commands', async (req, res) => {
+    if (!verifySlackSignature(req)) {
+        console.error('[Auth] Invalid Slack signature');
+        return res.status(401).send('Unauthorized');
+    }
+    
+    const params = new URLSearchParams(req.body.toString());
+    const command = params.get('command');
+    const channel = params.get('channel_id');
+    
+    if (command !== '/codecks') {
+        return res.json({ response_type: 'ephemeral', text: `⚠️ Unknown command: ${command}` });
+    }
+    
+    if (!isChannelAllowed(channel)) {
+        return res.json({ response_type: 'ephemeral', text: '⚠️ Codecks bot is not enabled in this channel.' });
+    }
+    
+    // Odpowiadamy natychmiast, modal otwieramy przez trigger_id
+    res.status(200).send('');
+    
+    console.log(`[Command] /codecks from ${params.get('user_id')} in ${channel}`);
+    
+    const opened = await openCardModal(
+        params.get('trigger_id'),
+        { channel, user: params.get('user_id') },
+        { title: (params.get('text') || '').trim() }
+    );
+    
+    if (!opened) {
+        await respondEphemeral(params.get('response_url'), '❌ Could not open the Codecks form — check /health.');
+    }
+});
+
+/**
+ * Interactivity endpoint (modal submissions, message shortcuts, buttons)
+ */
+app.post('/slack/interactions', async (req, res) => {
+    if (!verifySlackSignature(req)) {
+        console.error('[Auth] Invalid Slack signature');
+        return res.status(401).send('Unauthorized');
+    }
+    
+    let payload;
+    try {
+        payload = JSON.parse(new URLSearchParams(req.body.toString()).get('payload'));
+    } catch {
+        return res.status(400).send('Bad payload');
+    }
+    
+    if (payload.type === 'view_submission' && payload.view.callback_id === CARD_MODAL_CALLBACK) {
+        const response = await handleCardSubmission(payload);
+        return response ? res.json(response) : res.status(200).send('');
+    }
+    
+    res.status(200).send('');
+    
+    if (payload.type === 'message_action' && payload.callback_id === MESSAGE_SHORTCUT_CALLBACK) {
+        await handleMessageShortcut(payload);
+        return;
+    }
+    
+    if (payload.type === 'block_actions') {
+        const action = (payload.actions || []).find(a => a.action_id.startsWith(DECK_CHOICE_ACTION));
+        if (action) await handleDeckChoice(payload, action);
+        
+        const previewAction = (payload.actions || []).find(a => a.action_id === PREVIEW_CREATE_ACTION);
+        if (previewAction) await handlePreviewCreate(payload, previewAction);
+        
+        const undoAction = (payload.actions || []).find(a => a.action_id === UNDO_ACTION);
+        if (undoAction) await handleUndoButton(payload, undoAction);
+        
+        const findAction = (payload.actions || []).find(a => a.action_id.startsWith(FIND_PAGE_ACTION));
+        if (findAction) await handleFindPage(payload, findAction);
+        
+        const listAction = (payload.actions || []).find(a => a.action_id === CARD_LIST_ACTION);
+        if (listAction) await handleCardListAction(payload, listAction);
+    }
+});
+
+/**
+ * Handles incoming message events
+ */
+async function handleEvent(event) {
+    if (event.type === 'reaction_added') {
+        await reactionTrigger.handle(event);
+        return;
+    }
+    
+    if (event.type !== 'message' || event.bot_id) return;
+    
+    // Edited [Create] message → update its cards
+    if (event.subtype === 'message_changed') {
+        await handleMessageEdit(event);
+        return;
+    }
+    
+    // Files posted with the message arrive as "file_share"
+    if (event.subtype && event.subtype !== 'file_share') return;
+    
+    const messageText = event.text || '';
+    const command = parseCommand(messageText);
+    
+    // Channel filter — with "bound" in allowedChannels a channel
+    // has to be able to run !bind before it's allowed
+    const bindingCommand = command && BINDING_COMMANDS.includes(command.name) && config.allowedChannels.includes('bound');
+    if (!isChannelAllowed(event.channel) && !bindingCommand) return;
+    
+    // Kept for /debug-message (memory only — message text isn't persisted)
+    lastDebugEvent = {
+        timestamp: new Date().toISOString(),
+        text: messageText,
+        blocks: event.blocks || null
+    };
+    
+    // Handle bot commands
+    if (command) {
+        console.log(`[Command] ${messageText.trim()}`);
+        await handleCommand(event.channel, event.ts, messageText, event.user, event.thread_ts);
+        return;
+    }
+    
+    // Thread reply under a [Create] message → card comment
+    if (event.thread_ts && event.thread_ts !== event.ts && !hasCreateCommand(messageText)) {
+        await handleThreadReply(event);
+        return;
+    }
+    
+    if (!hasCreateCommand(messageText)) return;
+    
+    // Initialize cache on first use (the queue retries while Codecks is down)
+    if (!await ensureCache()) {
+        throw new Error('Codecks unavailable — mapping cache not initialized');
+    }
+    
+    // Parse message into tasks
+    const { tasks, deckPath } = parseTaskMessage(messageText, event.blocks || null);
+    if (tasks.length === 0) return;
+    
+    // Resolve deck IDs and assignees
+    const tasksWithUuids = await resolveTasks(tasks, deckPath, event.channel, { user: event.user, ts: event.ts });
+    
+    // [Preview] / [DryRun] → show the cards, create them on the button
+    if (isPreviewRequest(messageText)) {
+        await postPreview(event.channel, event.ts, event.user, tasksWithUuids, event.files);
+        return;
+    }
+    
+    await createTasks(event.channel, event.ts, event.user, tasksWithUuids, event.files);
+}
+
+/**
+ * Creates resolved tasks of a message, reacts and reports in its thread.
+ * Tasks without a deck are reported, not created;
+ * ambiguous deck names wait for a choice in the thread.
+ * Files of the message are attached to every created card.
+ * Each card is linked as soon as it exists, so a job run again after a crash
+ * only creates the tasks that don't have a card yet.
+ * Throws when nothing was created and Codecks may recover (queue retry).
+ */
+async function createTasks(channel, ts, user, tasks, files = [], origin = 'message') {
+    const link = cardLinks.get(channel, ts);
+    if (link) {
+        const linked = new Set(link.tasks.map(task => task.index));
+        tasks = tasks.filter(task => !linked.has(task.index));
+        if (tasks.length === 0) {
+            console.log(`[Event] ${channel}:${ts} already has cards — skipped`);
+            return;
+        }
+    }
+    
+    const validTasks = tasks.filter(t => t.deckId);
+    const ambiguousTasks = tasks.filter(t => !t.deckId && t.deckChoices);
+    const skippedTasks = tasks.filter(t => !t.deckId && !t.deckChoices);
+    
+    if (skippedTasks.length > 0) {
+        console.warn(`[Event] ${skippedTasks.length} task(s) skipped — no deck ID`);
+    }
+    
+    if (validTasks.length > 0 || skippedTasks.length > 0) {
+        // Slack files → Codecks attachments
+        const transfer = validTasks.length > 0 && files && files.length > 0
+            ? await transferMessageFiles(files)
+            : { attachments: [], failed: [] };
+        
+        // Create cards (each linked to the message right away), react and report in thread
+        const results = await createCardsInCodecks(validTasks, transfer.attachments,
+            (card) => saveMessageLink(channel, ts, user, [card], origin));
+        results.fileFailures = transfer.failed;
+        
+        // Nothing created and Codecks may recover → let the queue retry
+        if (validTasks.length > 0 && results.success.length === 0 && results.failed.every(f => f.retryable)) {
+            throw new Error(`No cards created: ${results.failed[0].error}`);
+        }
+        
+        for (const task of skippedTasks) {
+            results.failed.push(unknownDeckFailure(task));
+        }
+        
+        await addReaction(channel, ts, results);
+        await postCreationReport(channel, ts, results);
+    }
+    
+    await promptDeckChoices(channel, ts, user, ambiguousTasks, files);
+}
+
+/**
+ * Downloads a message's files from Slack and uploads them to Codecks
+ */
+async function transferMessageFiles(files) {
+    return transferFiles(files, {
+        download: (file) => downloadSlackFile(file, process.env.SLACK_BOT_TOKEN),
+        upload: (buffer, meta) => codecksClient.uploadFile(buffer, meta),
+        options: config.attachments || {}
+    });
+}
+
+/**
+ * Posts the [Preview] of resolved tasks in the thread;
+ * the tasks (and files) wait in pendingPreviews for "Create these"
+ */
+async function postPreview(channel, ts, user, tasks, files = []) {
+    const { accepted, rejected } = selectFiles(files, config.attachments || {});
+    const entry = pendingPreviews.add({
+        channel,
+        ts,
+        user: user || null,
+        tasks,
+        files: files || [],
+        cards: tasks.map(describePreviewCard),
+        fileSummary: { accepted: accepted.map(file => file.name || file.id), rejected }
+    });
+    
+    console.log(`[Preview] ${channel}:${ts} — ${tasks.length} task(s)`);
+    
+    try {
+        await slackClient.chat.postMessage({
+            channel,
+            thread_ts: ts,
+            ...buildPreview(entry),
+            unfurl_links: false,
+            unfurl_media: false
+        });
+    } catch (error) {
+        console.error('[Slack] Failed to post preview:', error.message);
+    }
+}
+
+/**
+ * What a preview shows for a task — the card as it would be sent to Codecks
+ */
+function describePreviewCard(task) {
+    const body = (card) => buildCardContent(card).split('\n').slice(1).join('\n').trim();
+    return {
+        title: task.title,
+        body: body(task),
+        deckPath: task.deckPath,
+        deck: task.deckId ? mappingCache.describeDeck(task.deckId) : null,
+        deckChoices: task.deckChoices,
+        assigneeName: task.assigneeName || null,
+        assignee: task.assigneeId
+            ? (mappingCache.userNames.get(task.assigneeId) || task.assigneeName)
+            : null,
+        priority: task.priority || config.defaultPriority || 'b',
+        effort: task.effort ?? null,
+        tags: task.tags || [],
+        due: task.due || null,
+        dueDate: task.dueDate || null,
+        children: (task.children || []).map(child => ({
+            title: child.title,
+            body: body(child),
+            assigneeName: child.assigneeName || null,
+            assignee: child.assigneeId
+                ? (mappingCache.userNames.get(child.assigneeId) || child.assigneeName)
+                : null
+        })),
+        warnings: task.warnings || []
+    };
+}
+
+/**
+ * "Create these" button: queues the previewed tasks for creation
+ * and marks the preview as used
+ */
+async function handlePreviewCreate(payload, action) {
+    const entry = pendingPreviews.take(action.value);
+    
+    if (!entry) {
+        await respondEphemeral(payload.response_url, '⚠️ This preview has expired or was already created — post it again.');
+        return;
+    }
+    
+    console.log(`[Preview] ${entry.channel}:${entry.ts} — creating (by ${payload.user.id})`);
+    
+    try {
+        await slackClient.chat.update({
+            channel: entry.channel,
+            ts: (payload.message || {}).ts,
+            ...buildPreview(entry, { createdBy: payload.user.id })
+        });
+    } catch (error) {
+        console.error('[Slack] Failed to update preview:', error.message);
+    }
+    
+    eventQueue.enqueue({
+        type: 'create_tasks',
+        payload: { channel: entry.channel, ts: entry.ts, user: entry.user, tasks: entry.tasks, files: entry.files },
+        groupKey: `${entry.channel}:${entry.ts}`
+    });
+}
+
+/**
+ * Adds cards created from a [Create] message to its link record
+ */
+function saveMessageLink(channel, ts, user, created, origin = 'message') {
+    if (created.length === 0) return;
+    
+    const existing = cardLinks.get(channel, ts);
+    cardLinks.save(channel, ts, {
+        user,
+        origin,
+        tasks: [...(existing ? existing.tasks : []), ...created.map(card => card.snapshot)]
+    });
+}
+
+/**
+ * Asks in the thread which deck an ambiguous [Deck: …] meant
+ * (one prompt per deck name, the tasks wait in pendingDeckChoices)
+ */
+async function promptDeckChoices(channel, ts, user, tasks, files = []) {
+    const groups = new Map();
+    for (const task of tasks) {
+        const key = mappingCache.normalize(task.deckPath);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(task);
+    }
+    
+    for (const group of groups.values()) {
+        const entry = pendingDeckChoices.add({
+            channel,
+            ts,
+            user,
+            deckPath: group[0].deckPath,
+            candidates: group[0].deckChoices,
+            tasks: group,
+            files
+        });
+        
+        console.log(`[Deck] "${entry.deckPath}" is ambiguous — asking (${group.length} task(s))`);
+        
+        try {
+            await slackClient.chat.postMessage({
+                channel,
+                thread_ts: ts,
+                ...buildDeckChoicePrompt(entry)
+            });
+        } catch (error) {
+            console.error('[Slack] Failed to post deck choice:', error.message);
+        }
+    }
+}
+
+/**
+ * Deck choice button: creates the waiting cards in the chosen deck
+ * and replaces the prompt with the result
+ */
+async function handleDeckChoice(payload, action) {
+    const [pendingId, deckId] = String(action.value || '').split(':');
+    const entry = pendingDeckChoices.take(pendingId);
+    const message = payload.message || {};
+    const channel = (payload.channel && payload.channel.id) || (entry && entry.channel);
+    
+    if (!entry || !entry.candidates.some(c => c.id === deckId)) {
+        await respondEphemeral(payload.response_url, '⚠️ This choice has expired or was already made.');
+        return;
+    }
+    
+    const deckName = mappingCache.describeDeck(deckId);
+    console.log(`[Deck] "${entry.deckPath}" → ${deckName} (chosen by ${payload.user.id})`);
+    
+    try {
+        await slackClient.chat.update({
+            channel,
+            ts: message.ts,
+            text: buildDeckChoiceResult(entry, deckName, payload.user.id),
+            blocks: []
+        });
+    } catch (error) {
+        console.error('[Slack] Failed to update deck choice:', error.message);
+    }
+    
+    const tasks = entry.tasks.map(task => ({ ...task, deckId, deckPath: deckName, deckChoices: null }));
+    const transfer = entry.files && entry.files.length > 0
+        ? await transferMessageFiles(entry.files)
+        : { attachments: [], failed: [] };
+    const results = await createCardsInCodecks(tasks, transfer.attachments,
+        (card) => saveMessageLink(entry.channel, entry.ts, entry.user, [card]));
+    results.fileFailures = transfer.failed;
+    
+    await addReaction(entry.channel, entry.ts, results);
+    await postCreationReport(entry.channel, entry.ts, results);
+}
+
+/**
+ * Handles an edited [Create] message: updates changed cards,
+ * creates newly added tasks and (optionally) archives removed ones
+ */
+async function handleMessageEdit(event) {
+    const message = event.message || {};
+    if (message.bot_id || !message.ts) return;
+    
+    if (!isChannelAllowed(event.channel)) return;
+    
+    // Only [Create] messages that already created cards are tracked
+    const link = cardLinks.get(event.channel, message.ts);
+    if (!link || link.origin !== 'message') return;
+    
+    if (!await ensureCache()) {
+        throw new Error('Codecks unavailable — mapping cache not initialized');
+    }
+    
+    const { tasks, deckPath } = parseTaskMessage(message.text || '', message.blocks || null);
+    const resolvedTasks = await resolveTasks(tasks, deckPath, event.channel, { user: message.user, ts: message.ts });
+    
+    console.log(`[Edit] ${event.channel}:${message.ts} — ${link.tasks.length} card(s) → ${resolvedTasks.length} task(s)`);
+    
+    const results = { updated: [], success: [], archived: [], removed: [], failed: [] };
+    const snapshots = [];
+    const newTasks = [];
+    
+    // Tasks ↔ cards by title, then body, then position
+    const matches = matchEditedTasks(link.tasks, resolvedTasks.map(task => snapshotTask(task, null)));
+    
+    for (const task of resolvedTasks) {
+        const previous = matches.get(task.index);
+        
+        if (!previous) {
+            if (task.deckId) newTasks.push(task);
+            else results.failed.push(unknownDeckFailure(task));
+            continue;
+        }
+        
+        // Unknown or ambiguous deck on edit → keep the card where it is
+        if (!task.deckId) {
+            task.deckId = previous.deckId;
+            task.warnings.push(task.deckChoices
+                ? `Deck "${task.deckPath}" is ambiguous — card kept in its current deck`
+                : `Unknown deck "${task.deckPath}" — card kept in its current deck${didYouMean(task.deckSuggestions)}`);
+        }
+        
+        const next = snapshotTask(task, previous.cardId);
+        const sub = await syncChildren(task, previous, next.children, results);
+        next.children = sub.children;
+        
+        const changes = diffSnapshots(previous, next);
+        const reported = sub.changed ? [...changes, 'children'] : changes;
+        
+        if (changes.length === 0) {
+            snapshots.push(next);
+            if (sub.changed) results.updated.push({ ...describeCard(task, previous.cardId), changes: reported });
+            continue;
+        }
+        
+        try {
+            const update = { id: previous.cardId };
+            for (const field of changes) update[field] = next[field];
+            await codecksClient.updateCard(update);
+            
+            snapshots.push(next);
+            results.updated.push({ ...describeCard(task, previous.cardId), changes: reported });
+            console.log(`[Card] Updated: "${task.title}" (${changes.join(', ')})`);
+            
+        } catch (error) {
+            const { removed, ...kept } = previous;
+            snapshots.push({ ...kept, index: task.index, children: next.children });
+            results.failed.push({ title: task.title, reason: failureReason(error), error: error.message });
+            console.error(`[Card] Update failed: "${task.title}" -`, error.message);
+        }
+    }
+    
+    // Newly added tasks
+    const created = await createCardsInCodecks(newTasks);
+    results.success.push(...created.success);
+    results.failed.push(...created.failed);
+    snapshots.push(...created.success.map(card => card.snapshot));
+    
+    // Tasks removed from the message (earlier removals stay linked as they were)
+    const matched = new Set(matches.values());
+    const unmatched = link.tasks.filter(t => !matched.has(t));
+    snapshots.push(...unmatched.filter(t => t.removed));
+    
+    for (const previous of unmatched.filter(t => !t.removed)) {
+        const card = { title: previous.title, url: codecksClient.getCardUrl(previous.cardId) };
+        
+        // Kept linked, so adding the task back reuses the card
+        if (!config.archiveRemovedCards) {
+            snapshots.push({ ...previous, index: null, removed: true });
+            results.removed.push(card);
+            continue;
+        }
+        
+        try {
+            for (const child of previous.children || []) await codecksClient.archiveCard(child.cardId);
+            await codecksClient.archiveCard(previous.cardId);
+            results.archived.push(card);
+            console.log(`[Card] Archived: "${previous.title}"`);
+        } catch (error) {
+            snapshots.push({ ...previous, index: null });    // archived again on the next edit
+            results.failed.push({ title: previous.title, reason: failureReason(error), error: error.message });
+            console.error(`[Card] Archive failed: "${previous.title}" -`, error.message);
+        }
+    }
+    
+    cardLinks.save(event.channel, message.ts, { tasks: snapshots });
+    
+    const report = buildEditReport(results);
+    if (report) {
+        try {
+            await slackClient.chat.postMessage({
+                channel: event.channel,
+                thread_ts: message.ts,
+                text: report,
+                unfurl_links: false,
+                unfurl_media: false
+            });
+        } catch (error) {
+            console.error('[Slack] Failed to post edit report:', error.message);
+        }
+    }
+}
+
+/**
+ * Edit sync of a task's sub-cards ([Sub] / [Nested]) — matched like the
+ * tasks of a message; new ones are created under the card, removed ones
+ * kept linked or archived (archiveRemovedCards).
+ * Returns { children: snapshots, changed }
+ */
+async function syncChildren(task, previous, nextChildren, results) {
+    const previousChildren = previous.children || [];
+    const matches = matchEditedTasks(previousChildren, nextChildren);
+    const children = [];
+    let changed = false;
+    
+    for (const next of nextChildren) {
+        const old = matches.get(next.index);
+        const title = `${task.title} › ${next.title}`;
+        
+        try {
+            if (!old) {
+                const card = await codecksClient.createCard({
+                    content: next.content,
+                    deckId: next.deckId,
+                    parentCardId: previous.cardId,
+                    assigneeId: next.assigneeId,
+                    priority: next.priority,
+                    effort: next.effort,
+                    tags: next.tags,
+                    dueDate: next.dueDate
+                });
+                children.push({ ...next, cardId: card.id });
+                changed = true;
+                console.log(`[Card] Created sub-card: "${title}"`);
+                continue;
+            }
+            
+            const fields = diffSnapshots(old, next);
+            if (fields.length > 0) {
+                const update = { id: old.cardId };
+                for (const field of fields) update[field] = next[field];
+                await codecksClient.updateCard(update);
+                changed = true;
+                console.log(`[Card] Updated sub-card: "${title}" (${fields.join(', ')})`);
+            }
+            children.push({ ...next, cardId: old.cardId });
+            
+        } catch (error) {
+            if (old) {
+                const { removed, ...kept } = old;
+                children.push({ ...kept, index: next.index });
+            }
+            results.failed.push({ title, reason: failureReason(error), error: error.message });
+            console.error(`[Card] Sub-card sync failed: "${title}" -`, error.message);
+        }
+    }
+    
+    const matched = new Set(matches.values());
+    for (const old of previousChildren.filter(child => !matched.has(child))) {
+        if (old.removed) {
+            children.push(old);
+            continue;
+        }
+        
+        changed = true;
+        if (!config.archiveRemovedCards) {
+            children.push({ ...old, index: null, removed: true });
+            continue;
+        }
+        
+        try {
+            await codecksClient.archiveCard(old.cardId);
+            console.log(`[Card] Archived sub-card: "${task.title} › ${old.title}"`);
+        } catch (error) {
+            children.push({ ...old, index: null });
+            results.failed.push({ title: `${task.title} › ${old.title}`, reason: failureReason(error), error: error.message });
+            console.error(`[Card] Sub-card archive failed: "${old.title}" -`, error.message);
+        }
+    }
+    
+    return { children, changed };
+}
+
+/**
+ * Posts a thread reply as a comment on the card created from the parent
+ * message — the only card, or the one picked with "[Card: N]"
+ */
+async function handleThreadReply(event) {
+    if (config.syncThreadComments === false) return;
+    
+    const link = cardLinks.get(event.channel, event.thread_ts);
+    if (!link || link.tasks.length === 0) return;
+    
+    const { cardNumber, text } = parseCardReference(event.text);
+    if (!text) return;
+    
+    let target = null;
+    if (cardNumber !== null) {
+        target = link.tasks.find(t => t.index === cardNumber - 1);
+        if (!target) {
+            console.warn(`[Comment] No card #${cardNumber} in thread ${event.thread_ts}`);
+            await addReaction(event.channel, event.ts, { success: [], failed: [{ error: 'Unknown card' }] });
+            return;
+        }
+    } else if (link.tasks.filter(t => !t.removed).length === 1) {
+        target = link.tasks.find(t => !t.removed);
+    } else {
+        // Several cards and no [Card: N] → plain discussion, not for Codecks
+        return;
+    }
+    
+    const author = await resolveAuthorName(event.user);
+    const content = `**${author}** (Slack):\n\n${text}`;
+    
+    try {
+        await codecksClient.createComment(target.cardId, content);
+        console.log(`[Comment] ${author} → "${target.title}"`);
+        await addReaction(event.channel, event.ts, { success: [target], failed: [] });
+    } catch (error) {
+        console.error(`[Comment] Failed on "${target.title}" -`, error.message);
+        await addReaction(event.channel, event.ts, { success: [], failed: [{ error: error.message }] });
+    }
+}
+
+/**
+ * Resolves a Slack user to their Codecks name (falls back to the Slack name)
+ */
+async function resolveAuthorName(slackUserId) {
+    if (!slackUserId) return 'Slack user';
+    
+    const codecksUserId = await slackUsers.resolveCodecksUser(slackClient, slackUserId, mappingCache, config.userMapping);
+    return (codecksUserId && mappingCache.userNames.get(codecksUserId)) || await slackUsers.getName(slackClient, slackUserId);
+}
+
+/**
+ * Assignee for a parsed owner — a Slack mention goes through the
+ * Slack user directory, a plain name through the mapping cache
+ */
+async function resolveAssignee(assigneeName) {
+    const slackUserId = parseSlackMention(assigneeName);
+    if (!slackUserId) {
+        return mappingCache.resolveFresh('user', assigneeName, config.userMapping);
+    }
+    
+    return slackUsers.resolveCodecksUser(slackClient, slackUserId, mappingCache, config.userMapping);
+}
+
+/**
+ * Rewrites Slack mentions in a task ("<@U123>" → "@Anna") and turns
+ * a mentioned owner into a readable name for reports
+ */
+async function resolveTaskMentions(task) {
+    const nameFor = async (slackUserId) => {
+        const codecksUserId = await slackUsers.resolveCodecksUser(slackClient, slackUserId, mappingCache, config.userMapping);
+        return (codecksUserId && mappingCache.userNames.get(codecksUserId)) || await slackUsers.getName(slackClient, slackUserId);
+    };
+    
+    const mentionedOwner = parseSlackMention(task.assigneeName);
+    
+    return {
+        ...task,
+        assigneeName: mentionedOwner ? await nameFor(mentionedOwner) : task.assigneeName,
+        title: await replaceMentions(task.title, nameFor),
+        description: await Promise.all(task.description.map(line => replaceMentions(line, nameFor))),
+        checkboxes: await Promise.all(task.checkboxes.map(async box => ({ ...box, text: await replaceMentions(box.text, nameFor) })))
+    };
+}
+
+/**
+ * "Send to Codecks" message shortcut: opens the card modal pre-filled
+ * with the message text, its permalink and the original author
+ */
+async function handleMessageShortcut(payload) {
+    const channel = payload.channel && payload.channel.id;
+    const message = payload.message || {};
+    
+    if (!isChannelAllowed(channel)) {
+        await respondEphemeral(payload.response_url, '⚠️ Codecks bot is not enabled in this channel.');
+        return;
+    }
+    
+    console.log(`[Shortcut] Send to Codecks: ${channel}:${message.ts} by ${payload.user.id}`);
+    
+    const text = extractBlocksText(message.blocks) || message.text || '';
+    const [firstLine, ...rest] = text.split('\n');
+    
+    // Permalink and author are looked up once the modal is open
+    const details = async () => {
+        const [permalink, author] = await Promise.all([
+            slackClient.chat.getPermalink({ channel, message_ts: message.ts })
+                .then(r => r.permalink)
+                .catch(error => {
+                    console.error('[Slack] Failed to get permalink:', error.message);
+                    return null;
+                }),
+            resolveAuthorName(message.user)
+        ]);
+        return {
+            metadata: { source: { channel, ts: message.ts, permalink, author } },
+            notes: [`📎 From ${permalink ? `<${permalink}|a message>` : 'a message'} by *${author}*`]
+        };
+    };
+    
+    const opened = await openCardModal(
+        payload.trigger_id,
+        { channel, user: payload.user.id, source: { channel, ts: message.ts } },
+        { title: firstLine.trim(), description: rest.join('\n').trim() },
+        details
+    );
+    
+    if (!opened) {
+        await respondEphemeral(payload.response_url, '❌ Could not open the Codecks form — check /health.');
+    }
+}
+
+/**
+ * Opens the card creation modal. The trigger_id expires after 3 s, so the
+ * modal opens first — with the form when the mapping cache is ready, else
+ * as "Loading…" — and is filled in with views.update once the cache and
+ * `details` (async () => ({ metadata, notes }), slow lookups) are done.
+ * Returns false when the modal couldn't be opened.
+ */
+async function openCardModal(triggerId, metadata, initial = {}, details = null) {
+    const form = async (extra = {}) => buildCardModal({
+        decks: mappingCache.listDecks(),
+        users: mappingCache.listUsers(),
+        metadata: { ...metadata, ...extra.metadata },
+        notes: extra.notes || [],
+        initial: {
+            deckId: await resolveDefaultDeck(metadata.channel),
+            priority: config.defaultPriority || 'b',
+            ...initial
+        }
+    });
+    
+    const ready = mappingCache.initialized;
+    let viewId;
+    try {
+        const view = ready ? await form() : buildNoticeModal('⏳ Loading decks and users from Codecks…');
+        const result = await slackClient.views.open({ trigger_id: triggerId, view });
+        viewId = result.view.id;
+    } catch (error) {
+        console.error('[Slack] Failed to open modal:', error.message);
+        return false;
+    }
+    
+    if (ready && !details) return true;
+    
+    try {
+        const view = await ensureCache()
+            ? await form(details ? await details() : {})
+            : buildNoticeModal('❌ Codecks is unavailable right now — try again in a moment.');
+        await slackClient.views.update({ view_id: viewId, view });
+    } catch (error) {
+        console.error('[Slack] Failed to update modal:', error.message);
+    }
+    return true;
+}
+
+/**
+ * Handles a modal submission: invalid input is shown in the modal, otherwise
+ * the modal closes at once and the card is created afterwards
+ * (Slack waits max 3 s for the response)
+ */
+async function handleCardSubmission(payload) {
+    const { task, metadata, errors } = readCardSubmission(payload.view);
+    
+    if (Object.keys(errors).length > 0) {
+        return { response_action: 'errors', errors };
+    }
+    
+    createSubmittedCard(payload.user.id, task, metadata)
+        .catch(error => console.error('[Modal] Card creation failed:', error.message));
+    
+    return { response_action: 'clear' };
+}
+
+/**
+ * Creates the card of a submitted modal and reports it
+ * (a failure is sent to the submitter only)
+ */
+async function createSubmittedCard(user, task, metadata) {
+    // Card from a message shortcut keeps a link back to the Slack message
+    const source = metadata.source;
+    if (source) {
+        if (task.description.length > 0) task.description.push('');
+        if (source.permalink) task.description.push(`Slack: ${source.permalink}`);
+        if (source.author) task.description.push(`Reported by: ${source.author}`);
+    }
+    
+    const results = await createCardsInCodecks([{ ...task, index: 0, deckPath: null, warnings: [] }]);
+    
+    if (results.failed.length > 0) {
+        const text = `❌ Couldn't create the card "${task.title}": ${describeFailure(results.failed[0])}`;
+        const channel = (source && source.channel) || metadata.channel;
+        try {
+            if (channel) await slackClient.chat.postEphemeral({ channel, user, text });
+            else await slackClient.chat.postMessage({ channel: user, text });
+        } catch (error) {
+            console.error('[Slack] Failed to report modal failure:', error.message);
+        }
+        return;
+    }
+    
+    if (source) {
+        await postSourceThreadReport(source, user, results);
+    } else {
+        await postChannelReport(
+            metadata.channel || user,
+            user,
+            results,
+            `🆕 <@${user}> created a card with /codecks`
+        );
+    }
+}
+
+/**
+ * Replies in the source message thread with the card created from it
+ * (thread replies then become comments on that card)
+ */
+async function postSourceThreadReport(source, user, results) {
+    const text = `📤 <@${user}> sent this message to Codecks\n\n${buildCreationReport(results)}`;
+    const response = await slackClient.chat.postMessage({
+        channel: source.channel,
+        thread_ts: source.ts,
+        text,
+        unfurl_links: false,
+        unfurl_media: false
+    });
+    
+    // Don't take over a message that already has its own cards
+    if (!cardLinks.get(source.channel, source.ts)) {
+        cardLinks.save(source.channel, source.ts, {
+            user,
+            origin: 'shortcut',
+            tasks: results.success.map(card => card.snapshot),
+            report: { ts: response.ts, text }
+        });
+    }
+}
+
+/**
+ * Posts a creation report as a new channel message and links its cards
+ * to that message (so thread replies become card comments)
+ */
+async function postChannelReport(channel, user, results, intro) {
+    const text = `${intro}\n\n${buildCreationReport(results)}`;
+    const response = await slackClient.chat.postMessage({
+        channel: channel,
+        text,
+        unfurl_links: false,
+        unfurl_media: false
+    });
+    
+    if (results.success.length > 0) {
+        cardLinks.save(response.channel || channel, response.ts, {
+            user,
+            origin: 'modal',
+            tasks: results.success.map(card => card.snapshot),
+            report: { ts: response.ts, text }
+        });
+    }
+    
+    return response;
+}
+
+/**
+ * Sends an ephemeral message through a slash command response_url
+ */
+async function respondEphemeral(responseUrl, text) {
+    if (!responseUrl) return;
+    
+    try {
+        await fetch(responseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ response_type: 'ephemeral', text })
+        });
+    } catch (error) {
+        console.error('[Slack] Failed to send ephemeral response:', error.message);
+    }
+}
+
+/**
+ * Checks the channel against config.allowedChannels
+ */
+function isChannelAllowed(channel) {
+    if (config.allowedChannels && config.allowedChannels.length > 0) {
+        if (config.allowedChannels.includes(channel)) return true;
+        
+        // "bound" → every channel with a !bind default deck
+        return config.allowedChannels.includes('bound') && !!channelBindings.get(channel);
+    }
+    return true;
+}
+
+/**
+ * Why a user may not change channel settings (null = allowed): with
+ * config.admins only admins may; without admins nobody may when "bound"
+ * is in allowedChannels (!bind would let anyone switch the bot on)
+ */
+function channelSettingsDenial(user) {
+    const admins = config.admins || [];
+    if (admins.length > 0) return admins.includes(user) ? null : 'Only bot admins can';
+    if ((config.allowedChannels || []).includes('bound')) return 'Set `admins` in config.json before anyone can';
+    return null;
+}
+
+/**
+ * Remembers a dedupe key for EVENT_DEDUPE_TTL_MS (also across restarts)
+ */
+function markProcessed(eventKey) {
+    store.set('events', eventKey, true, { ttlMs: EVENT_DEDUPE_TTL_MS });
+}
+
+/**
+ * Initializes the cache on first use; false if Codecks is unreachable.
+ * A stale cache keeps serving while it refreshes in the background.
+ */
+async function ensureCache() {
+    if (mappingCache.initialized) {
+        mappingCache.refreshIfStale();
+        return true;
+    }
+    
+    try {
+        await mappingCache.initialize(codecksClient);
+        return true;
+    } catch (error) {
+        console.error('[Cache] Init failed:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Resolves deck IDs, assignees and due dates for parsed tasks.
+ * Each task keeps its position in the message as `index`.
+ * A miss refreshes the cache once (new decks/users) before giving up.
+ * The channel's binding (!bind) comes before the global default deck.
+ * Relative due dates count from the message time (`source.ts`, so an
+ * edit doesn't move them) in the author's Slack time zone.
+ */
+async function resolveTasks(tasks, deckPath, channel = null, source = {}) {
+    const resolved = [];
+    const hasDue = tasks.some(task => task.due || (task.children || []).some(child => child.due));
+    const dateOptions = {
+        timeZone: hasDue ? await authorTimeZone(source.user) : 'UTC',
+        now: source.ts ? Math.round(Number(source.ts) * 1000) : Date.now()
+    };
+    
+    for (const [index, task] of tasks.entries()) {
+        const warnings = [];
+        const taskDeckPath = task.deckPath || deckPath;
+        let taskDeckId = taskDeckPath ? await resolveDeckId(taskDeckPath, channel) : null;
+        let deckChoices = null;
+        let deckSuggestions = [];
+        
+        // Deck name shared by several spaces → someone has to choose
+        if (taskDeckId && taskDeckId.ambiguous) {
+            deckChoices = taskDeckId.candidates;
+            taskDeckId = null;
+        } else if (!taskDeckId) {
+            taskDeckId = await resolveDefaultDeck(channel);
+            if (taskDeckPath) {
+                deckSuggestions = mappingCache.suggest('deck', taskDeckPath, config.deckMapping, config.spaceMapping);
+            }
+            if (taskDeckId && taskDeckPath) {
+                warnings.push(`Unknown deck "${taskDeckPath}" — used the default deck${didYouMean(deckSuggestions)}`);
+            }
+        }
+        
+        const assigneeId = task.assigneeName 
+            ? await resolveAssignee(task.assigneeName)
+            : null;
+        
+        // Mentions → readable names (owner, title, description)
+        const readable = await resolveTaskMentions(task);
+        
+        if (task.assigneeName && !assigneeId) {
+            const userSuggestions = mappingCache.suggest('user', readable.assigneeName, config.userMapping);
+            warnings.push(`Unknown user "${readable.assigneeName}" — card left unassigned${didYouMean(userSuggestions)}`);
+        }
+        
+        // Child cards ([Sub] / [Nested]) go to the parent's deck
+        const children = [];
+        for (const child of task.children || []) {
+            const childAssigneeId = child.assigneeName ? await resolveAssignee(child.assigneeName) : null;
+            const readableChild = await resolveTaskMentions(child);
+            
+            if (child.assigneeName && !childAssigneeId) {
+                const userSuggestions = mappingCache.suggest('user', readableChild.assigneeName, config.userMapping);
+                warnings.push(`Sub-card "${readableChild.title}": unknown user "${readableChild.assigneeName}" — left unassigned${didYouMean(userSuggestions)}`);
+            }
+            const childDueDate = resolveDueDate(child.due, dateOptions, warnings, `Sub-card "${readableChild.title}": `);
+            children.push({ ...readableChild, assigneeId: childAssigneeId, dueDate: childDueDate });
+        }
+        
+        const dueDate = resolveDueDate(task.due, dateOptions, warnings);
+        
+        resolved.push({
+            ...readable,
+            children,
+            index,
+            deckPath: taskDeckPath,
+            deckId: taskDeckId,
+            deckChoices,
+            deckSuggestions,
+            assigneeId,
+            dueDate,
+            warnings
+        });
+    }
+    
+    return resolved;
+}
+
+/**
+ * Due date text → "YYYY-MM-DD"; an unreadable one becomes a warning
+ * in the report (the card is created without a due date)
+ */
+function resolveDueDate(due, options, warnings, prefix = '') {
+    if (!due) return null;
+    
+    const date = parseDueDate(due, options);
+    if (!date) warnings.push(`${prefix}Couldn't read due date "${due}" — no due date set`);
+    return date;
+}
+
+/**
+ * Time zone from the Slack profile (config.timeZone, then UTC as fallback)
+ */
+async function authorTimeZone(slackUserId) {
+    const profile = slackUserId ? await slackUsers.getProfile(slackClient, slackUserId) : null;
+    return (profile && profile.timeZone) || config.timeZone || 'UTC';
+}
+
+/**
+ * Report reason for a failed Codecks call (typed error code or generic)
+ */
+function failureReason(error) {
+    return error instanceof CodecksError ? error.code : 'api_error';
+}
+
+/**
+ * Report entry for a task that couldn't be placed in any deck
+ */
+function unknownDeckFailure(task) {
+    if (task.deckChoices) {
+        return {
+            title: task.title,
+            reason: 'ambiguous_deck',
+            error: `"${task.deckPath}" matches ${task.deckChoices.map(c => c.path).join(', ')} — use [Deck: Space/Deck]`
+        };
+    }
+    
+    return {
+        title: task.title,
+        reason: 'unknown_deck',
+        error: task.deckPath
+            ? `"${task.deckPath}" not found${didYouMean(task.deckSuggestions)}`
+            : 'no [Deck: …] given and no default deck configured'
+    };
+}
+
+/**
+ * " — did you mean A, B or C?" for unresolved names (empty without suggestions)
+ */
+function didYouMean(suggestions = []) {
+    if (suggestions.length === 0) return '';
+    const quoted = suggestions.map(name => `"${name}"`);
+    const last = quoted.pop();
+    return ` — did you mean ${quoted.length > 0 ? `${quoted.join(', ')} or ${last}` : last}?`;
+}
+
+/**
+ * What was sent to Codecks for a task — stored per card to diff edits.
+ * Sub-cards get their own snapshots (index = position under the task).
+ */
+function snapshotTask(task, cardId, childCardIds = []) {
+    return {
+        ...snapshotCard(task, cardId),
+        children: (task.children || []).map((child, index) =>
+            snapshotCard({ ...child, index, deckId: task.deckId }, childCardIds[index] || null))
+    };
+}
+
+function snapshotCard(task, cardId) {
+    return {
+        index: task.index,
+        cardId: cardId,
+        title: task.title,
+        content: buildCardContent(task),
+        deckId: task.deckId,
+        assigneeId: task.assigneeId || null,
+        priority: task.priority || config.defaultPriority || 'b',
+        effort: task.effort ?? null,
+        tags: task.tags || [],
+        dueDate: task.dueDate || null
+    };
+}
+
+/**
+ * Lists card fields that differ between two snapshots
+ */
+function diffSnapshots(previous, next) {
+    const fields = ['content', 'deckId', 'assigneeId', 'priority', 'effort', 'tags', 'dueDate'];
+    return fields.filter(field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(next[field] ?? null));
+}
+
+/**
+ * Report entry for a card (title, link, deck, assignee)
+ */
+function describeCard(task, cardId) {
+    return {
+        title: task.title,
+        assignee: task.assigneeId
+            ? (mappingCache.userNames.get(task.assigneeId) || task.assigneeName)
+            : null,
+        deckPath: task.deckPath,
+        deck: mappingCache.describeDeck(task.deckId),
+        cardId: cardId,
+        url: codecksClient.getCardUrl(cardId),
+        dueDate: task.dueDate || null,
+        children: (task.children || []).map(child => ({
+            title: child.title,
+            assignee: child.assigneeId
+                ? (mappingCache.userNames.get(child.assigneeId) || child.assigneeName)
+                : null
+        })),
+        warnings: task.warnings || []
+    };
+}
+
+/**
+ * Resolves deck path to UUID.
+ * A bare deck name is looked up in the channel's bound space first.
+ */
+async function resolveDeckId(deckPath, channel = null) {
+    if (!deckPath) return null;
+    
+    console.log(`[Deck] Resolving: ${deckPath}`);
+    
+    const binding = channel ? channelBindings.get(channel) : null;
+    if (binding && binding.spaceName && !deckPath.includes('/')) {
+        const deckName = mappingCache.resolveAlias(deckPath, config.deckMapping);
+        const boundDeckId = mappingCache.deckPaths.get(mappingCache.normalize(`${binding.spaceName}/${deckName}`));
+        if (boundDeckId) {
+            console.log(`[Deck] ${deckPath} → ${boundDeckId} (bound space ${binding.spaceName})`);
+            return boundDeckId;
+        }
+    }
+    
+    return mappingCache.resolveFresh(
+        'deck',
+        deckPath, 
+        config.deckMapping,
+        config.spaceMapping
+    );
+}
+
+/**
+ * Default deck: the channel's binding, then defaultDeckId, then defaultDeckName
+ */
+async function resolveDefaultDeck(channel = null) {
+    const binding = channel ? channelBindings.get(channel) : null;
+    if (binding) {
+        // Deck deleted in Codecks since !bind → fall back to the global default
+        if (!mappingCache.initialized || mappingCache.deckInfo.has(binding.deckId)) {
+            return binding.deckId;
+        }
+        console.warn(`[Deck] Bound deck ${binding.deckPath} for ${channel} no longer exists`);
+    }
+    
+    if (config.defaultDeckId) return config.defaultDeckId;
+    
+    if (config.defaultDeckName) {
+        console.log(`[Deck] Resolving default: ${config.defaultDeckName}`);
+        const deckId = await mappingCache.resolveFresh(
+            'deck',
+            config.defaultDeckName,
+            config.deckMapping,
+            config.spaceMapping
+        );
+        
+        if (deckId && deckId.ambiguous) {
+            console.warn(`[Deck] Default deck "${config.defaultDeckName}" is ambiguous — use "Space/Deck"`);
+            return null;
+        }
+        return deckId;
+    }
+    return null;
+}
+
+/**
+ * Handles bot commands (!help, !commands, !status, !refresh, !bind, !unbind, !binding, !undo, !notify,
+ * !find, !card, !hand, !mine, !digest, !unlink)
+ */
+async function handleCommand(channel, timestamp, message, user = null, threadTs = null) {
+    const trimmed = message.trim().toLowerCase();
+    const command = parseCommand(message);
+    
+    if (command && BINDING_COMMANDS.includes(command.name)) {
+        await handleBindingCommand(channel, timestamp, command, user);
+        return;
+    }
+    
+    if (command && command.name === '!undo') {
+        await handleUndoCommand(channel, timestamp, user, threadTs);
+        return;
+    }
+    
+    if (command && command.name === '!notify') {
+        await handleNotifyCommand(channel, timestamp, command, user);
+        return;
+    }
+    
+    if (command && command.name === '!find') {
+        await handleFindCommand(channel, timestamp, command, user);
+        return;
+    }
+    
+    if (command && command.name === '!card') {
+        await handleCardCommand(channel, timestamp, command);
+        return;
+    }
+    
+    if (command && (command.name === '!hand' || command.name === '!mine')) {
+        await handleCardListCommand(channel, timestamp, command.name.slice(1), user);
+        return;
+    }
+    
+    if (command && command.name === '!digest') {
+        await handleDigestCommand(channel, timestamp, command);
+        return;
+    }
+    
+    if (command && command.name === '!unlink') {
+        await handleUnlinkCommand(channel, timestamp, command, user);
+        return;
+    }
+    
+    // Handle !refresh separately
+    if (trimmed === '!refresh') {
+        try {
+            await mappingCache.refresh(codecksClient);
+            await slackClient.chat.postMessage({
+                channel: channel,
+                thread_ts: timestamp,
+                text: '✅ Cache refreshed!\n\n' + formatCacheStats()
+            });
+        } catch (error) {
+            await slackClient.chat.postMessage({
+                channel: channel,
+                thread_ts: timestamp,
+                text: `❌ Cache refresh failed: ${error.message}`
+            });
+        }
+        return;
+    }
+    
+    const response = getCommandResponse(message, mappingCache.getStats());
+    
+    if (response) {
+        try {
+            await slackClient.chat.postMessage({
+                channel: channel,
+                thread_ts: timestamp,
+                text: response
+            });
+            
+        } catch (error) {
+            console.error('[Slack] Failed to send command response:', error.message);
+        }
+    }
+}
+
+/**
+ * !bind Space/Deck, !unbind, !binding — the channel's default deck
+ */
+async function handleBindingCommand(channel, timestamp, command, user) {
+    const reply = async (text) => {
+        try {
+            await slackClient.chat.postMessage({ channel, thread_ts: timestamp, text });
+        } catch (error) {
+            console.error('[Slack] Failed to send binding response:', error.message);
+        }
+    };
+    
+    if (command.name === '!binding') {
+        const binding = channelBindings.get(channel);
+        if (binding) {
+            await reply(`📌 This channel creates cards in *${binding.deckPath}* by default` +
+                (binding.boundBy ? ` (bound by <@${binding.boundBy}>)` : '') + '.');
+        } else {
+            const fallback = await resolveDefaultDeck();
+            await reply(`📌 No binding — cards without [Deck: …] go to ${fallback ? `*${mappingCache.describeDeck(fallback)}* (global default)` : 'no deck (no default configured)'}.`);
+        }
+        return;
+    }
+    
+    // Changing bindings may be limited to admins
+    const denial = channelSettingsDenial(user);
+    if (denial) {
+        await reply(`⛔ ${denial} change channel bindings.`);
+        return;
+    }
+    
+    if (command.name === '!unbind') {
+        const removed = channelBindings.unbind(channel);
+        console.log(`[Bindings] ${channel} unbound by ${user}`);
+        await reply(removed ? '🗑️ Binding removed — the global default deck applies again.' : 'ℹ️ This channel has no binding.');
+        return;
+    }
+    
+    // !bind Space/Deck
+    if (!command.args) {
+        await reply('⚠️ Usage: `!bind Space/Deck`');
+        return;
+    }
+    
+    if (!await ensureCache()) {
+        await reply('❌ Codecks cache not available — try again later.');
+        return;
+    }
+    
+    const deckId = await mappingCache.resolveFresh('deck', command.args, config.deckMapping, config.spaceMapping);
+    
+    if (deckId && deckId.ambiguous) {
+        await reply(`🤔 "${command.args}" matches ${deckId.candidates.map(c => `*${c.path}*`).join(', ')} — use \`!bind Space/Deck\`.`);
+        return;
+    }
+    
+    if (!deckId) {
+        const suggestions = mappingCache.suggest('deck', command.args, config.deckMapping, config.spaceMapping);
+        await reply(`❌ Deck "${command.args}" not found${didYouMean(suggestions)}`);
+        return;
+    }
+    
+    const info = mappingCache.deckInfo.get(deckId) || {};
+    const binding = channelBindings.bind(channel, {
+        deckId,
+        deckPath: mappingCache.describeDeck(deckId),
+        spaceId: info.spaceId,
+        spaceName: info.spaceName,
+        boundBy: user
+    });
+    
+    console.log(`[Bindings] ${channel} → ${binding.deckPath} (by ${user})`);
+    await reply(`📌 Bound: cards without [Deck: …] in this channel go to *${binding.deckPath}*` +
+        (binding.spaceName ? `, and bare deck names are looked up in *${binding.spaceName}* first.` : '.'));
+}
+
+/**
+ * !notify on|off|status — Codecks updates in this channel's threads
+ */
+async function handleNotifyCommand(channel, timestamp, command, user) {
+    const reply = async (text) => {
+        try {
+            await slackClient.chat.postMessage({ channel, thread_ts: timestamp, text });
+        } catch (error) {
+            console.error('[Slack] Failed to send notify response:', error.message);
+        }
+    };
+    
+    const action = (command.args || 'status').toLowerCase();
+    
+    if (action === 'status') {
+        const status = cardNotifier.channelStatus(channel);
+        if (!status) {
+            await reply('🔕 Codecks updates are off in this channel — turn them on with `!notify on`.');
+        } else if (status.source === 'config') {
+            await reply('🔔 Codecks updates are on for this channel (config.json).');
+        } else {
+            await reply(`🔔 Codecks updates are on for this channel` +
+                (status.enabledBy ? ` (turned on by <@${status.enabledBy}>)` : '') + '.');
+        }
+        if (!cardNotifier.options.enabled) await reply('⚠️ The notification poller is disabled in config.json.');
+        return;
+    }
+    
+    if (action !== 'on' && action !== 'off') {
+        await reply('⚠️ Usage: `!notify on`, `!notify off` or `!notify status`');
+        return;
+    }
+    
+    // Same rule as channel bindings
+    const denial = channelSettingsDenial(user);
+    if (denial) {
+        await reply(`⛔ ${denial} change notifications.`);
+        return;
+    }
+    
+    if (action === 'on') {
+        cardNotifier.enable(channel, user);
+        console.log(`[Notify] ${channel} opted in by ${user}`);
+        await reply('🔔 Codecks updates on: started, done, reassigned and commented cards will be posted in the thread they were created from.');
+        return;
+    }
+    
+    const removed = cardNotifier.disable(channel);
+    console.log(`[Notify] ${channel} opted out by ${user}`);
+    if (!removed && cardNotifier.channelStatus(channel)) {
+        await reply('ℹ️ This channel is opted in through config.json (notifications.channels).');
+    } else {
+        await reply(removed ? '🔕 Codecks updates off for this channel.' : 'ℹ️ Codecks updates were not on in this channel.');
+    }
+}
+
+/**
+ * !find text [in Space/Deck] [@owner] — card search, paged in the thread
+ */
+async function handleFindCommand(channel, timestamp, command, user) {
+    const reply = async (message) => {
+        try {
+            await slackClient.chat.postMessage({
+                channel,
+                thread_ts: timestamp,
+                ...(typeof message === 'string' ? { text: message } : message),
+                unfurl_links: false,
+                unfurl_media: false
+            });
+        } catch (error) {
+            console.error('[Slack] Failed to send search response:', error.message);
+        }
+    };
+    
+    const query = parseFindQuery(command.args);
+    if (!query.text && !query.deckPath && !query.owner && !query.ownerSlackId) {
+        await reply('⚠️ Usage: `!find text [in Space/Deck] [@owner]`');
+        return;
+    }
+    
+    if (!await ensureCache()) {
+        await reply('❌ Codecks cache not available — try again later.');
+        return;
+    }
+    
+    // [in Space/Deck] → deck id (the channel's bound space first)
+    let deckId = null;
+    if (query.deckPath) {
+        deckId = await resolveDeckId(query.deckPath, channel);
+        if (deckId && deckId.ambiguous) {
+            await reply(`🤔 "${query.deckPath}" matches ${deckId.candidates.map(c => `*${c.path}*`).join(', ')} — use \`in Space/Deck\`.`);
+            return;
+        }
+        if (!deckId && query.text) {
+            // Not a deck — "in" was part of the text ("sign in button")
+            console.log(`[Find] "${query.deckPath}" is no deck — searching "${query.fullText}"`);
+            query.text = query.fullText;
+            query.deckPath = null;
+        } else if (!deckId) {
+            const suggestions = mappingCache.suggest('deck', query.deckPath, config.deckMapping, config.spaceMapping);
+            await reply(`❌ Deck "${query.deckPath}" not found${didYouMean(suggestions)}`);
+            return;
+        }
+    }
+    
+    // [@owner] → Codecks user (Slack mention or Codecks name)
+    let assigneeId = null;
+    let ownerName = query.owner;
+    if (query.ownerSlackId) {
+        assigneeId = await slackUsers.resolveCodecksUser(slackClient, query.ownerSlackId, mappingCache, config.userMapping);
+        ownerName = await slackUsers.getName(slackClient, query.ownerSlackId);
+    } else if (query.owner) {
+        assigneeId = await mappingCache.resolveFresh('user', query.owner, config.userMapping);
+    }
+    if ((query.owner || query.ownerSlackId) && !assigneeId) {
+        const suggestions = query.owner ? mappingCache.suggest('user', query.owner, config.userMapping) : [];
+        await reply(`❌ No Codecks user for ${query.ownerSlackId ? `<@${query.ownerSlackId}>` : `"${query.owner}"`}${didYouMean(suggestions)}`);
+        return;
+    }
+    
+    const options = { pageSize: 10, maxResults: 100, ...(config.search || {}) };
+    let cards;
+    try {
+        cards = await codecksClient.searchCards({ text: query.text, deckId, assigneeId, limit: options.maxResults + 1 });
+    } catch (error) {
+        console.error('[Find] Search failed:', error.message);
+        await reply(`❌ Search failed: ${describeFailure({ reason: failureReason(error), error: error.message })}`);
+        return;
+    }
+    
+    const entry = pendingSearches.add({
+        channel,
+        user,
+        query: { text: query.text, deckPath: deckId ? mappingCache.describeDeck(deckId) : null, ownerName },
+        cards: cards.slice(0, options.maxResults).map(describeFoundCard),
+        pageSize: options.pageSize,
+        truncated: cards.length > options.maxResults
+    });
+    
+    console.log(`[Find] "${query.text}" → ${cards.length} card(s)`);
+    await reply(buildSearchPage(entry, 0));
+}
+
+/**
+ * Card from searchCards / getCard as shown in Slack
+ */
+function describeFoundCard(card) {
+    return {
+        id: card.id,
+        title: card.title,
+        content: card.content,
+        url: codecksClient.getCardUrl(card.id),
+        deckPath: card.deckId ? mappingCache.describeDeck(card.deckId) || card.deckName : card.deckName,
+        status: card.status,
+        assigneeName: card.assigneeName,
+        priority: card.priority,
+        effort: card.effort,
+        dueDate: card.dueDate,
+        visibility: card.visibility
+    };
+}
+
+/**
+ * "Previous" / "More" under !find results: shows another page
+ */
+async function handleFindPage(payload, action) {
+    const channel = payload.channel && payload.channel.id;
+    if (!isChannelAllowed(channel)) return;
+    
+    const [id, page] = String(action.value || '').split(':');
+    const entry = pendingSearches.get(id);
+    if (!entry) {
+        await respondEphemeral(payload.response_url, '⌛ These results expired — run `!find` again.');
+        return;
+    }
+    
+    try {
+        await slackClient.chat.update({
+            channel,
+            ts: payload.message.ts,
+            ...buildSearchPage(entry, parseInt(page, 10) || 0)
+        });
+    } catch (error) {
+        console.error('[Slack] Failed to update search results:', error.message);
+    }
+}
+
+/**
+ * !card <id or link> — one card with content, checkboxes and status
  */
-function verifySlackSignature(req) {
-    const timestamp = req.headers['x-slack-request-timestamp'];
-    const signature = req.headers['x-slack-signature'];
-    
-    if (!timestamp || !signature) return false;
-    
-    const fiveMinutesAgo = Math.floor(Date.now() / 1000) - 60 * 5;
-    if (timestamp < fiveMinutesAgo) return false;
+async function handleCardCommand(channel, timestamp, command) {
+    const cardId = parseCardId(command.args);
+    let text;
+    let message = null;
     
-    const sigBasestring = `v0:${timestamp}:${req.body}`;
-    const mySignature = 'v0=' + crypto
-        .createHmac('sha256', process.env.SLACK_SIGNING_SECRET)
-        .update(sigBasestring)
-        .digest('hex');
+    if (!cardId) {
+        text = '⚠️ Usage: `!card <card id or card link posted by the bot>` (links copied from the Codecks app aren\'t supported)';
+    } else {
+        try {
+            const card = await codecksClient.getCard(cardId);
+            if (card && card.visibility !== 'deleted') message = buildCardDetails(describeFoundCard(card));
+            else text = `❌ Card ${cardId} not found in Codecks.`;
+        } catch (error) {
+            console.error('[Card] Lookup failed:', error.message);
+            text = `❌ Card lookup failed: ${describeFailure({ reason: failureReason(error), error: error.message })}`;
+        }
+    }
     
     try {
-        return crypto.timingSafeEqual(
-            Buffer.from(mySignature),
-            Buffer.from(signature)
-        );
-    } catch {
-        return false;
+        await slackClient.chat.postMessage({
+            channel,
+            thread_ts: timestamp,
+            ...(message || { text }),
+            unfurl_links: false,
+            unfurl_media: false
+        });
+    } catch (error) {
+        console.error('[Slack] Failed to send card details:', error.message);
     }
 }
 
 /**
- * Slack Events API endpoint
+ * !hand / !mine — the caller's hand or open assigned cards, by deck
  */
-app.post('/slack/events', async (req, res) => {
-    if (!verifySlackSignature(req)) {
-        console.error('[Auth] Invalid Slack signature');
-        return res.status(401).send('Unauthorized');
-    }
+async function handleCardListCommand(channel, timestamp, kind, user) {
+    let message;
     
-    const payload = JSON.parse(req.body);
+    if (!await ensureCache()) {
+        message = { text: '❌ Codecks cache not available — try again later.' };
+    } else {
+        const codecksUserId = await slackUsers.resolveCodecksUser(slackClient, user, mappingCache, config.userMapping);
+        if (!codecksUserId) {
+            message = { text: '❌ I couldn\'t match you to a Codecks user — ask an admin to add you to `userMapping`.' };
+        } else {
+            try {
+                message = buildCardList(await loadCardList(kind, codecksUserId, user));
+            } catch (error) {
+                console.error(`[Cards] !${kind} failed:`, error.message);
+                message = { text: `❌ Could not load your cards: ${describeFailure({ reason: failureReason(error), error: error.message })}` };
+            }
+        }
+    }
     
-    // URL Verification
-    if (payload.type === 'url_verification') {
-        console.log('[Slack] URL verification OK');
-        return res.json({ challenge: payload.challenge });
+    try {
+        await slackClient.chat.postMessage({
+            channel,
+            thread_ts: timestamp,
+            ...message,
+            unfurl_links: false,
+            unfurl_media: false
+        });
+    } catch (error) {
+        console.error('[Slack] Failed to send card list:', error.message);
     }
+}
+
+/**
+ * Cards for buildCardList: the hand (in hand order) or the open cards
+ * assigned to the user, each marked whether it's on the hand
+ */
+async function loadCardList(kind, codecksUserId, slackUserId) {
+    const hand = await codecksClient.getHand(codecksUserId);
+    const handIds = new Set(hand.map(card => card.id));
     
-    // Odpowiadamy natychmiast
-    res.status(200).send('OK');
+    const options = { maxResults: 100, ...(config.search || {}) };
+    const cards = kind === 'hand'
+        ? hand
+        : await codecksClient.searchCards({ assigneeId: codecksUserId, openOnly: true, limit: options.maxResults });
     
-    if (payload.type === 'event_callback') {
-        await handleEvent(payload.event);
-    }
-});
+    return {
+        kind,
+        slackUserId,
+        userName: mappingCache.userNames.get(codecksUserId) || await slackUsers.getName(slackClient, slackUserId),
+        cards: cards.map(card => ({ ...describeFoundCard(card), onHand: handIds.has(card.id) }))
+    };
+}
 
 /**
- * Handles incoming message events
+ * Start / Done / Remove from hand on a !hand or !mine card; then the
+ * list is reloaded in place. Only the user the list belongs to may act.
  */
-async function handleEvent(event) {
-    if (event.type !== 'message' || event.subtype || event.bot_id) return;
+async function handleCardListAction(payload, action) {
+    const channel = payload.channel && payload.channel.id;
+    if (!isChannelAllowed(channel)) return;
     
-    // Deduplication
-    const eventKey = `${event.client_msg_id || event.ts}`;
-    if (processedEvents.has(eventKey)) return;
-    processedEvents.add(eventKey);
-    setTimeout(() => processedEvents.delete(eventKey), 10 * 60 * 1000);
+    const [kind, op, cardId, ownerSlackId] = String((action.selected_option || {}).value || '').split(':');
+    const user = payload.user.id;
     
-    // Channel filter
-    if (config.allowedChannels && config.allowedChannels.length > 0) {
-        if (!config.allowedChannels.includes(event.channel)) return;
+    if (user !== ownerSlackId) {
+        await respondEphemeral(payload.response_url, `⛔ These are <@${ownerSlackId}>'s cards — run \`!${kind}\` for your own.`);
+        return;
     }
     
-    const messageText = event.text || '';
+    try {
+        if (op === 'start') await codecksClient.updateCard({ id: cardId, status: 'started' });
+        else if (op === 'done') await codecksClient.updateCard({ id: cardId, status: 'done' });
+        else if (op === 'unhand') await codecksClient.removeFromHand(cardId);
+        else return;
+        console.log(`[Cards] ${op} ${cardId} (by ${user})`);
+    } catch (error) {
+        console.error(`[Cards] ${op} ${cardId} failed:`, error.message);
+        await respondEphemeral(payload.response_url, `❌ ${describeFailure({ reason: failureReason(error), error: error.message })}`);
+        return;
+    }
     
-    // Store for /debug-message endpoint
-    lastRawEvent = {
-        timestamp: new Date().toISOString(),
-        text: messageText,
-        textJson: JSON.stringify(messageText),
-        blocks: event.blocks || null,
-        hasBlocks: !!event.blocks,
-        charCodes: [...messageText].map(c => ({ char: c, code: c.charCodeAt(0), hex: 'U+' + c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0') }))
+    try {
+        const codecksUserId = await slackUsers.resolveCodecksUser(slackClient, user, mappingCache, config.userMapping);
+        await slackClient.chat.update({
+            channel,
+            ts: payload.message.ts,
+            ...buildCardList(await loadCardList(kind, codecksUserId, user))
+        });
+    } catch (error) {
+        console.error('[Slack] Failed to refresh card list:', error.message);
+    }
+}
+
+/**
+ * !digest — the channel's digest schedule; !digest now — post it now
+ */
+async function handleDigestCommand(channel, timestamp, command) {
+    const reply = async (text) => {
+        try {
+            await slackClient.chat.postMessage({ channel, thread_ts: timestamp, text });
+        } catch (error) {
+            console.error('[Slack] Failed to send digest response:', error.message);
+        }
     };
     
-    // Handle bot commands
-    if (isCommand(messageText)) {
-        console.log(`[Command] ${messageText.trim()}`);
-        await handleCommand(event.channel, event.ts, messageText);
+    const action = (command.args || '').toLowerCase();
+    
+    if (action === 'now') {
+        try {
+            await digestScheduler.run(channel);
+        } catch (error) {
+            console.error('[Digest] !digest now failed:', error.message);
+            await reply(`❌ Digest failed: ${describeFailure({ reason: failureReason(error), error: error.message })}`);
+        }
         return;
     }
     
-    if (!hasCreateCommand(messageText)) return;
+    if (action) {
+        await reply('⚠️ Usage: `!digest` (schedule) or `!digest now`');
+        return;
+    }
+    
+    const settings = digestScheduler.settingsFor(channel);
+    if (!digestScheduler.isScheduled(channel) || !digestScheduler.options.enabled) {
+        await reply('🗞️ No scheduled digest for this channel (`digest.channels` in config.json) — `!digest now` posts one anyway.');
+        return;
+    }
     
-    // Initialize cache on first use
-    if (!mappingCache.initialized) {
+    const when = settings.frequency === 'weekly' ? `every ${settings.weekday}` : 'every day';
+    await reply(`🗞️ ${settings.frequency === 'weekly' ? 'Weekly' : 'Daily'} digest ${when} at ${settings.time} (${settings.timeZone}): ${settings.sections.join(', ')}.`);
+}
+
+/**
+ * !unlink [@user] — forgets a learned Slack → Codecks user link
+ * (your own, or anyone's for an admin); the next mention matches again
+ */
+async function handleUnlinkCommand(channel, timestamp, command, user) {
+    const reply = async (text) => {
         try {
-            await mappingCache.initialize(codecksClient);
+            await slackClient.chat.postMessage({ channel, thread_ts: timestamp, text });
         } catch (error) {
-            console.error('[Cache] Init failed:', error.message);
-            await addReaction(event.channel, event.ts, { failed: [{ error: 'Cache error' }], success: [] });
-            return;
+            console.error('[Slack] Failed to send unlink response:', error.message);
         }
+    };
+    
+    const target = command.args ? parseSlackMention(command.args) : user;
+    if (!target) {
+        await reply('⚠️ Usage: `!unlink` (yourself) or `!unlink @user`');
+        return;
     }
     
-    // Parse message into tasks
-    const { tasks, deckPath } = parseTaskMessage(messageText, event.blocks || null);
-    if (tasks.length === 0) return;
+    if (target !== user && !(config.admins || []).includes(user)) {
+        await reply('⛔ Only bot admins can unlink other users.');
+        return;
+    }
     
-    // Resolve deck IDs and assignees
-    const tasksWithUuids = tasks.map(task => {
-        const taskDeckPath = task.deckPath || deckPath;
-        let taskDeckId = taskDeckPath ? resolveDeckId(taskDeckPath) : null;
-        if (!taskDeckId) taskDeckId = config.defaultDeckId || resolveDefaultDeck();
-        
-        return {
-            ...task,
-            deckId: taskDeckId,
-            assigneeId: task.assigneeName 
-                ? mappingCache.resolveUser(task.assigneeName, config.userMapping)
-                : null
-        };
+    const removed = slackUsers.unlink(target);
+    console.log(`[SlackUsers] ${target} unlinked by ${user}`);
+    await reply(removed
+        ? `🔗 Forgot the Codecks user of <@${target}> — the next mention is matched by the Slack profile again.`
+        : `ℹ️ <@${target}> has no learned Codecks user.`);
+}
+
+/**
+ * Posts a channel digest
+ */
+async function postDigest(channel, digest) {
+    await slackClient.chat.postMessage({
+        channel,
+        ...buildDigest(digest),
+        unfurl_links: false,
+        unfurl_media: false
+    });
+}
+
+/**
+ * Posts Codecks changes of a message's cards into its thread
+ */
+async function postCardUpdates(channel, threadTs, updates) {
+    await slackClient.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        text: buildCardUpdates(updates),
+        unfurl_links: false,
+        unfurl_media: false
     });
+}
+
+/**
+ * Cards of a message changed status in Codecks: swaps the status reaction
+ * on the source message (partially done → done) and shows the progress
+ * in the bot's report
+ */
+async function handleCardProgress(link, progress, previous) {
+    const emojiFor = (state) => ({
+        partial: config.partialEmoji || 'hourglass_flowing_sand',
+        done: config.doneEmoji || 'checkered_flag'
+    })[state] || null;
     
-    // Filter out tasks without a deck
-    const validTasks = tasksWithUuids.filter(t => t.deckId);
-    if (validTasks.length === 0) {
-        console.error('[Event] No tasks resolved to a valid deck');
-        await addReaction(event.channel, event.ts, { failed: [{ error: 'No deck' }], success: [] });
-        return;
+    const oldEmoji = previous ? emojiFor(previous.state) : null;
+    const newEmoji = emojiFor(progress.state);
+    
+    if (oldEmoji !== newEmoji) {
+        if (oldEmoji) await updateReaction('remove', link.channel, link.ts, oldEmoji, 'no_reaction');
+        if (newEmoji) await updateReaction('add', link.channel, link.ts, newEmoji, 'already_reacted');
     }
     
-    if (validTasks.length < tasksWithUuids.length) {
-        console.warn(`[Event] ${tasksWithUuids.length - validTasks.length} task(s) skipped — no deck ID`);
+    if (link.report && link.report.ts) {
+        await slackClient.chat.update({
+            channel: link.channel,
+            ts: link.report.ts,
+            ...withProgress(link.report, progress)
+        });
     }
     
-    // Create cards and react
-    const results = await createCardsInCodecks(validTasks);
-    await addReaction(event.channel, event.ts, results);
+    console.log(`[Notify] ${link.channel}:${link.ts} — ${progress.done}/${progress.total} done`);
 }
 
 /**
- * Resolves deck path to UUID
+ * reactions.add / reactions.remove; `expectedError` (already there / already
+ * gone) counts as success
  */
-function resolveDeckId(deckPath) {
-    if (!deckPath) return null;
-    
-    console.log(`[Deck] Resolving: ${deckPath}`);
-    
-    return mappingCache.resolveDeck(
-        deckPath, 
-        config.deckMapping,
-        config.spaceMapping
-    );
+async function updateReaction(method, channel, timestamp, name, expectedError) {
+    try {
+        await slackClient.reactions[method]({ channel, timestamp, name });
+    } catch (error) {
+        if (error.data && error.data.error === expectedError) return;
+        throw error;
+    }
 }
 
 /**
- * Resolves default deck (if configured by name)
+ * !undo — in a thread: the cards of the thread's [Create] message,
+ * elsewhere: the cards of the user's last [Create] in the channel
  */
-function resolveDefaultDeck() {
-    if (config.defaultDeckName) {
-        console.log(`[Deck] Resolving default: ${config.defaultDeckName}`);
-        return mappingCache.resolveDeck(
-            config.defaultDeckName,
-            config.deckMapping,
-            config.spaceMapping
-        );
+async function handleUndoCommand(channel, timestamp, user, threadTs) {
+    const link = threadTs && threadTs !== timestamp
+        ? cardLinks.get(channel, threadTs)
+        : cardLinks.latestByUser(channel, user);
+    
+    const result = await undoCards(link, user);
+    try {
+        await slackClient.chat.postMessage({
+            channel,
+            thread_ts: timestamp,
+            text: result.error ? `⛔ ${result.error}` : result.text,
+            unfurl_links: false,
+            unfurl_media: false
+        });
+    } catch (error) {
+        console.error('[Slack] Failed to send undo response:', error.message);
     }
-    return null;
 }
 
 /**
- * Handles bot commands (!help, !commands, !status, !refresh)
+ * "Undo" button on a creation report: removes the cards and the button
  */
-async function handleCommand(channel, timestamp, message) {
-    const trimmed = message.trim().toLowerCase();
+async function handleUndoButton(payload, action) {
+    const [channel, ts] = String(action.value || '').split(':');
+    const result = await undoCards(cardLinks.get(channel, ts), payload.user.id);
     
-    // Handle !refresh separately
-    if (trimmed === '!refresh') {
-        try {
-            await mappingCache.refresh(codecksClient);
-            await slackClient.chat.postMessage({
-                channel: channel,
-                thread_ts: timestamp,
-                text: '✅ Cache refreshed!\n\n' + formatCacheStats()
-            });
-        } catch (error) {
-            await slackClient.chat.postMessage({
-                channel: channel,
-                thread_ts: timestamp,
-                text: `❌ Cache refresh failed: ${error.message}`
-            });
-        }
+    if (result.error) {
+        await respondEphemeral(payload.response_url, `⛔ ${result.error}`);
         return;
     }
     
-    const response = getCommandResponse(message, mappingCache.getStats());
+    const message = payload.message || {};
+    const report = {
+        text: message.text || result.text,
+        blocks: [
+            ...(message.blocks || []).filter(block => block.type !== 'actions'),
+            { type: 'context', elements: [{ type: 'mrkdwn', text: `↩️ Undone by <@${payload.user.id}>` }] }
+        ]
+    };
     
-    if (response) {
+    // Cards that couldn't be undone keep their link — and progress updates
+    cardLinks.update(channel, ts, { report: { ts: message.ts, ...report } });
+    
+    try {
+        await slackClient.chat.update({ channel, ts: message.ts, ...report });
+    } catch (error) {
+        console.error('[Slack] Failed to update creation report:', error.message);
+    }
+    
+    try {
+        await slackClient.chat.postMessage({
+            channel,
+            thread_ts: ts,
+            text: result.text,
+            unfurl_links: false,
+            unfurl_media: false
+        });
+    } catch (error) {
+        console.error('[Slack] Failed to post undo report:', error.message);
+    }
+}
+
+/**
+ * Archives (or deletes, config.undo.mode) every card of a link record,
+ * sub-cards included.
+ * Cards that couldn't be removed stay linked to the message.
+ * Returns { error } when the user may not undo, else { text }.
+ */
+async function undoCards(link, user) {
+    const options = config.undo || {};
+    const denial = undoDenial(link, user, {
+        admins: config.admins || [],
+        windowMinutes: options.windowMinutes ?? 60
+    });
+    if (denial) return { error: denial };
+    
+    const mode = options.mode === 'delete' ? 'delete' : 'archive';
+    const results = { undone: [], failed: [], mode, user };
+    const remaining = [];
+    
+    const undo = async (card, title) => {
         try {
-            await slackClient.chat.postMessage({
-                channel: channel,
-                thread_ts: timestamp,
-                text: response
-            });
+            if (mode === 'delete') await codecksClient.deleteCard(card.cardId);
+            else await codecksClient.archiveCard(card.cardId);
             
+            results.undone.push({ title, url: codecksClient.getCardUrl(card.cardId) });
+            console.log(`[Undo] ${mode === 'delete' ? 'Deleted' : 'Archived'}: "${title}" (by ${user})`);
+            return true;
         } catch (error) {
-            console.error('[Slack] Failed to send command response:', error.message);
+            results.failed.push({ title, reason: failureReason(error), error: error.message });
+            console.error(`[Undo] Failed: "${title}" -`, error.message);
+            return false;
+        }
+    };
+    
+    for (const task of link.tasks) {
+        // Sub-cards first — a card whose sub-cards are still there stays too
+        const children = [];
+        for (const child of task.children || []) {
+            if (!await undo(child, `${task.title} › ${child.title}`)) children.push(child);
         }
+        
+        if (children.length > 0 || !await undo(task, task.title)) remaining.push({ ...task, children });
     }
+    
+    if (remaining.length > 0) cardLinks.save(link.channel, link.ts, { tasks: remaining });
+    else cardLinks.delete(link.channel, link.ts);
+    
+    return { text: buildUndoReport(results) };
 }
 
 /**
@@ -284,10 +2306,12 @@ function formatCacheStats() {
 
 /**
  * Creates cards in Codecks
-
+ * @param {Array} attachments - uploaded files (CodecksClient.uploadFile), added to every card
+ * @param {Function} onCreated - called with each report entry right after its card is created
  */
-async function createCardsInCodecks(tasks) {
+async function createCardsInCodecks(tasks, attachments = [], onCreated = null) {
     const results = { success: [], failed: [] };
+    const createdIds = [];
     
     for (const task of tasks) {
         try {
@@ -298,25 +2322,46 @@ async function createCardsInCodecks(tasks) {
                 content: fullContent,
                 deckId: task.deckId,
                 assigneeId: task.assigneeId || null,
-                priority: config.defaultPriority || 'b',
-                putOnHand: task.assigneeId ? true : false
+                priority: task.priority || config.defaultPriority || 'b',
+                effort: task.effort ?? null,
+                tags: task.tags || [],
+                putOnHand: task.assigneeId ? true : false,
+                dueDate: task.dueDate || null,
+                attachments,
+                excludeIds: createdIds,
+                childCards: (task.children || []).map(child => ({
+                    content: buildCardContent(child),
+                    assigneeId: child.assigneeId || null,
+                    priority: child.priority || config.defaultPriority || 'b',
+                    effort: child.effort ?? null,
+                    tags: child.tags || [],
+                    dueDate: child.dueDate || null
+                }))
             };
             
             const card = await codecksClient.createCard(cardData);
+            createdIds.push(card.id);
             
-            results.success.push({
-                title: task.title,
-                assignee: task.assigneeName,
-                deckPath: task.deckPath,
-                cardId: card.id,
+            const entry = {
+                ...describeCard(task, card.id),
+                snapshot: snapshotTask(task, card.id, card.childCardIds),
+                attachments: attachments.length,
                 descLines: task.description.length,
                 checkboxCount: task.checkboxes.length
-            });
+            };
+            results.success.push(entry);
+            if (onCreated) onCreated(entry);
             
-            console.log(`[Card] Created: "${task.title}" → ${task.assigneeName || 'unassigned'} [${task.deckPath || 'default'}]`);
+            const subCards = cardData.childCards.length > 0 ? ` (+${cardData.childCards.length} sub-card(s))` : '';
+            console.log(`[Card] Created: "${task.title}"${subCards} → ${task.assigneeName || 'unassigned'} [${task.deckPath || 'default'}]`);
             
         } catch (error) {
-            results.failed.push({ title: task.title, error: error.message });
+            results.failed.push({
+                title: task.title,
+                reason: failureReason(error),
+                error: error.message,
+                retryable: error instanceof CodecksError && error.retryable
+            });
             console.error(`[Card] Failed: "${task.title}" -`, error.message);
         }
     }
@@ -344,6 +2389,28 @@ async function addReaction(channel, timestamp, results) {
     }
 }
 
+/**
+ * Posts the creation report in the message thread
+ */
+async function postCreationReport(channel, timestamp, results) {
+    try {
+        const message = buildCreationMessage(results, `${channel}:${timestamp}`);
+        const response = await slackClient.chat.postMessage({
+            channel: channel,
+            thread_ts: timestamp,
+            ...message,
+            unfurl_links: false,
+            unfurl_media: false
+        });
+        
+        // Kept so the notifier can add card progress to it
+        cardLinks.update(channel, timestamp, { report: { ts: response.ts, ...message } });
+        
+    } catch (error) {
+        console.error('[Slack] Failed to post creation report:', error.message);
+    }
+}
+
 // ============================================================
 // WEB ENDPOINTS (konfiguracja i debugging)
 // ============================================================
@@ -359,6 +2426,7 @@ app.get('/list-decks', async (req, res) => {
         }
         
         const decks = mappingCache.listDecks();
+        const duplicates = decks.filter(deck => deck.duplicate);
         
         let html = `
 <!DOCTYPE html>
@@ -377,6 +2445,8 @@ app.get('/list-decks', async (req, res) => {
         pre { background: #2d2d4a; padding: 15px; border-radius: 8px; overflow-x: auto; }
         a { color: #00d9ff; }
         .info { background: #16213e; padding: 15px; border-radius: 8px; margin: 15px 0; }
+        .warning { background: #3a2a16; padding: 15px; border-radius: 8px; margin: 15px 0; }
+        .duplicate { color: #ffb347; }
     </style>
 </head>
 <body>
@@ -389,6 +2459,12 @@ app.get('/list-decks', async (req, res) => {
         Mappingi to teraz tylko aliasy (skróty → pełne nazwy).<br>
         UUID są automatycznie pobierane z cache przy starcie bota.
     </div>
+    ${duplicates.length > 0 ? `
+    <div class="warning">
+        <strong>⚠️ Powtarzające się nazwy (${duplicates.length} deck(ów)):</strong><br>
+        Nazwa bez space'a jest niejednoznaczna — bot zapyta w wątku o wybór.
+        Użyj <code>[Deck: Space/Deck]</code> albo aliasu w DECK_MAPPING.
+    </div>` : ''}
     
     <table>
         <tr>
@@ -400,7 +2476,7 @@ app.get('/list-decks', async (req, res) => {
         for (const deck of decks) {
             html += `
         <tr>
-            <td><strong>${deck.name || 'Bez nazwy'}</strong></td>
+            <td><strong>${deck.name || 'Bez nazwy'}</strong>${deck.duplicate ? ' <span class="duplicate">⚠️ duplikat</span>' : ''}</td>
             <td>${deck.space || '-'}</td>
             <td>
                 <span class="uuid">${deck.id}</span>
@@ -714,17 +2790,25 @@ app.get('/debug-api', async (req, res) => {
     res.send(html);
 });
 
-// Przechowuj ostatni event do debugowania
-let lastRawEvent = null;
+// Last raw message event (/debug-message)
+let lastDebugEvent = null;
 
 /**
  * Debug: pokaż surowy event z ostatniej wiadomości
  */
 app.get('/debug-message', (req, res) => {
-    if (!lastRawEvent) {
+    const rawEvent = lastDebugEvent;
+    if (!rawEvent) {
         return res.send('<html><body style="background:#1a1a2e;color:#eee;font-family:monospace;padding:20px"><h1>🔍 Debug Message</h1><p>Brak zapisanych eventów. Wyślij wiadomość na Slacku i odśwież.</p><a href="/" style="color:#00d9ff">← Powrót</a></body></html>');
     }
     
+    const lastRawEvent = {
+        ...rawEvent,
+        textJson: JSON.stringify(rawEvent.text),
+        hasBlocks: !!rawEvent.blocks,
+        charCodes: [...rawEvent.text].map(c => ({ char: c, code: c.charCodeAt(0), hex: 'U+' + c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0') }))
+    };
+    
     // Char-by-char analysis
     let charTable = '<table border="1" cellpadding="4" style="border-collapse:collapse;font-size:12px"><tr><th>Pos</th><th>Char</th><th>Code</th><th>Hex</th><th>Name</th></tr>';
     const charNames = {
@@ -810,6 +2894,12 @@ app.get('/health', (req, res) => {
             decks: stats.decks,
             users: stats.users
         },
+        queue: eventQueue.stats(),
+        store: {
+            type: (config.store && config.store.type) || 'json',
+            cardLinks: cardLinks.size,
+            channelBindings: channelBindings.size
+        },
         config: {
             defaultDeckId: config.defaultDeckId ? '✓' : '✗',
             defaultDeckName: config.defaultDeckName || null,
@@ -839,6 +2929,71 @@ app.post('/refresh-cache', async (req, res) => {
     }
 });
 
+/**
+ * Admin endpoints require ADMIN_TOKEN in the Authorization: Bearer header
+ * (disabled when it isn't set)
+ */
+function requireAdminToken(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) return res.status(404).json({ status: 'error', message: 'Admin endpoints disabled (ADMIN_TOKEN not set)' });
+    
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ') && header.slice(7) === token) return next();
+    
+    res.status(401).json({ status: 'error', message: 'Admin token required' });
+}
+
+/**
+ * Work queue: pending, in-flight and dead-lettered jobs
+ */
+app.get('/queue', requireAdminToken, (req, res) => {
+    const jobs = eventQueue.jobs()
+        .filter(job => !req.query.status || job.status === req.query.status)
+        .map(job => {
+            const event = (job.payload && job.payload.event) || {};
+            const text = event.subtype === 'message_changed' ? (event.message || {}).text : event.text;
+            return {
+                id: job.id,
+                type: job.type,
+                status: eventQueue.running.has(job.id) ? 'running' : job.status,
+                attempts: job.attempts,
+                groupKey: job.groupKey,
+                enqueuedAt: job.enqueuedAt,
+                nextAttemptAt: job.status === 'pending' ? new Date(job.nextAttemptAt).toISOString() : null,
+                lastError: job.lastError,
+                text: (text || '').substring(0, 120)
+            };
+        });
+    
+    res.json({ status: 'ok', stats: eventQueue.stats(), jobs });
+});
+
+/**
+ * Replays one job now (attempts reset)
+ */
+app.post('/queue/:id/replay', requireAdminToken, (req, res) => {
+    const job = eventQueue.replay(req.params.id);
+    if (!job) return res.status(404).json({ status: 'error', message: 'Job not found or running' });
+    res.json({ status: 'ok', job: { id: job.id, status: job.status } });
+});
+
+/**
+ * Replays every dead-lettered job
+ */
+app.post('/queue/replay-dead', requireAdminToken, (req, res) => {
+    res.json({ status: 'ok', replayed: eventQueue.replayDead() });
+});
+
+/**
+ * Drops a job (e.g. a dead letter that shouldn't be replayed)
+ */
+app.delete('/queue/:id', requireAdminToken, (req, res) => {
+    if (!eventQueue.remove(req.params.id)) {
+        return res.status(404).json({ status: 'error', message: 'Job not found or running' });
+    }
+    res.json({ status: 'ok' });
+});
+
 /**
  * Główna strona
  */
@@ -889,6 +3044,7 @@ app.get('/', (req, res) => {
                 <li><code>!commands</code> - lista komend</li>
                 <li><code>!status</code> - status cache</li>
                 <li><code>!refresh</code> - odśwież cache</li>
+                <li><code>/codecks [tytuł]</code> - formularz tworzenia karty</li>
             </ul>
             
             <h2>📝 Format wiadomości:</h2>
@@ -930,6 +3086,9 @@ USER_MAPPING = {}
 async function startServer() {
     console.log('[Boot] Starting Slack-Codecks Bot...');
     
+    // Cache refresh settings (TTL, refresh on miss)
+    mappingCache.configure(config.cache || {});
+    
     // Test Codecks connection
     const connected = await codecksClient.testConnection();
     
@@ -945,6 +3104,26 @@ async function startServer() {
         console.log('[Boot] No Codecks connection, cache deferred');
     }
     
+    // Background refresh once the cache is older than cache.ttlMinutes
+    mappingCache.startAutoRefresh(codecksClient);
+    
+    // Expired dedupe keys etc.
+    setInterval(() => store.prune(), EVENT_DEDUPE_TTL_MS).unref();
+    
+    // Queued events (including ones interrupted by the last shutdown)
+    eventQueue.start();
+    
+    // Codecks → Slack updates for opted-in channels
+    cardNotifier.start();
+    
+    // Scheduled channel digests
+    digestScheduler.start();
+    
+    // Slack profiles for @mention → Codecks user matching (users.info fills gaps)
+    slackUsers.loadProfiles(slackClient).catch(error => {
+        console.error('[Boot] Failed to load Slack profiles:', error.message);
+    });
+    
     // Start serwera
     app.listen(PORT, () => {
         const stats = mappingCache.getStats();
@@ -968,6 +3147,15 @@ async function startServer() {
     });
 }
 
+// Close the store (writes pending JSON changes, flushes SQLite) on shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        console.log(`[Shutdown] ${signal}`);
+        store.close();
+        process.exit(0);
+    });
+}
+
 startServer();
 
 module.exports = app;
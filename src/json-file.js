@@ -0,0 +1,36 @@
+/**
+ * JSON File Helpers
+ *
+ * Used by the JSON store backend (<dataDir>/store.json, config.dataDir
+ * default "data/"). Writes go to a temp file first, so a crash never
+ * leaves half a file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reads a JSON file; returns `fallback` when it's missing or unreadable
+ */
+function readJsonFile(filePath, fallback = null) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`[Store] Failed to read ${filePath}:`, error.message);
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Writes a JSON file atomically (temp file + rename), creating the directory
+ */
+function writeJsonFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
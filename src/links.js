@@ -0,0 +1,207 @@
+/**
+ * Card Link Store
+ *
+ * Remembers which Codecks cards were created from which Slack message:
+ *   "channel:ts" → { channel, ts, user, origin, createdAt,
+ *                    tasks: [{ index, cardId, ..., children: [{ index, cardId, ... }] }],
+ *                    report, progress }
+ *
+ * origin: "message" ([Create] message — edits are synced), "shortcut"
+ * ("Send to Codecks" on any message), "modal" (/codecks report) or
+ * "reaction" (card from a plain message via the trigger emoji).
+ *
+ * Each task entry keeps the position of the task in the parsed message
+ * and a snapshot of what was sent to Codecks, so an edited message
+ * can be diffed against the cards it produced. A task deleted from the
+ * message keeps its card linked as { ..., index: null, removed: true },
+ * so adding the task back reuses the card instead of creating another.
+ * children are the task's sub-cards ([Sub] / [Nested]), kept the same way.
+ *
+ * Records live in the "links" namespace of the bot store (src/store.js),
+ * so they survive restarts with a persistent backend. A record expires
+ * retentionDays after its last change (default 90), so the store doesn't
+ * grow forever.
+ *
+ * report ({ ts, text, blocks } of the bot's creation report) and progress
+ * ({ done, total, state, statuses }) are kept for the notifier, which edits
+ * the report and swaps status reactions as cards get done in Codecks.
+ *
+ * The record is also what "Undo" / !undo removes from Codecks — allowed
+ * for the message author or an admin, within config.undo.windowMinutes.
+ */
+
+const { MemoryStore } = require('./store');
+
+const NAMESPACE = 'links';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CardLinkStore {
+    /**
+     * @param {object} options - { retentionDays }
+     */
+    constructor(store = new MemoryStore(), options = {}) {
+        this.store = store;
+        this.ttlMs = (options.retentionDays || 90) * DAY_MS;
+    }
+
+    key(channel, ts) {
+        return `${channel}:${ts}`;
+    }
+
+    /**
+     * Returns the link record for a Slack message (or null)
+     */
+    get(channel, ts) {
+        return this.store.get(NAMESPACE, this.key(channel, ts));
+    }
+
+    /**
+     * Saves (replaces) the link record for a Slack message
+     */
+    save(channel, ts, record) {
+        const existing = this.get(channel, ts);
+        const link = {
+            channel,
+            ts,
+            user: record.user || (existing && existing.user) || null,
+            origin: record.origin || (existing && existing.origin) || 'message',
+            createdAt: (existing && existing.createdAt) || new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            tasks: [...(record.tasks || [])].sort(byIndex).map(task => task.children
+                ? { ...task, children: [...task.children].sort(byIndex) }
+                : task),
+            report: record.report || (existing && existing.report) || null,
+            progress: record.progress || (existing && existing.progress) || null
+        };
+        this.store.set(NAMESPACE, this.key(channel, ts), link, { ttlMs: this.ttlMs });
+        return link;
+    }
+
+    /**
+     * Changes fields of an existing record (null when there's none)
+     */
+    update(channel, ts, changes) {
+        const existing = this.get(channel, ts);
+        if (!existing) return null;
+
+        const link = { ...existing, ...changes, updatedAt: new Date().toISOString() };
+        this.store.set(NAMESPACE, this.key(channel, ts), link, { ttlMs: this.ttlMs });
+        return link;
+    }
+
+    /**
+     * Returns the card id created for the task at the given position
+     */
+    getCardId(channel, ts, index) {
+        const link = this.get(channel, ts);
+        if (!link) return null;
+        const task = link.tasks.find(t => t.index === index);
+        return task ? task.cardId : null;
+    }
+
+    delete(channel, ts) {
+        return this.store.delete(NAMESPACE, this.key(channel, ts));
+    }
+
+    /**
+     * Most recent record of a user's message in a channel (or null)
+     */
+    latestByUser(channel, user) {
+        const links = this.store.entries(NAMESPACE)
+            .map(([, link]) => link)
+            .filter(link => link.channel === channel && link.user === user && link.tasks.length > 0)
+            .sort((a, b) => Number(b.ts) - Number(a.ts));
+        return links[0] || null;
+    }
+
+    /**
+     * Every link record (the notifier watches their cards)
+     */
+    all() {
+        return this.store.entries(NAMESPACE).map(([, link]) => link);
+    }
+
+    get size() {
+        return this.store.entries(NAMESPACE).length;
+    }
+}
+
+/**
+ * Every card linked to a message — the tasks' cards and their sub-cards;
+ * includeRemoved: false leaves out tasks deleted from the message
+ */
+function linkedCards(link, { includeRemoved = true } = {}) {
+    const kept = card => includeRemoved || !card.removed;
+    return link.tasks.filter(kept).flatMap(task => [task, ...(task.children || []).filter(kept)]);
+}
+
+/**
+ * Task entries in message order, removed ones (index null) last
+ */
+function byIndex(a, b) {
+    return (a.index ?? Infinity) - (b.index ?? Infinity) || 0;
+}
+
+/**
+ * Pairs the tasks of an edited message with the cards linked to it:
+ * same title first, then same body (a renamed task), then the same
+ * position — so reordering or inserting tasks doesn't move content
+ * between cards. Removed entries are only matched by title or body.
+ * @param {Array} previousTasks - task entries of the link record
+ * @param {Array} nextTasks - snapshots of the edited message's tasks
+ * @returns {Map} task index → matched entry (unmatched indices are new tasks)
+ */
+function matchEditedTasks(previousTasks, nextTasks) {
+    const matched = new Map();
+    const unused = new Set(previousTasks);
+
+    const pass = (key, allowRemoved = true) => {
+        for (const task of nextTasks) {
+            if (matched.has(task.index) || key(task) === null) continue;
+            const previous = [...unused].find(p => (allowRemoved || !p.removed) && key(p) === key(task));
+            if (!previous) continue;
+            matched.set(task.index, previous);
+            unused.delete(previous);
+        }
+    };
+
+    pass(task => normalizeTitle(task.title));
+    pass(task => cardBody(task.content));
+    pass(task => task.index ?? null, false);
+
+    return matched;
+}
+
+function normalizeTitle(title) {
+    const normalized = String(title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return normalized || null;
+}
+
+// Card content without its first line (the title)
+function cardBody(content) {
+    const body = String(content || '').split('\n').slice(1).join('\n').trim();
+    return body || null;
+}
+
+/**
+ * Why a user may not undo the cards of a link (null = allowed)
+ * @param {object} options - { admins: [Slack ids], windowMinutes, now }
+ */
+function undoDenial(link, userId, options = {}) {
+    const { admins = [], windowMinutes = 60, now = Date.now() } = options;
+
+    if (!link || link.tasks.length === 0) return 'No cards to undo for this message.';
+
+    if (link.user !== userId && !admins.includes(userId)) {
+        return 'Only the author of the message or a bot admin can undo its cards.';
+    }
+
+    if (now - new Date(link.createdAt).getTime() > windowMinutes * 60 * 1000) {
+        return `Cards can only be undone within ${windowMinutes} minute(s) of creation.`;
+    }
+
+    return null;
+}
+
+module.exports = { CardLinkStore, undoDenial, matchEditedTasks, linkedCards };
@@ -0,0 +1,223 @@
+/**
+ * Block Kit Modals
+ *
+ * "New Codecks card" modal opened by the /codecks slash command
+ * and by the "Send to Codecks" message shortcut.
+ * Options come from the mapping cache (decks, users), values are read
+ * back from view_submission into a task shaped like parser output.
+ * Past 100 options a select switches to option groups (decks by space,
+ * users by first letter), so no deck or user is dropped.
+ *
+ * Slack's trigger_id is valid for 3 seconds, so the modal may first open
+ * as a notice ("Loading…") and get the form with views.update.
+ */
+
+const CARD_MODAL_CALLBACK = 'codecks_create_card';
+const MESSAGE_SHORTCUT_CALLBACK = 'send_to_codecks';
+
+// Slack limits (also the max number of option groups and options per group)
+const MAX_OPTIONS = 100;
+const MAX_OPTION_TEXT = 75;
+
+const PRIORITY_OPTIONS = [
+    { value: 'a', label: '🔴 High (a)' },
+    { value: 'b', label: '🟡 Medium (b)' },
+    { value: 'c', label: '🟢 Low (c)' }
+];
+
+function plainText(text) {
+    return { type: 'plain_text', text: String(text).substring(0, MAX_OPTION_TEXT), emoji: true };
+}
+
+function option(label, value) {
+    return { text: plainText(label), value: String(value) };
+}
+
+/**
+ * Select options as Slack accepts them: { options } up to MAX_OPTIONS,
+ * otherwise { option_groups } labelled by groupOf(option)
+ */
+function selectOptions(options, groupOf) {
+    if (options.length <= MAX_OPTIONS) return { options };
+
+    const groups = new Map();
+    for (const item of options) {
+        const label = groupOf(item);
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(item);
+    }
+
+    const optionGroups = [];
+    for (const [label, items] of groups) {
+        for (let i = 0; i < items.length; i += MAX_OPTIONS) {
+            const part = items.length > MAX_OPTIONS ? ` (${i / MAX_OPTIONS + 1})` : '';
+            optionGroups.push({ label: plainText(`${label}${part}`), options: items.slice(i, i + MAX_OPTIONS) });
+        }
+    }
+    return { option_groups: optionGroups.slice(0, MAX_OPTIONS) };
+}
+
+function allOptions(select) {
+    return select.options || select.option_groups.flatMap(group => group.options);
+}
+
+/**
+ * Builds the card creation modal
+ * @param {object} options
+ * @param {Array} options.decks - [{ id, name, space }] from mappingCache.listDecks()
+ * @param {Array} options.users - [{ id, name }] from mappingCache.listUsers()
+ * @param {object} options.metadata - stored in private_metadata (channel, user, ...)
+ * @param {object} options.initial - { title, description, deckId, assigneeId, priority, tags }
+ * @param {Array} options.notes - mrkdwn lines shown above the inputs (e.g. message source)
+ */
+function buildCardModal({ decks = [], users = [], metadata = {}, initial = {}, notes = [] }) {
+    const sortedDecks = decks
+        .filter(d => d.id && d.name)
+        .map(d => option(d.space ? `${d.space}/${d.name}` : d.name, d.id))
+        .sort((a, b) => a.text.text.localeCompare(b.text.text));
+    const spaces = new Map(decks.map(d => [String(d.id), d.space || 'No space']));
+    const deckOptions = selectOptions(sortedDecks, o => spaces.get(o.value));
+
+    const sortedUsers = users
+        .filter(u => u.id && u.name)
+        .map(u => option(u.name, u.id))
+        .sort((a, b) => a.text.text.localeCompare(b.text.text));
+    const userOptions = selectOptions(sortedUsers, o => o.text.text.charAt(0).toUpperCase());
+
+    const priorityOptions = PRIORITY_OPTIONS.map(p => option(p.label, p.value));
+
+    const deckSelect = {
+        type: 'static_select',
+        action_id: 'deck',
+        placeholder: plainText('Choose a deck'),
+        ...deckOptions
+    };
+    const initialDeck = allOptions(deckOptions).find(o => o.value === initial.deckId);
+    if (initialDeck) deckSelect.initial_option = initialDeck;
+
+    const userSelect = {
+        type: 'static_select',
+        action_id: 'assignee',
+        placeholder: plainText('Unassigned'),
+        ...userOptions
+    };
+    const initialUser = allOptions(userOptions).find(o => o.value === initial.assigneeId);
+    if (initialUser) userSelect.initial_option = initialUser;
+
+    const prioritySelect = {
+        type: 'static_select',
+        action_id: 'priority',
+        options: priorityOptions
+    };
+    const initialPriority = priorityOptions.find(o => o.value === initial.priority);
+    if (initialPriority) prioritySelect.initial_option = initialPriority;
+
+    const titleInput = { type: 'plain_text_input', action_id: 'title', max_length: 250 };
+    if (initial.title) titleInput.initial_value = initial.title.substring(0, 250);
+
+    const tagsInput = { type: 'plain_text_input', action_id: 'tags', placeholder: plainText('bug, ui') };
+    if (initial.tags && initial.tags.length > 0) tagsInput.initial_value = initial.tags.join(', ');
+
+    const descriptionInput = { type: 'plain_text_input', action_id: 'description', multiline: true };
+    if (initial.description) descriptionInput.initial_value = initial.description.substring(0, 3000);
+
+    const blocks = [];
+    if (notes.length > 0) {
+        blocks.push({
+            type: 'context',
+            elements: notes.map(note => ({ type: 'mrkdwn', text: note }))
+        });
+    }
+
+    blocks.push(
+        { type: 'input', block_id: 'title', label: plainText('Title'), element: titleInput },
+        { type: 'input', block_id: 'deck', label: plainText('Deck'), element: deckSelect },
+        { type: 'input', block_id: 'assignee', label: plainText('Assignee'), element: userSelect, optional: true },
+        { type: 'input', block_id: 'priority', label: plainText('Priority'), element: prioritySelect, optional: true },
+        { type: 'input', block_id: 'tags', label: plainText('Tags'), element: tagsInput, optional: true },
+        { type: 'input', block_id: 'description', label: plainText('Description'), element: descriptionInput, optional: true }
+    );
+
+    return {
+        type: 'modal',
+        callback_id: CARD_MODAL_CALLBACK,
+        title: plainText('New Codecks card'),
+        submit: plainText('Create'),
+        close: plainText('Cancel'),
+        private_metadata: JSON.stringify(metadata),
+        blocks
+    };
+}
+
+/**
+ * Card modal without the form — shown while it loads or when it can't
+ */
+function buildNoticeModal(text) {
+    return {
+        type: 'modal',
+        callback_id: CARD_MODAL_CALLBACK,
+        title: plainText('New Codecks card'),
+        close: plainText('Close'),
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+    };
+}
+
+/**
+ * Reads a card modal submission.
+ * Returns { task, metadata, errors } — errors is keyed by block_id
+ * (the shape Slack expects in response_action: "errors").
+ */
+function readCardSubmission(view) {
+    const values = (view && view.state && view.state.values) || {};
+    const input = (blockId) => (values[blockId] && values[blockId][blockId]) || {};
+
+    const title = (input('title').value || '').trim();
+    const deckId = input('deck').selected_option ? input('deck').selected_option.value : null;
+    const assigneeId = input('assignee').selected_option ? input('assignee').selected_option.value : null;
+    const priority = input('priority').selected_option ? input('priority').selected_option.value : null;
+    const tags = (input('tags').value || '')
+        .split(/[,\s]+/)
+        .map(t => t.replace(/^#/, '').trim())
+        .filter(Boolean);
+    const description = (input('description').value || '')
+        .split('\n')
+        .map(line => line.trimEnd());
+
+    // Drop trailing empty lines
+    while (description.length > 0 && !description[description.length - 1]) description.pop();
+
+    let metadata = {};
+    try {
+        metadata = JSON.parse((view && view.private_metadata) || '{}');
+    } catch {
+        metadata = {};
+    }
+
+    const errors = {};
+    if (!title) errors.title = 'Title is required';
+    if (!deckId) errors.deck = 'Choose a deck';
+
+    return {
+        task: {
+            title,
+            description,
+            checkboxes: [],
+            assigneeName: null,
+            assigneeId,
+            deckId,
+            priority,
+            effort: null,
+            tags: [...new Set(tags)]
+        },
+        metadata,
+        errors
+    };
+}
+
+module.exports = {
+    CARD_MODAL_CALLBACK,
+    MESSAGE_SHORTCUT_CALLBACK,
+    buildCardModal,
+    buildNoticeModal,
+    readCardSubmission
+};
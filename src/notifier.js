@@ -0,0 +1,314 @@
+/**
+ * Codecks → Slack Card Notifications
+ *
+ * Polls Codecks for the cards the bot created and posts a short update
+ * into the Slack thread each card came from when it's started, done,
+ * reassigned or gets a new comment.
+ *
+ * Opt-in per channel: "!notify on" (stored in the "notifyChannels"
+ * namespace of the bot store) or config.notifications.channels.
+ *
+ * Progress (cards done out of all cards of a message) is tracked in the
+ * opted-in channels, or in every channel with `progress: "all"` (each poll
+ * then covers the cards of every channel): onProgress gets called whenever a
+ * card of a message changes status, so the bot can edit its report and swap
+ * the status reaction (partially done / done) on the source message.
+ *
+ * Last seen state per card lives in the "cardStates" namespace:
+ *   cardId → { title, status, assigneeId, assigneeName, commentIds, seenAt }
+ * A card seen for the first time only records its state, so turning
+ * notifications on doesn't replay old history. States expire after
+ * trackDays, when their card is no longer watched anyway.
+ *
+ * Options (config.json → notifications):
+ *   enabled              — false turns the poller off
+ *   pollIntervalSeconds  — time between polls
+ *   trackDays            — cards created longer ago are no longer watched
+ *   channels             — channels always opted in
+ *   progress             — report progress / status reactions: true (opted-in channels),
+ *                          "all" (every channel) or false
+ */
+
+const { MemoryStore } = require('./store');
+const { linkedCards } = require('./links');
+
+const STATES_NAMESPACE = 'cardStates';
+const CHANNELS_NAMESPACE = 'notifyChannels';
+
+// Status changes worth a message (Codecks: unassigned, assigned, started, review, blocked, done)
+const NOTIFY_STATUSES = ['started', 'done'];
+
+// Cards updated just before the last poll may show up late
+const SINCE_OVERLAP_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    pollIntervalSeconds: 60,
+    trackDays: 30,
+    channels: [],
+    progress: true
+};
+
+// Statuses that count as "work has begun" (first progress update)
+const OPEN_STATUSES = ['unassigned', 'assigned'];
+
+class CardNotifier {
+    /**
+     * @param {object} store - bot store (src/store.js)
+     * @param {object} deps - { codecksClient, links (CardLinkStore), post(channel, threadTs, updates),
+     *                        onProgress(link, progress, previous), options }
+     */
+    constructor(store = new MemoryStore(), { codecksClient, links, post, onProgress = null, options = {} } = {}) {
+        this.store = store;
+        this.codecksClient = codecksClient;
+        this.links = links;
+        this.post = post;
+        this.onProgress = onProgress;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.botUserId = null;
+        this.lastPollAt = null;
+        this.polling = false;
+        this.timer = null;
+    }
+
+    isEnabled(channel) {
+        return this.options.channels.includes(channel) || Boolean(this.store.get(CHANNELS_NAMESPACE, channel));
+    }
+
+    /**
+     * Opts a channel in; returns the record
+     */
+    enable(channel, user = null) {
+        const record = { enabledBy: user, enabledAt: new Date().toISOString() };
+        this.store.set(CHANNELS_NAMESPACE, channel, record);
+        return record;
+    }
+
+    disable(channel) {
+        return this.store.delete(CHANNELS_NAMESPACE, channel);
+    }
+
+    /**
+     * How the channel is opted in: "config", "command" or null
+     */
+    channelStatus(channel) {
+        if (this.options.channels.includes(channel)) return { source: 'config' };
+        const record = this.store.get(CHANNELS_NAMESPACE, channel);
+        return record ? { source: 'command', ...record } : null;
+    }
+
+    tracksProgress(channel) {
+        if (!this.options.progress || !this.onProgress) return false;
+        return this.options.progress === 'all' || this.isEnabled(channel);
+    }
+
+    /**
+     * Link records whose cards are watched (opted-in channel, or any channel
+     * with progress "all"; recent enough)
+     */
+    watchedLinks(now = Date.now()) {
+        const cutoff = now - this.options.trackDays * DAY_MS;
+        return this.links.all().filter(link =>
+            link.tasks.length > 0 &&
+            (this.tracksProgress(link.channel) || this.isEnabled(link.channel)) &&
+            new Date(link.createdAt).getTime() >= cutoff
+        );
+    }
+
+    /**
+     * One poll: fetches changed cards, posts one update per thread.
+     * Returns the number of threads notified.
+     */
+    async poll() {
+        if (this.polling) return 0;
+        this.polling = true;
+
+        try {
+            const startedAt = Date.now();
+            const links = this.watchedLinks(startedAt);
+            const cardIds = links.flatMap(link => linkedCards(link).map(card => card.cardId)).filter(Boolean);
+            if (cardIds.length === 0) return 0;
+
+            if (!this.botUserId) {
+                const me = await this.codecksClient.getLoggedInUser();
+                this.botUserId = me ? me.id : null;
+            }
+
+            // New cards: full state (baseline), known cards: only the ones updated since
+            const known = cardIds.filter(id => this.store.get(STATES_NAMESPACE, id));
+            const unknown = cardIds.filter(id => !this.store.get(STATES_NAMESPACE, id));
+            const since = this.lastPollAt ? new Date(this.lastPollAt - SINCE_OVERLAP_MS).toISOString() : null;
+
+            const states = [
+                ...await this.codecksClient.getCardStates(unknown),
+                ...await this.codecksClient.getCardStates(known, since)
+            ];
+
+            const changesByCard = new Map();
+            for (const state of states) {
+                const previous = this.store.get(STATES_NAMESPACE, state.id);
+                const changes = previous ? detectChanges(previous, state, this.botUserId) : [];
+                if (changes.length > 0) changesByCard.set(state.id, { state, changes });
+
+                // Cards re-fetched by the since-overlap usually didn't change
+                const stored = toStoredState(state);
+                if (!previous || !sameState(previous, stored)) {
+                    this.store.set(STATES_NAMESPACE, state.id, stored, { ttlMs: this.options.trackDays * DAY_MS });
+                }
+            }
+
+            let notified = 0;
+            for (const link of links) {
+                if (this.tracksProgress(link.channel)) await this.updateProgress(link);
+                if (!this.isEnabled(link.channel)) continue;
+
+                const updates = linkedCards(link)
+                    .filter(task => changesByCard.has(task.cardId))
+                    .map(task => {
+                        const { state, changes } = changesByCard.get(task.cardId);
+                        return {
+                            cardId: task.cardId,
+                            title: state.title || task.title,
+                            url: this.codecksClient.getCardUrl(task.cardId),
+                            changes
+                        };
+                    });
+                if (updates.length === 0) continue;
+
+                try {
+                    await this.post(link.channel, link.ts, updates);
+                    notified++;
+                } catch (error) {
+                    console.error(`[Notify] Failed to post to ${link.channel}:${link.ts}:`, error.message);
+                }
+            }
+
+            this.lastPollAt = startedAt;
+            if (notified > 0) console.log(`[Notify] Posted updates to ${notified} thread(s)`);
+            return notified;
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Recomputes a link's progress from the stored card states and calls
+     * onProgress when a status changed (saved only once it succeeded)
+     */
+    async updateProgress(link) {
+        // Sub-cards count, cards of tasks deleted from the message don't
+        const cards = linkedCards(link, { includeRemoved: false }).map(task => {
+            const state = this.store.get(STATES_NAMESPACE, task.cardId) || {};
+            return {
+                cardId: task.cardId,
+                title: state.title || task.title,
+                url: this.codecksClient.getCardUrl(task.cardId),
+                status: state.status || null
+            };
+        });
+        if (cards.length === 0) return;
+
+        const progress = summarizeProgress(cards);
+        const previous = link.progress || null;
+
+        const unchanged = previous
+            ? JSON.stringify(previous.statuses) === JSON.stringify(progress.statuses)
+            : cards.every(card => !card.status || OPEN_STATUSES.includes(card.status));
+        if (unchanged) {
+            if (!previous) this.links.update(link.channel, link.ts, { progress: storedProgress(progress) });
+            return;
+        }
+
+        try {
+            await this.onProgress(link, progress, previous);
+            this.links.update(link.channel, link.ts, { progress: storedProgress(progress) });
+        } catch (error) {
+            console.error(`[Notify] Progress update failed for ${link.channel}:${link.ts}:`, error.message);
+        }
+    }
+
+    /**
+     * Polls every pollIntervalSeconds (a poll still running is not overlapped)
+     */
+    start() {
+        if (!this.options.enabled || this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.poll().catch(error => console.error('[Notify] Poll failed:', error.message));
+        }, this.options.pollIntervalSeconds * 1000);
+        this.timer.unref();
+
+        console.log(`[Notify] Polling Codecks every ${this.options.pollIntervalSeconds}s`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+/**
+ * { done, total, state: "open"|"partial"|"done", statuses, cards }
+ */
+function summarizeProgress(cards) {
+    const done = cards.filter(card => card.status === 'done').length;
+    const total = cards.length;
+    return {
+        done,
+        total,
+        state: done === 0 ? 'open' : done === total ? 'done' : 'partial',
+        statuses: Object.fromEntries(cards.map(card => [card.cardId, card.status])),
+        cards
+    };
+}
+
+function storedProgress({ done, total, state, statuses }) {
+    return { done, total, state, statuses };
+}
+
+function toStoredState(state) {
+    return {
+        title: state.title,
+        status: state.status,
+        assigneeId: state.assigneeId,
+        assigneeName: state.assigneeName,
+        commentIds: state.comments.map(comment => comment.id),
+        seenAt: new Date().toISOString()
+    };
+}
+
+function sameState(a, b) {
+    return ['title', 'status', 'assigneeId', 'assigneeName', 'commentIds']
+        .every(field => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null));
+}
+
+/**
+ * Changes between the stored and the current state of a card:
+ *   { type: "status", status }, { type: "assignee", from, to },
+ *   { type: "comment", count, authors: [names] }
+ * Comments by the bot's own Codecks user are ignored.
+ */
+function detectChanges(previous, current, botUserId = null) {
+    const changes = [];
+
+    if (current.status !== previous.status && NOTIFY_STATUSES.includes(current.status)) {
+        changes.push({ type: 'status', status: current.status });
+    }
+
+    if (current.assigneeId !== previous.assigneeId) {
+        changes.push({ type: 'assignee', from: previous.assigneeName || null, to: current.assigneeName || null });
+    }
+
+    const seen = new Set(previous.commentIds || []);
+    const newComments = current.comments.filter(comment => !seen.has(comment.id) && comment.creatorId !== botUserId);
+    if (newComments.length > 0) {
+        changes.push({ type: 'comment', count: newComments.length, authors: [...new Set(newComments.map(comment => comment.creatorName || 'someone'))] });
+    }
+
+    return changes;
+}
+
+module.exports = { CardNotifier, detectChanges, summarizeProgress };
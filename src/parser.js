@@ -17,11 +17,41 @@
  * Both "•" (Slack bullet list) and "- " (plain text dash) are recognized.
  * Owner can be "Name:" or just "Name" on its own line before tasks.
  * Inline "(Owner)" at end of bullet also works and overrides header.
+ * A Slack mention ("@anna" → "<@U123>") works in both places.
+ *
+ * Card attributes — [Priority: a], [Effort: 3], [Tags: bug, ui] and "#tag" —
+ * can be put on the [Create] line (defaults for the section) or on a task
+ * title (overrides the section default, same as inline owner vs. header).
+ * Due dates: [Due: 2026-11-03], [Due: friday], [Due: +3d] or "(due tomorrow)";
+ * the raw text is kept as `due`, parseDueDate() turns it into a date.
+ *
+ * [Preview] instead of [Create] (or [Create] [DryRun]) parses the same way,
+ * the bot only shows what would be created.
+ *
+ * Child cards: "• [Sub] Child (Owner)" at indent 1 becomes a child card of
+ * the task above; with [Nested] on the [Create] line every indent-1 bullet
+ * (except checkboxes) does. Indent-2 bullets under a child are its body
+ * and checkboxes. A child without "(Owner)" gets the parent's owner.
  */
 
 const assigneeRegex = /\(([^)]+)\)\s*$/;
 const checkboxRegex = /^\[([xX\s]?)\]\s*(.*)$/;
 const textBulletRegex = /^(\s*)([-•◦*‣])\s+(.+)$/;
+const attributeRegex = /\[(Priority|Effort|Tags|Due):\s*([^\]]*)\]/gi;
+const dueTokenRegex = /\(\s*due:?\s+([^)]+)\)/gi;
+const hashTagRegex = /(^|\s)#(\p{L}[\p{L}\p{N}_-]*)/gu;
+const mentionOwnerRegex = /^<@[UW][A-Z0-9]+(?:\|[^>]*)?>:?\s*$/;
+const createMarkerRegex = /\[(?:Create|Preview)\]/;
+const previewMarkerRegex = /\[(?:Preview|DryRun)\]/;
+const nestedMarkerRegex = /\[Nested\]/i;
+const subPrefixRegex = /^\[Sub\]\s*/i;
+
+// Codecks priorities: a = high, b = medium, c = low
+const PRIORITY_ALIASES = {
+    a: 'a', high: 'a', h: 'a',
+    b: 'b', medium: 'b', med: 'b', m: 'b',
+    c: 'c', low: 'c', l: 'c'
+};
 
 // --- Text extraction from rich_text elements ---
 
@@ -39,11 +69,37 @@ function extractText(elements) {
     }).join('');
 }
 
+/**
+ * Converts message blocks (rich_text) to plain text, keeping list bullets
+ * and indentation. Used when a whole message becomes a card.
+ */
+function extractBlocksText(blocks) {
+    if (!blocks || !Array.isArray(blocks)) return '';
+
+    const lines = [];
+    for (const block of blocks) {
+        if (block.type !== 'rich_text' || !block.elements) continue;
+
+        for (const element of block.elements) {
+            if (element.type === 'rich_text_list') {
+                const indent = '   '.repeat(element.indent || 0);
+                for (const li of element.elements || []) {
+                    lines.push(`${indent}• ${extractText(li.elements).trim()}`);
+                }
+            } else {
+                lines.push(...extractText(element.elements).split('\n'));
+            }
+        }
+    }
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
 // --- Main entry point ---
 
 function parseTaskMessage(text, blocks) {
     const messageText = text || '';
-    if (!messageText.includes('[Create]')) {
+    if (!createMarkerRegex.test(messageText)) {
         return { tasks: [], deckPath: null, blocks: [] };
     }
 
@@ -129,7 +185,7 @@ function splitByCreate(items) {
     let cur = null;
 
     for (const item of items) {
-        if (item.text.includes('[Create]')) {
+        if (createMarkerRegex.test(item.text)) {
             if (cur) sections.push(cur);
             cur = { createLine: item.text, items: [] };
         } else if (cur) {
@@ -147,22 +203,139 @@ function isOwnerHeader(text) {
     if (!text || text.includes('[') || text.includes(']')) return false;
     const t = text.trim();
     if (!t || t.length > 50) return false;
-    return /^[\p{L}\p{M}\s.'-]+:?\s*$/u.test(t);
+    return /^[\p{L}\p{M}\s.'-]+:?\s*$/u.test(t) || mentionOwnerRegex.test(t);
 }
 
 function extractOwnerName(text) {
     return text.trim().replace(/:+\s*$/, '').trim();
 }
 
+// --- Card attributes (priority, effort, tags) ---
+
+/**
+ * Extracts [Priority: x], [Effort: n], [Tags: a, b] and "#tag" tokens.
+ * Returns only the attributes that were present, plus the remaining text.
+ */
+function parseAttributes(text) {
+    const attributes = {};
+    if (!text) return { attributes, text: text || '' };
+
+    let rest = text.replace(attributeRegex, (match, key, value) => {
+        const v = value.trim();
+        switch (key.toLowerCase()) {
+            case 'priority': {
+                const priority = PRIORITY_ALIASES[v.toLowerCase()];
+                if (priority) attributes.priority = priority;
+                else console.warn(`[Parser] Unknown priority: ${v}`);
+                break;
+            }
+            case 'effort': {
+                const effort = parseInt(v, 10);
+                if (!isNaN(effort) && effort >= 0) attributes.effort = effort;
+                else console.warn(`[Parser] Invalid effort: ${v}`);
+                break;
+            }
+            case 'tags': {
+                const tags = v.split(/[,\s]+/).map(t => t.replace(/^#/, '').trim()).filter(Boolean);
+                attributes.tags = [...(attributes.tags || []), ...tags];
+                break;
+            }
+            case 'due': {
+                if (v) attributes.due = v;
+                break;
+            }
+        }
+        return ' ';
+    });
+
+    // "(due tomorrow)" — removed before the inline "(Owner)" is read
+    rest = rest.replace(dueTokenRegex, (match, value) => {
+        attributes.due = value.trim();
+        return ' ';
+    });
+
+    const hashTags = [];
+    rest = rest.replace(hashTagRegex, (match, lead, tag) => {
+        hashTags.push(tag);
+        return lead;
+    });
+    if (hashTags.length > 0) {
+        attributes.tags = [...(attributes.tags || []), ...hashTags];
+    }
+
+    if (attributes.tags) attributes.tags = [...new Set(attributes.tags)];
+
+    return { attributes, text: rest.replace(/\s{2,}/g, ' ').trim() };
+}
+
+/**
+ * Builds a task from an indent-0 bullet. Task attributes override the
+ * section defaults, inline "(Owner)" overrides the owner header.
+ */
+function parseTaskTitle(content, currentOwner, defaults = {}) {
+    const { attributes, text } = parseAttributes(content);
+
+    let title = text;
+    let assignee = currentOwner;
+    const am = title.match(assigneeRegex);
+    if (am) {
+        assignee = am[1].trim();
+        title = title.replace(assigneeRegex, '').trim();
+    }
+
+    return {
+        title,
+        assigneeName: assignee,
+        description: [],
+        checkboxes: [],
+        children: [],
+        priority: attributes.priority || defaults.priority || null,
+        effort: attributes.effort ?? defaults.effort ?? null,
+        tags: attributes.tags || defaults.tags || [],
+        due: attributes.due || defaults.due || null
+    };
+}
+
+// --- Child cards ([Sub] / [Nested]) ---
+
+/**
+ * Child card from an indent-1 bullet, or null when the bullet
+ * belongs to the parent (no [Sub] / [Nested], or a checkbox)
+ */
+function parseChildBullet(content, parent, nested, defaults) {
+    const isSub = subPrefixRegex.test(content);
+    if (!isSub && (!nested || checkboxRegex.test(content))) return null;
+
+    const child = parseTaskTitle(content.replace(subPrefixRegex, ''), parent.assigneeName, defaults);
+    delete child.children;
+    return child;
+}
+
+/**
+ * Deeper bullet under a child card: checkbox, body line
+ * (indent 2) or "- " sub-bullet (indent 3+)
+ */
+function addToChild(child, level, content) {
+    const cm = content.match(checkboxRegex);
+    if (cm) {
+        child.checkboxes.push({ text: cm[2].trim(), checked: cm[1].toLowerCase() === 'x' });
+    } else {
+        child.description.push(level <= 2 ? content : '- ' + content);
+    }
+}
+
 // --- Section parser (shared logic) ---
 
 function parseCreateSection(section) {
     let deckPath = null;
     const dm = section.createLine.match(/\[Deck:\s*([^\]]+)\]/i);
     if (dm) deckPath = dm[1].trim();
+    const { attributes: defaults } = parseAttributes(section.createLine);
+    const nested = nestedMarkerRegex.test(section.createLine);
 
     const tasks = [];
     let currentTask = null;
+    let currentChild = null;
     let currentOwner = null;
     let lastIndent = -1;
 
@@ -172,6 +345,7 @@ function parseCreateSection(section) {
         if (!item.isList) {
             if (isOwnerHeader(item.text)) {
                 if (currentTask) { tasks.push(currentTask); currentTask = null; }
+                currentChild = null;
                 currentOwner = extractOwnerName(item.text);
                 lastIndent = -1;
             }
@@ -184,19 +358,19 @@ function parseCreateSection(section) {
         if (indent === 0) {
             // New task (title)
             if (currentTask) tasks.push(currentTask);
-
-            let title = content;
-            let assignee = currentOwner;
-            const am = title.match(assigneeRegex);
-            if (am) {
-                assignee = am[1].trim();
-                title = title.replace(assigneeRegex, '').trim();
-            }
-
-            currentTask = { title, assigneeName: assignee, description: [], checkboxes: [] };
+            currentTask = parseTaskTitle(content, currentOwner, defaults);
+            currentChild = null;
             lastIndent = 0;
 
         } else if (indent === 1 && currentTask) {
+            // Child card ([Sub] / [Nested])
+            currentChild = parseChildBullet(content, currentTask, nested, defaults);
+            if (currentChild) {
+                currentTask.children.push(currentChild);
+                lastIndent = 1;
+                continue;
+            }
+
             // Description or checkbox; insert blank line when returning from deeper indent
             if (lastIndent >= 2) currentTask.description.push('');
 
@@ -208,6 +382,9 @@ function parseCreateSection(section) {
             }
             lastIndent = 1;
 
+        } else if (indent >= 2 && currentChild) {
+            addToChild(currentChild, indent, content);
+
         } else if (indent >= 2 && currentTask) {
             // Sub-bullet → prefixed with "- " in card body
             const cm = content.match(checkboxRegex);
@@ -257,7 +434,7 @@ function splitIntoCreateBlocks(message) {
     let active = false;
 
     for (const line of lines) {
-        if (line.includes('[Create]')) {
+        if (createMarkerRegex.test(line)) {
             if (cur.length > 0) blocks.push(cur.join('\n'));
             cur = [line];
             active = true;
@@ -275,9 +452,12 @@ function parseCreateBlockText(blockText) {
     let deckPath = null;
     const dm = blockText.match(/\[Deck:\s*([^\]]+)\]/i);
     if (dm) deckPath = dm[1].trim();
+    const { attributes: defaults } = parseAttributes(lines[0]);
+    const nested = nestedMarkerRegex.test(lines[0]);
 
     const tasks = [];
     let currentTask = null;
+    let currentChild = null;
     let currentOwner = null;
     let lastIndent = -1;
 
@@ -289,8 +469,9 @@ function parseCreateBlockText(blockText) {
         const bm = line.match(bulletRegex);
 
         if (!bm) {
-            if (textOwnerRegex.test(trimmed) && !trimmed.includes('[')) {
+            if ((textOwnerRegex.test(trimmed) && !trimmed.includes('[')) || mentionOwnerRegex.test(trimmed)) {
                 if (currentTask) { tasks.push(currentTask); currentTask = null; }
+                currentChild = null;
                 currentOwner = trimmed.replace(/:+\s*$/, '').trim();
                 lastIndent = -1;
             }
@@ -303,14 +484,18 @@ function parseCreateBlockText(blockText) {
 
         if (level === 0) {
             if (currentTask) tasks.push(currentTask);
-            let title = content;
-            let assignee = currentOwner;
-            const am = title.match(assigneeRegex);
-            if (am) { assignee = am[1].trim(); title = title.replace(assigneeRegex, '').trim(); }
-            currentTask = { title, assigneeName: assignee, description: [], checkboxes: [] };
+            currentTask = parseTaskTitle(content, currentOwner, defaults);
+            currentChild = null;
             lastIndent = 0;
 
         } else if (level === 1 && currentTask) {
+            currentChild = parseChildBullet(content, currentTask, nested, defaults);
+            if (currentChild) {
+                currentTask.children.push(currentChild);
+                lastIndent = 1;
+                continue;
+            }
+
             if (lastIndent >= 2) currentTask.description.push('');
             const cm = content.match(checkboxRegex);
             if (cm) {
@@ -320,6 +505,9 @@ function parseCreateBlockText(blockText) {
             }
             lastIndent = 1;
 
+        } else if (level >= 2 && currentChild) {
+            addToChild(currentChild, level, content);
+
         } else if (level >= 2 && currentTask) {
             const cm = content.match(checkboxRegex);
             if (cm) {
@@ -335,6 +523,123 @@ function parseCreateBlockText(blockText) {
     return { tasks, deckPath };
 }
 
+/**
+ * One task from a plain message (no [Create]): first line = title,
+ * the remaining lines = description
+ */
+function parsePlainMessage(text) {
+    const [firstLine, ...rest] = (text || '').trim().split('\n');
+    const description = rest.join('\n').trim();
+
+    return {
+        title: firstLine.trim().substring(0, 200),
+        assigneeName: null,
+        description: description ? description.split('\n') : [],
+        checkboxes: [],
+        children: [],
+        priority: null,
+        effort: null,
+        tags: [],
+        due: null
+    };
+}
+
+// ============================================================
+// Due dates
+// ============================================================
+
+// Weekday names (normalized, English and Polish) → getUTCDay()
+const WEEKDAYS = {
+    sunday: 0, sun: 0, niedziela: 0, niedz: 0,
+    monday: 1, mon: 1, poniedzialek: 1, pon: 1,
+    tuesday: 2, tue: 2, wtorek: 2, wt: 2,
+    wednesday: 3, wed: 3, sroda: 3, sr: 3,
+    thursday: 4, thu: 4, czwartek: 4, czw: 4,
+    friday: 5, fri: 5, piatek: 5, pt: 5,
+    saturday: 6, sat: 6, sobota: 6, sob: 6
+};
+
+// Days from today for fixed words
+const RELATIVE_DAYS = {
+    today: 0, dzis: 0, dzisiaj: 0,
+    tomorrow: 1, jutro: 1,
+    pojutrze: 2
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Today's date in a time zone, as a UTC midnight timestamp
+ */
+function todayIn(timeZone, now) {
+    let formatted;
+    try {
+        formatted = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(now));
+    } catch {
+        formatted = new Date(now).toISOString().substring(0, 10);    // unknown zone → UTC
+    }
+    const [y, m, d] = formatted.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toISOString().substring(0, 10);
+}
+
+/** Date.UTC for a real calendar date, null for e.g. 2026-02-30 */
+function calendarDate(year, month, day) {
+    const timestamp = Date.UTC(year, month - 1, day);
+    const date = new Date(timestamp);
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? timestamp : null;
+}
+
+/**
+ * Turns a due date text into "YYYY-MM-DD" (null when unreadable).
+ * Accepts 2026-11-03, 3.11.2026, 3.11, today / tomorrow, weekday names
+ * ("friday", "next friday", "piątek"), +3d / +2w and "in 3 days".
+ * Relative dates count from `now` in the author's time zone.
+ * @param {object} options - { timeZone: "Europe/Warsaw", now: timestamp }
+ */
+function parseDueDate(value, options = {}) {
+    if (!value) return null;
+    const { timeZone = 'UTC', now = Date.now() } = options;
+    const text = normalizeString(String(value)).replace(/\s+/g, ' ');
+    const today = todayIn(timeZone, now);
+
+    let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (m) {
+        const date = calendarDate(+m[1], +m[2], +m[3]);
+        return date === null ? null : formatDate(date);
+    }
+
+    // 3.11.2026 / 3.11 (next such day when the year is left out)
+    m = text.match(/^(\d{1,2})[./](\d{1,2})(?:[./](\d{4}))?$/);
+    if (m) {
+        const year = m[3] ? +m[3] : new Date(today).getUTCFullYear();
+        let date = calendarDate(year, +m[2], +m[1]);
+        if (date !== null && !m[3] && date < today) date = calendarDate(year + 1, +m[2], +m[1]);
+        return date === null ? null : formatDate(date);
+    }
+
+    if (text in RELATIVE_DAYS) return formatDate(today + RELATIVE_DAYS[text] * DAY_MS);
+
+    m = text.match(/^(?:\+|in )?(\d+) ?(d|days?|dni|w|weeks?|tyg|tygodnie?)$/);
+    if (m) {
+        const days = +m[1] * (/^(w|week|tyg)/.test(m[2]) ? 7 : 1);
+        return formatDate(today + days * DAY_MS);
+    }
+
+    // "friday" = today or the coming one, "next friday" = strictly after today
+    m = text.match(/^(next |nastepn[ya] |w )?([a-z]+)$/);
+    if (m && m[2] in WEEKDAYS) {
+        let ahead = (WEEKDAYS[m[2]] - new Date(today).getUTCDay() + 7) % 7;
+        if (ahead === 0 && m[1] && m[1].trim() !== 'w') ahead = 7;
+        return formatDate(today + ahead * DAY_MS);
+    }
+
+    return null;
+}
+
 // ============================================================
 // Card content builder
 // ============================================================
@@ -371,14 +676,118 @@ function normalizeString(str) {
         .trim();
 }
 
+// Bot commands: name → takes an argument
+const COMMANDS = {
+    '!help': false,
+    '!commands': false,
+    '!status': false,
+    '!refresh': false,
+    '!bind': true,
+    '!unbind': false,
+    '!binding': false,
+    '!undo': false,
+    '!notify': true,
+    '!find': true,
+    '!card': true,
+    '!hand': false,
+    '!mine': false,
+    '!digest': true,
+    '!unlink': true
+};
+
+/**
+ * Splits "!bind MT/Backlog" into { name: "!bind", args: "MT/Backlog" }.
+ * Returns null for anything that isn't a known command.
+ */
+function parseCommand(message) {
+    if (!message || typeof message !== 'string') return null;
+    const m = message.trim().match(/^(![a-z]+)(?:\s+([\s\S]*))?$/i);
+    if (!m) return null;
+
+    const name = m[1].toLowerCase();
+    const args = (m[2] || '').trim();
+    if (!(name in COMMANDS) || (args && !COMMANDS[name])) return null;
+
+    return { name, args };
+}
+
 function isCommand(message) {
-    if (!message || typeof message !== 'string') return false;
-    const t = message.trim().toLowerCase();
-    return t === '!help' || t === '!commands' || t === '!status' || t === '!refresh';
+    return parseCommand(message) !== null;
 }
 
 function hasCreateCommand(message) {
-    return message && message.includes('[Create]');
+    return Boolean(message) && createMarkerRegex.test(message);
+}
+
+/**
+ * [Preview] or [Create] [DryRun] — show the cards instead of creating them
+ */
+function isPreviewRequest(message) {
+    return Boolean(message) && previewMarkerRegex.test(message);
+}
+
+/**
+ * Extracts a "[Card: N]" reference from a thread reply.
+ * Returns { cardNumber (1-based) or null, text without the reference }.
+ */
+function parseCardReference(message) {
+    const text = message || '';
+    const m = text.match(/\[Card:\s*(\d+)\s*\]/i);
+    if (!m) return { cardNumber: null, text: text.trim() };
+
+    return {
+        cardNumber: parseInt(m[1], 10),
+        text: text.replace(m[0], '').replace(/\s{2,}/g, ' ').trim()
+    };
+}
+
+/**
+ * Splits "!find" arguments: "login bug in MT/Backlog @Anna" →
+ * { text: "login bug", deckPath: "MT/Backlog", owner: "Anna", ownerSlackId: null,
+ *   fullText: "login bug in MT/Backlog" }.
+ * The owner (last word) may be a Slack mention (<@U123>) or @Name.
+ * fullText keeps the "in …" part — searched when it isn't a deck ("sign in button").
+ */
+function parseFindQuery(args) {
+    let text = String(args || '').trim();
+    let owner = null;
+    let ownerSlackId = null;
+    let deckPath = null;
+
+    const mention = text.match(/\s*<@([UW][A-Z0-9]+)(?:\|[^>]*)?>\s*$/);
+    const name = text.match(/(?:^|\s)@([^\s@<>]+)\s*$/);
+    if (mention) {
+        ownerSlackId = mention[1];
+        text = text.slice(0, mention.index);
+    } else if (name) {
+        owner = name[1];
+        text = text.slice(0, name.index);
+    }
+
+    // The last "in" starts the deck ("log in screen in MT/Backlog")
+    const fullText = text.trim();
+    const deck = text.match(/^(.*\s)?in\s+(\S.*)$/i);
+    if (deck) {
+        deckPath = deck[2].trim();
+        text = deck[1] || '';
+    }
+
+    return { text: text.trim(), deckPath, owner, ownerSlackId, fullText };
+}
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Card id from "!card" arguments: the id itself or a Codecks card link
+ * (as Slack sends it: <https://team.codecks.io/card/ID|title>). Null otherwise.
+ * Only card UUIDs work (the links the bot posts) — links copied from the
+ * Codecks app use short card codes ("/card/1v5-login"), which aren't ids.
+ */
+function parseCardId(args) {
+    const value = String(args || '').trim().replace(/^<([^|>]+)(?:\|[^>]*)?>$/, '$1');
+    const link = value.match(/codecks\.io\/card\/([^/?#\s]+)/i);
+    const id = link ? link[1] : value;
+    return uuidRegex.test(id) ? id.toLowerCase() : null;
 }
 
 function getCommandResponse(message, cacheStats = null) {
@@ -391,9 +800,21 @@ function getCommandResponse(message, cacheStats = null) {
 • \`!help\` — usage example
 • \`!status\` — cache status
 • \`!refresh\` — refresh cache
+• \`!bind Space/Deck\` — default deck for this channel
+• \`!unbind\` — remove the channel's default deck
+• \`!binding\` — show the channel's default deck
+• \`!undo\` — remove the cards of your last [Create] (or of the thread's message)
+• \`!notify on|off|status\` — post Codecks updates (started, done, reassigned, comments) into the threads of this channel
+• \`!find text [in Space/Deck] [@owner]\` — search cards
+• \`!card <id or link>\` — show a card
+• \`!hand\` — your hand in Codecks
+• \`!mine\` — your open assigned cards
+• \`!digest now\` — post this channel's digest now (\`!digest\` shows the schedule)
+• \`!unlink [@user]\` — forget the Codecks user learned for you (admins: for anyone)
 
 📝 *Attributes:*
 • \`[Create]\` — create cards in Codecks
+• \`[Preview]\` — show what would be created (same as \`[Create] [DryRun]\`)
 • \`[Deck: name]\` — target deck
 • \`[Deck: Space/Deck]\` — target deck in a specific space`;
     }
@@ -439,6 +860,9 @@ Tomek:
 \`\`\`
 
 *Owner:* plain text before bullets assigns all tasks below
+*Attributes:* \`[Create] [Priority: a] [Tags: bug]\` sets defaults, \`• Task [Effort: 3] #ui\` overrides per task
+*Child cards:* \`   • [Sub] Child (Owner)\` under a task, or \`[Create] [Nested]\` for every indented bullet
+*Preview:* \`[Preview]\` instead of \`[Create]\` shows the cards first, with a button to create them
 *Indent levels:*
 • \`• text\` — new card (title)
 • \`   • text\` — card description
@@ -460,12 +884,22 @@ module.exports = {
     buildCardContent,
     normalizeString,
     isCommand,
+    parseCommand,
     getCommandResponse,
     hasCreateCommand,
+    isPreviewRequest,
+    parsePlainMessage,
+    parseDueDate,
+    parseCardReference,
+    parseFindQuery,
+    parseCardId,
     flattenRichTextBlock,
     extractText,
+    extractBlocksText,
     splitByCreate,
     parseCreateSection,
     isOwnerHeader,
-    extractOwnerName
+    extractOwnerName,
+    parseAttributes,
+    parseTaskTitle
 };
@@ -0,0 +1,93 @@
+/**
+ * Pending Actions
+ *
+ * Thread prompts whose buttons act later keep their data here:
+ *   - deck choices: tasks from a [Create] message whose deck name matched
+ *     decks in several spaces, waiting until someone picks the deck
+ *     id → { id, channel, ts, user, deckPath, candidates, tasks, files, createdAt }
+ *   - previews: tasks resolved for a [Preview] message, waiting for
+ *     "Create these"
+ *     id → { id, channel, ts, user, tasks, files, cards, fileSummary, createdAt }
+ *   - searches: !find results paged with "Previous" / "More"
+ *     id → { id, channel, user, query, cards, pageSize, truncated, createdAt }
+ *
+ * Entries expire after `ttlMinutes` (the buttons stop working). They live
+ * in a namespace of the bot store once attachStore() is called, so buttons
+ * posted before a restart keep working.
+ */
+
+const crypto = require('crypto');
+const { MemoryStore } = require('./store');
+
+const DEFAULT_TTL_MINUTES = 24 * 60;
+
+class PendingActions {
+    constructor(ttlMinutes = DEFAULT_TTL_MINUTES, namespace = 'pending') {
+        this.ttlMs = ttlMinutes * 60 * 1000;
+        this.namespace = namespace;
+        this.store = new MemoryStore();
+    }
+
+    /**
+     * Keeps the entries in the bot store (src/store.js)
+     */
+    attachStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Stores data waiting for a button, returns the entry
+     */
+    add(data) {
+        const entry = {
+            id: crypto.randomBytes(6).toString('hex'),
+            ...data,
+            createdAt: Date.now()
+        };
+        this.store.set(this.namespace, entry.id, entry, { ttlMs: this.ttlMs });
+        return entry;
+    }
+
+    get(id) {
+        const entry = this.store.get(this.namespace, id);
+        if (entry && entry.createdAt < Date.now() - this.ttlMs) {
+            this.store.delete(this.namespace, id);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Removes and returns an entry (a button acts only once)
+     */
+    take(id) {
+        const entry = this.get(id);
+        if (entry) this.store.delete(this.namespace, id);
+        return entry;
+    }
+
+    get size() {
+        const cutoff = Date.now() - this.ttlMs;
+        return this.store.entries(this.namespace).filter(([, entry]) => entry.createdAt >= cutoff).length;
+    }
+}
+
+class PendingDeckChoices extends PendingActions {
+    constructor(ttlMinutes = DEFAULT_TTL_MINUTES, namespace = 'pendingDeckChoices') {
+        super(ttlMinutes, namespace);
+    }
+
+    /**
+     * Stores tasks waiting for a deck choice, returns the entry
+     */
+    add({ channel, ts, user, deckPath, candidates, tasks, files = [] }) {
+        return super.add({ channel, ts, user: user || null, deckPath, candidates, tasks, files });
+    }
+}
+
+// Singleton instances
+const pendingDeckChoices = new PendingDeckChoices();
+const pendingPreviews = new PendingActions(DEFAULT_TTL_MINUTES, 'pendingPreviews');
+const pendingSearches = new PendingActions(60, 'pendingSearches');
+
+module.exports = { PendingActions, PendingDeckChoices, pendingDeckChoices, pendingPreviews, pendingSearches };
@@ -0,0 +1,257 @@
+/**
+ * Durable Work Queue
+ *
+ * Slack events are acknowledged right away and processed from here:
+ *   - jobs live in the "queue" namespace of the bot store, so a crash or
+ *     deploy resumes them (a job that was running is simply run again)
+ *   - jobs with the same group key (one Slack message) run one at a time,
+ *     in the order they arrived — an edit never overtakes its [Create]
+ *   - at most `concurrency` jobs run at once
+ *   - a failing job is retried with exponential backoff; after
+ *     `maxAttempts` it's dead-lettered and stays until replayed or removed
+ *
+ * Job: { id, seq, type, payload, groupKey, status, attempts,
+ *        enqueuedAt, nextAttemptAt, lastError }
+ * status: "pending" → "running" → removed, or "dead"
+ */
+
+const crypto = require('crypto');
+
+const NAMESPACE = 'queue';
+
+const DEFAULT_OPTIONS = {
+    concurrency: 2,
+    maxAttempts: 5,
+    retryBaseDelayMs: 2000,
+    retryMaxDelayMs: 5 * 60 * 1000
+};
+
+class WorkQueue {
+    /**
+     * @param {object} store - bot store (src/store.js)
+     * @param {Function} handler - async (job) => void, throws to retry
+     * @param {object} options - DEFAULT_OPTIONS + onDead(job)
+     */
+    constructor(store, handler, options = {}) {
+        this.store = store;
+        this.handler = handler;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        this.running = new Set();     // job ids in flight
+        this.activeGroups = new Set();
+        this.started = false;
+        this.timer = null;
+        this.seq = 0;
+        this.idleWaiters = [];
+    }
+
+    /**
+     * Adds a job; `groupKey` orders jobs of one Slack message
+     */
+    enqueue({ type, payload, groupKey = null }) {
+        const now = Date.now();
+        this.seq = Math.max(this.seq + 1, now * 1000);
+        const job = {
+            id: `${now.toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+            seq: this.seq,
+            type,
+            payload,
+            groupKey,
+            status: 'pending',
+            attempts: 0,
+            enqueuedAt: new Date(now).toISOString(),
+            nextAttemptAt: now,
+            lastError: null
+        };
+
+        this.store.set(NAMESPACE, job.id, job);
+        this.pump();
+        return job;
+    }
+
+    /**
+     * Starts the workers; jobs left "running" by a crash are run again
+     */
+    start() {
+        let recovered = 0;
+        for (const job of this.jobs()) {
+            if (job.status === 'running') {
+                this.save({ ...job, status: 'pending' });
+                recovered++;
+            }
+        }
+        if (recovered > 0) console.log(`[Queue] Recovered ${recovered} interrupted job(s)`);
+
+        this.started = true;
+        this.pump();
+    }
+
+    stop() {
+        this.started = false;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    jobs() {
+        return this.store.entries(NAMESPACE)
+            .map(([, job]) => job)
+            .sort((a, b) => a.seq - b.seq);
+    }
+
+    get(id) {
+        return this.store.get(NAMESPACE, id);
+    }
+
+    save(job) {
+        this.store.set(NAMESPACE, job.id, job);
+    }
+
+    /**
+     * Starts every job that may run now
+     */
+    pump() {
+        if (!this.started) return;
+
+        const now = Date.now();
+        let nextWakeUp = null;
+
+        for (const job of this.jobs()) {
+            if (this.running.size >= this.options.concurrency) break;
+            if (job.status !== 'pending' || this.running.has(job.id)) continue;
+
+            // Earlier job of the same message still waiting/running → keep order
+            if (job.groupKey && this.activeGroups.has(job.groupKey)) continue;
+
+            if (job.nextAttemptAt > now) {
+                nextWakeUp = Math.min(nextWakeUp ?? job.nextAttemptAt, job.nextAttemptAt);
+                if (job.groupKey) this.activeGroups.add(job.groupKey);
+                continue;
+            }
+
+            this.run(job);
+        }
+
+        // Groups blocked by a delayed job were only reserved for this pass
+        for (const group of [...this.activeGroups]) {
+            if (![...this.running].some(id => (this.get(id) || {}).groupKey === group)) {
+                this.activeGroups.delete(group);
+            }
+        }
+
+        this.scheduleWakeUp(nextWakeUp);
+        this.notifyIdle();
+    }
+
+    scheduleWakeUp(at) {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+        if (at === null) return;
+
+        this.timer = setTimeout(() => this.pump(), Math.max(0, at - Date.now()));
+        this.timer.unref();
+    }
+
+    async run(job) {
+        this.running.add(job.id);
+        if (job.groupKey) this.activeGroups.add(job.groupKey);
+
+        const current = { ...job, status: 'running', attempts: job.attempts + 1 };
+        this.save(current);
+
+        try {
+            await this.handler(current);
+            this.store.delete(NAMESPACE, job.id);
+        } catch (error) {
+            this.fail(current, error);
+        } finally {
+            this.running.delete(job.id);
+            if (job.groupKey) this.activeGroups.delete(job.groupKey);
+            this.pump();
+        }
+    }
+
+    fail(job, error) {
+        if (job.attempts >= this.options.maxAttempts) {
+            const dead = { ...job, status: 'dead', lastError: error.message, deadAt: new Date().toISOString() };
+            this.save(dead);
+            console.error(`[Queue] Job ${job.id} dead after ${job.attempts} attempt(s): ${error.message}`);
+
+            if (this.options.onDead) {
+                Promise.resolve(this.options.onDead(dead)).catch(err => {
+                    console.error('[Queue] onDead failed:', err.message);
+                });
+            }
+            return;
+        }
+
+        const delay = Math.min(
+            this.options.retryBaseDelayMs * Math.pow(2, job.attempts - 1),
+            this.options.retryMaxDelayMs
+        );
+        this.save({ ...job, status: 'pending', lastError: error.message, nextAttemptAt: Date.now() + delay });
+        console.warn(`[Queue] Job ${job.id} failed (${error.message}) — retry ${job.attempts}/${this.options.maxAttempts - 1} in ${delay}ms`);
+    }
+
+    /**
+     * Puts a dead (or waiting) job back to run now, attempts reset
+     */
+    replay(id) {
+        const job = this.get(id);
+        if (!job || job.status === 'running') return null;
+
+        const replayed = { ...job, status: 'pending', attempts: 0, nextAttemptAt: Date.now(), lastError: null };
+        delete replayed.deadAt;
+        this.save(replayed);
+        console.log(`[Queue] Replaying job ${id}`);
+
+        this.pump();
+        return replayed;
+    }
+
+    /**
+     * Replays every dead job, returns how many
+     */
+    replayDead() {
+        const dead = this.jobs().filter(job => job.status === 'dead');
+        for (const job of dead) this.replay(job.id);
+        return dead.length;
+    }
+
+    remove(id) {
+        if (this.running.has(id)) return false;
+        return this.store.delete(NAMESPACE, id);
+    }
+
+    stats() {
+        const jobs = this.jobs();
+        return {
+            pending: jobs.filter(job => job.status === 'pending').length,
+            running: this.running.size,
+            dead: jobs.filter(job => job.status === 'dead').length
+        };
+    }
+
+    /**
+     * Resolves when nothing is running and no job is ready to run
+     */
+    idle() {
+        return new Promise(resolve => {
+            this.idleWaiters.push(resolve);
+            this.notifyIdle();
+        });
+    }
+
+    notifyIdle() {
+        if (this.running.size > 0) return;
+
+        const now = Date.now();
+        const ready = this.jobs().some(job => job.status === 'pending' && job.nextAttemptAt <= now);
+        if (ready && this.started) return;
+
+        const waiters = this.idleWaiters;
+        this.idleWaiters = [];
+        for (const resolve of waiters) resolve();
+    }
+}
+
+module.exports = { WorkQueue };
@@ -0,0 +1,139 @@
+/**
+ * Reaction Trigger
+ *
+ * A reaction with config.reactionTrigger.emoji creates cards from any
+ * message — its [Create] tasks, or one card from its text (title = first
+ * line, plus a link back to Slack) — assigned to whoever reacted unless a
+ * task names its owner.
+ *
+ * Skipped: messages that already have cards (a second reaction doesn't
+ * duplicate them), bot messages (the bot's own reports included) and
+ * [Preview] messages (their "Create these" button creates the cards).
+ *
+ * Slack, the link store and card creation come in as dependencies, so the
+ * trigger is tested with stubs.
+ */
+
+const { hasCreateCommand, isPreviewRequest, parseTaskMessage, parsePlainMessage, extractBlocksText } = require('./parser');
+
+class ReactionTrigger {
+    /**
+     * @param {object} deps - { slackClient, links (CardLinkStore), isChannelAllowed(channel),
+     *                        ensureCache(), authorName(slackUserId),
+     *                        create({ channel, ts, user, author, tasks, deckPath, files, origin }), options }
+     */
+    constructor({ slackClient, links, isChannelAllowed = () => true, ensureCache = async () => true, authorName, create, options = {} } = {}) {
+        this.slackClient = slackClient;
+        this.links = links;
+        this.isChannelAllowed = isChannelAllowed;
+        this.ensureCache = ensureCache;
+        this.authorName = authorName;
+        this.create = create;
+        this.options = options;
+    }
+
+    /**
+     * Whether a reaction_added event uses the trigger emoji on a message
+     */
+    matches(event) {
+        const emoji = (event.reaction || '').split('::')[0];   // "codecks::skin-tone-2"
+        const item = event.item || {};
+        return Boolean(this.options.emoji) && emoji === this.options.emoji && item.type === 'message';
+    }
+
+    /**
+     * Handles a reaction_added event; true when cards were requested.
+     * Throws while Codecks is unavailable (queue retry).
+     */
+    async handle(event) {
+        if (!this.matches(event)) return false;
+
+        const item = event.item;
+        if (!this.isChannelAllowed(item.channel)) return false;
+
+        if (this.links.get(item.channel, item.ts)) {
+            console.log(`[Reaction] ${item.channel}:${item.ts} already has cards — reaction by ${event.user} ignored`);
+            return false;
+        }
+
+        if (!await this.ensureCache()) {
+            throw new Error('Codecks unavailable — mapping cache not initialized');
+        }
+
+        const message = await this.fetchMessage(item.channel, item.ts);
+        if (!message) {
+            console.warn(`[Reaction] Message ${item.channel}:${item.ts} not found`);
+            return false;
+        }
+
+        const text = message.text || '';
+        if (message.bot_id || message.subtype === 'bot_message' || isPreviewRequest(text)) {
+            console.log(`[Reaction] ${item.channel}:${item.ts} is a bot or [Preview] message — skipped`);
+            return false;
+        }
+
+        console.log(`[Reaction] :${this.options.emoji}: on ${item.channel}:${item.ts} by ${event.user}`);
+
+        const hasTasks = hasCreateCommand(text);
+        const { tasks, deckPath } = hasTasks
+            ? parseTaskMessage(text, message.blocks || null)
+            : { tasks: [await this.messageAsTask(item.channel, message)], deckPath: null };
+
+        const reactorTasks = tasks
+            .filter(task => task.title)
+            .map(task => ({ ...task, assigneeName: task.assigneeName || `<@${event.user}>` }));
+        if (reactorTasks.length === 0) return false;
+
+        // Edits are synced only for real [Create] messages
+        await this.create({
+            channel: item.channel,
+            ts: item.ts,
+            user: event.user,
+            author: message.user || event.user,
+            tasks: reactorTasks,
+            deckPath,
+            files: message.files,
+            origin: hasTasks ? 'message' : 'reaction'
+        });
+        return true;
+    }
+
+    /**
+     * A Slack message by channel + ts (top-level or thread reply), or null
+     */
+    async fetchMessage(channel, ts) {
+        const history = await this.slackClient.conversations.history({ channel, latest: ts, inclusive: true, limit: 1 });
+        const found = (history.messages || []).find(m => m.ts === ts);
+        if (found) return found;
+
+        // Thread replies aren't in the channel history
+        const replies = await this.slackClient.conversations.replies({ channel, ts, limit: 1 });
+        return (replies.messages || []).find(m => m.ts === ts) || null;
+    }
+
+    /**
+     * One card from a whole message: first line = title, the rest = body,
+     * plus a link back to Slack (same as "Send to Codecks")
+     */
+    async messageAsTask(channel, message) {
+        const task = parsePlainMessage(extractBlocksText(message.blocks) || message.text || '');
+
+        const [permalink, author] = await Promise.all([
+            this.slackClient.chat.getPermalink({ channel, message_ts: message.ts })
+                .then(r => r.permalink)
+                .catch(error => {
+                    console.error('[Slack] Failed to get permalink:', error.message);
+                    return null;
+                }),
+            this.authorName(message.user)
+        ]);
+
+        if (task.description.length > 0) task.description.push('');
+        if (permalink) task.description.push(`Slack: ${permalink}`);
+        if (message.user) task.description.push(`Reported by: ${author}`);
+
+        return task;
+    }
+}
+
+module.exports = { ReactionTrigger };
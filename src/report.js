@@ -0,0 +1,719 @@
+/**
+ * Creation Report
+ *
+ * Builds the threaded summary posted under a [Create] message:
+ * one line per created card (link, deck, assignee) and the reason
+ * for every task that didn't make it to Codecks.
+ * Also the deck choice prompt for deck names shared by several spaces
+ * and the [Preview] rendering with its "Create these" button.
+ * The creation report carries an "Undo" button (archive/delete the batch).
+ * !find result pages, !card details, the !hand / !mine lists and channel
+ * digests are built here as well.
+ */
+
+// Button action_id of the deck choice prompt
+const DECK_CHOICE_ACTION = 'choose_deck';
+
+// Button action_id of the preview's "Create these"
+const PREVIEW_CREATE_ACTION = 'create_preview';
+
+// Button action_id of the creation report's "Undo"
+const UNDO_ACTION = 'undo_cards';
+
+// Button action_id prefix of the !find page buttons (…_prev / …_next)
+const FIND_PAGE_ACTION = 'find_page';
+
+// Overflow menu action_id on !hand / !mine cards (start, done, remove from hand)
+const CARD_LIST_ACTION = 'card_list_action';
+
+// Slack allows at most 25 elements in an actions block
+const MAX_DECK_CHOICES = 25;
+
+// Slack allows 50 blocks per message (header, actions and footer included)
+const MAX_PREVIEW_CARDS = 45;
+
+// Slack's 50 blocks minus the "…and N more" footer of card lists
+const MAX_LIST_BLOCKS = 49;
+
+// Section text is limited to 3000 characters
+const MAX_SECTION_TEXT = 3000;
+const MAX_PREVIEW_BODY = 2000;
+
+// Codecks priority → label
+const PRIORITY_LABELS = { a: 'high', b: 'medium', c: 'low' };
+
+// Failure reason → label shown in Slack
+const FAILURE_REASONS = {
+    unknown_deck: 'Unknown deck',
+    ambiguous_deck: 'Ambiguous deck',
+    api_error: 'Codecks API error',
+    // CodecksError codes (src/codecks.js)
+    auth: 'Codecks rejected the bot token',
+    not_found: 'Not found in Codecks',
+    validation: 'Rejected by Codecks',
+    rate_limit: 'Codecks rate limit — try again later',
+    server: 'Codecks server error',
+    network: 'Codecks unreachable'
+};
+
+/**
+ * Escapes text for Slack mrkdwn (only &, < and > need it)
+ */
+function escapeMrkdwn(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function describeFailure(entry) {
+    const label = FAILURE_REASONS[entry.reason] || FAILURE_REASONS.api_error;
+    return entry.error ? `${label}: ${entry.error}` : label;
+}
+
+function formatCardLine(card) {
+    const title = card.url
+        ? `<${card.url}|${escapeMrkdwn(card.title)}>`
+        : `*${escapeMrkdwn(card.title)}*`;
+
+    let line = `• ${title} · 🎴 ${escapeMrkdwn(card.deck || 'default deck')} · 👤 ${escapeMrkdwn(card.assignee || 'unassigned')}`;
+    if (card.dueDate) line += ` · 📅 ${card.dueDate}`;
+    if (card.attachments > 0) line += ` · 📎 ${card.attachments}`;
+    for (const child of card.children || []) {
+        line += `\n      ↳ ${escapeMrkdwn(child.title)} · 👤 ${escapeMrkdwn(child.assignee || 'unassigned')}`;
+    }
+    for (const warning of card.warnings || []) {
+        line += `\n      ⚠️ ${escapeMrkdwn(warning)}`;
+    }
+    return line;
+}
+
+function formatFailureLine(entry) {
+    return `• *${escapeMrkdwn(entry.title || 'Untitled')}* — ${escapeMrkdwn(describeFailure(entry))}`;
+}
+
+function formatFileLine(entry) {
+    return `• *${escapeMrkdwn(entry.name)}* — ${escapeMrkdwn(entry.reason)}`;
+}
+
+/**
+ * Builds the report text from createCardsInCodecks results
+ * @param {object} results - { success: [...], failed: [...] }
+ */
+function buildCreationReport(results) {
+    const created = results.success || [];
+    const failed = results.failed || [];
+    const fileFailures = results.fileFailures || [];
+    const lines = [];
+
+    if (created.length > 0) {
+        lines.push(`✅ *Created ${created.length} card(s):*`);
+        for (const card of created) lines.push(formatCardLine(card));
+    }
+
+    if (failed.length > 0) {
+        if (lines.length > 0) lines.push('');
+        lines.push(`⚠️ *${failed.length} task(s) not created:*`);
+        for (const entry of failed) lines.push(formatFailureLine(entry));
+    }
+
+    if (fileFailures.length > 0) {
+        if (lines.length > 0) lines.push('');
+        lines.push(`📎 *${fileFailures.length} file(s) not attached:*`);
+        for (const entry of fileFailures) lines.push(formatFileLine(entry));
+    }
+
+    if (lines.length === 0) {
+        lines.push('ℹ️ No tasks found in this message.');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Creation report as a message with an "Undo" button
+ * (only when cards were created and `undoValue` is given)
+ * @param {string} undoValue - button value, "<channel>:<ts>" of the source message
+ */
+function buildCreationMessage(results, undoValue = null) {
+    const text = buildCreationReport(results);
+    if (!undoValue || (results.success || []).length === 0) return { text };
+
+    return {
+        text,
+        blocks: [
+            ...textSections(text),
+            {
+                type: 'actions',
+                block_id: 'undo',
+                elements: [{
+                    type: 'button',
+                    action_id: UNDO_ACTION,
+                    style: 'danger',
+                    text: { type: 'plain_text', text: '↩️ Undo', emoji: true },
+                    value: undoValue,
+                    confirm: {
+                        title: { type: 'plain_text', text: 'Undo these cards?' },
+                        text: { type: 'mrkdwn', text: `Removes the ${results.success.length} card(s) created from this message from Codecks.` },
+                        confirm: { type: 'plain_text', text: 'Undo' },
+                        deny: { type: 'plain_text', text: 'Keep' }
+                    }
+                }]
+            }
+        ]
+    };
+}
+
+/**
+ * Splits long mrkdwn into section blocks (whole lines, Slack's length limit)
+ */
+function textSections(text) {
+    const sections = [];
+    let current = '';
+    for (const line of text.split('\n')) {
+        if (current && current.length + line.length + 1 > MAX_SECTION_TEXT) {
+            sections.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${line}` : line.substring(0, MAX_SECTION_TEXT);
+    }
+    if (current) sections.push(current);
+    return sections.map(part => ({ type: 'section', text: { type: 'mrkdwn', text: part } }));
+}
+
+/**
+ * Result of "Undo" / !undo
+ * @param {object} results - { undone: [...], failed: [...], mode: "archive"|"delete", user }
+ */
+function buildUndoReport(results) {
+    const undone = results.undone || [];
+    const failed = results.failed || [];
+    const verb = results.mode === 'delete' ? 'Deleted' : 'Archived';
+    const lines = [];
+
+    if (undone.length > 0) {
+        lines.push(`↩️ *${verb} ${undone.length} card(s)* (undone by <@${results.user}>):`);
+        for (const card of undone) lines.push(formatLinkLine(card));
+    }
+
+    if (failed.length > 0) {
+        if (lines.length > 0) lines.push('');
+        lines.push(`⚠️ *${failed.length} card(s) could not be undone:*`);
+        for (const entry of failed) lines.push(formatFailureLine(entry));
+    }
+
+    return lines.join('\n');
+}
+
+// Changed field → label shown in the edit report
+const CHANGE_LABELS = {
+    content: 'content',
+    deckId: 'deck',
+    assigneeId: 'assignee',
+    priority: 'priority',
+    effort: 'effort',
+    tags: 'tags',
+    dueDate: 'due date',
+    children: 'sub-cards'
+};
+
+function formatLinkLine(card) {
+    return card.url
+        ? `• <${card.url}|${escapeMrkdwn(card.title)}>`
+        : `• *${escapeMrkdwn(card.title)}*`;
+}
+
+const STATUS_UPDATES = {
+    started: '▶️ started',
+    done: '✅ done'
+};
+
+function formatChange(change) {
+    if (change.type === 'status') return STATUS_UPDATES[change.status] || change.status;
+    if (change.type === 'assignee') {
+        return change.to ? `👤 assigned to *${escapeMrkdwn(change.to)}*` : '👤 unassigned';
+    }
+    const authors = change.authors.map(escapeMrkdwn).join(', ');
+    return change.count > 1 ? `💬 ${change.count} new comments by ${authors}` : `💬 new comment by ${authors}`;
+}
+
+/**
+ * Builds the thread message for cards changed in Codecks
+ * @param {Array} updates - [{ title, url, changes }] (see notifier.detectChanges)
+ */
+function buildCardUpdates(updates) {
+    return updates.map(update => {
+        const title = update.url
+            ? `<${update.url}|${escapeMrkdwn(update.title)}>`
+            : `*${escapeMrkdwn(update.title)}*`;
+        return `🔔 ${title} — ${update.changes.map(formatChange).join(', ')}`;
+    }).join('\n');
+}
+
+// Codecks status → icon in the progress list of a report
+const STATUS_ICONS = {
+    done: '✅',
+    started: '▶️',
+    review: '👀',
+    blocked: '⛔'
+};
+
+const PROGRESS_BLOCK_ID = 'progress';
+
+/**
+ * Progress blocks for a creation report
+ * @param {object} progress - { done, total, cards: [{ title, url, status }] }
+ */
+function buildProgressBlocks(progress) {
+    const lines = progress.cards.map(card => {
+        const title = card.url ? `<${card.url}|${escapeMrkdwn(card.title)}>` : `*${escapeMrkdwn(card.title)}*`;
+        return `${STATUS_ICONS[card.status] || '⬜'} ${title}${card.status ? ` — ${card.status}` : ''}`;
+    });
+    const heading = progress.done === progress.total ? '🏁' : '📊';
+
+    return [
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `${heading} *${progress.done}/${progress.total} done* in Codecks` }] },
+        ...textSections(lines.join('\n'))
+    ].map((block, i) => ({ ...block, block_id: `${PROGRESS_BLOCK_ID}_${i}` }));
+}
+
+/**
+ * The stored creation report with its progress blocks replaced
+ * (placed above the Undo button)
+ * @param {object} report - { text, blocks } as posted
+ */
+function withProgress(report, progress) {
+    const blocks = (report.blocks && report.blocks.length > 0 ? report.blocks : textSections(report.text || ''))
+        .filter(block => !String(block.block_id || '').startsWith(`${PROGRESS_BLOCK_ID}_`));
+    const actionsAt = blocks.findIndex(block => block.type === 'actions');
+    const at = actionsAt === -1 ? blocks.length : actionsAt;
+
+    blocks.splice(at, 0, { type: 'divider', block_id: `${PROGRESS_BLOCK_ID}_divider` }, ...buildProgressBlocks(progress));
+    return { text: report.text, blocks };
+}
+
+function formatStatus(status) {
+    return status ? `${STATUS_ICONS[status] || '⬜'} ${status}` : '⬜ unknown';
+}
+
+function describeSearch(query) {
+    const parts = [query.text ? `"${escapeMrkdwn(query.text)}"` : 'all cards'];
+    if (query.deckPath) parts.push(`in *${escapeMrkdwn(query.deckPath)}*`);
+    if (query.ownerName) parts.push(`owned by *${escapeMrkdwn(query.ownerName)}*`);
+    return parts.join(' ');
+}
+
+/**
+ * One page of !find results with "Previous" / "More" buttons
+ * @param {object} entry - pending search: { id, query: { text, deckPath, ownerName }, cards, pageSize, truncated }
+ *                         cards: [{ title, url, deckPath, status, assigneeName }]
+ * @param {number} page - 0-based
+ */
+function buildSearchPage(entry, page = 0) {
+    const total = entry.cards.length;
+    if (total === 0) return { text: `🔍 No cards found for ${describeSearch(entry.query)}.` };
+
+    const pages = Math.ceil(total / entry.pageSize);
+    const current = Math.min(Math.max(page, 0), pages - 1);
+    const shown = entry.cards.slice(current * entry.pageSize, (current + 1) * entry.pageSize);
+
+    const lines = [`🔍 *${total}${entry.truncated ? '+' : ''} card(s)* for ${describeSearch(entry.query)}` +
+        (pages > 1 ? ` — page ${current + 1}/${pages}` : '')];
+    for (const card of shown) {
+        const title = card.url ? `<${card.url}|${escapeMrkdwn(card.title)}>` : `*${escapeMrkdwn(card.title)}*`;
+        const details = [card.deckPath ? escapeMrkdwn(card.deckPath) : null, formatStatus(card.status),
+            card.assigneeName ? `👤 ${escapeMrkdwn(card.assigneeName)}` : null].filter(Boolean);
+        lines.push(`• ${title} · ${details.join(' · ')}`);
+    }
+    if (entry.truncated) lines.push(`_Only the ${total} most recently updated cards are listed — narrow the search._`);
+
+    const text = lines.join('\n');
+    const buttons = [];
+    if (current > 0) {
+        buttons.push({
+            type: 'button',
+            action_id: `${FIND_PAGE_ACTION}_prev`,
+            text: { type: 'plain_text', text: '◀️ Previous', emoji: true },
+            value: `${entry.id}:${current - 1}`
+        });
+    }
+    if (current < pages - 1) {
+        buttons.push({
+            type: 'button',
+            action_id: `${FIND_PAGE_ACTION}_next`,
+            text: { type: 'plain_text', text: 'More ▶️', emoji: true },
+            value: `${entry.id}:${current + 1}`
+        });
+    }
+
+    return {
+        text,
+        blocks: [
+            ...textSections(text),
+            ...(buttons.length > 0 ? [{ type: 'actions', block_id: 'find_pages', elements: buttons }] : [])
+        ]
+    };
+}
+
+/**
+ * !card: one card with status, deck, owner, checkboxes and content
+ * @param {object} card - { title, url, content, status, deckPath, assigneeName, priority, effort, dueDate }
+ */
+function buildCardDetails(card) {
+    const lines = (card.content || '').split('\n').slice(1);
+    const checkboxes = lines
+        .map(line => line.match(/^\s*[-*]\s*\[( |x)\]\s*(.*)$/i))
+        .filter(Boolean)
+        .map(m => ({ checked: m[1].toLowerCase() === 'x', text: m[2] }));
+    const body = lines.filter(line => !/^\s*[-*]\s*\[( |x)\]/i.test(line)).join('\n').trim();
+
+    const title = card.url ? `<${card.url}|${escapeMrkdwn(card.title)}>` : `*${escapeMrkdwn(card.title)}*`;
+    const details = [
+        formatStatus(card.status),
+        card.deckPath ? `📂 ${escapeMrkdwn(card.deckPath)}` : null,
+        card.assigneeName ? `👤 ${escapeMrkdwn(card.assigneeName)}` : '👤 unassigned',
+        card.priority ? `priority ${PRIORITY_LABELS[card.priority] || card.priority}` : null,
+        card.effort !== null && card.effort !== undefined ? `effort ${card.effort}` : null,
+        card.dueDate ? `📅 ${card.dueDate}` : null
+    ].filter(Boolean);
+
+    const out = [`🃏 *${title}*`, details.join(' · ')];
+    if (card.visibility && card.visibility !== 'default') out.push(`_This card is ${card.visibility}._`);
+
+    if (checkboxes.length > 0) {
+        out.push('', `*Checkboxes* (${checkboxes.filter(cb => cb.checked).length}/${checkboxes.length}):`);
+        for (const cb of checkboxes) out.push(`${cb.checked ? '☑️' : '⬜'} ${escapeMrkdwn(cb.text)}`);
+    }
+
+    const text = out.join('\n') + formatPreviewBody(body, MAX_PREVIEW_BODY);
+    return { text, blocks: textSections(text) };
+}
+
+const CARD_LIST_TITLES = {
+    hand: { icon: '🖐️', heading: 'Hand', empty: 'No cards on the hand' },
+    mine: { icon: '📋', heading: 'Open cards', empty: 'No open cards assigned' }
+};
+
+function cardListOptions(list, card) {
+    const value = (op) => `${list.kind}:${op}:${card.id}:${list.slackUserId}`;
+    const options = [];
+    if (card.status !== 'started' && card.status !== 'done') options.push({ text: '▶️ Start', value: value('start') });
+    if (card.status !== 'done') options.push({ text: '✅ Done', value: value('done') });
+    if (card.onHand) options.push({ text: '🖐️ Remove from hand', value: value('unhand') });
+    return options.map(option => ({ text: { type: 'plain_text', text: option.text, emoji: true }, value: option.value }));
+}
+
+/**
+ * !hand / !mine: cards grouped by deck, each with a start / done /
+ * remove-from-hand menu (only the listed user may use it)
+ * @param {object} list - { kind: "hand"|"mine", slackUserId, userName,
+ *                          cards: [{ id, title, url, deckPath, status, onHand }] }
+ */
+function buildCardList(list) {
+    const titles = CARD_LIST_TITLES[list.kind];
+    const owner = escapeMrkdwn(list.userName);
+
+    if (list.cards.length === 0) {
+        return { text: `${titles.icon} ${titles.empty} for *${owner}* in Codecks.` };
+    }
+
+    const heading = `${titles.icon} *${titles.heading} of ${owner}* — ${list.cards.length} card(s)`;
+    const groups = new Map();
+    for (const card of list.cards) {
+        const deck = card.deckPath || 'No deck';
+        if (!groups.has(deck)) groups.set(deck, []);
+        groups.get(deck).push(card);
+    }
+
+    const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: heading } }];
+    let listed = 0;
+    for (const [deck, cards] of groups) {
+        // Room for the deck heading and at least one card
+        if (blocks.length + 2 > MAX_LIST_BLOCKS) break;
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `📂 *${escapeMrkdwn(deck)}*` }] });
+
+        for (const card of cards) {
+            if (blocks.length + 1 > MAX_LIST_BLOCKS) break;
+            const title = card.url ? `<${card.url}|${escapeMrkdwn(card.title)}>` : `*${escapeMrkdwn(card.title)}*`;
+            const options = cardListOptions(list, card);
+            blocks.push({
+                type: 'section',
+                text: { type: 'mrkdwn', text: `${title} · ${formatStatus(card.status)}${card.onHand && list.kind !== 'hand' ? ' · 🖐️' : ''}` },
+                ...(options.length > 0 ? { accessory: { type: 'overflow', action_id: CARD_LIST_ACTION, options } } : {})
+            });
+            listed++;
+        }
+    }
+
+    if (listed < list.cards.length) {
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${list.cards.length - listed} more` }] });
+    }
+
+    return { text: heading, blocks };
+}
+
+const DIGEST_SECTIONS = {
+    created: { icon: '🆕', label: 'Created from this channel' },
+    completed: { icon: '✅', label: 'Completed' },
+    overdue: { icon: '⏰', label: 'Overdue', inDeck: true },
+    unassigned: { icon: '🙋', label: 'Unassigned', inDeck: true }
+};
+
+const DIGEST_PERIODS = {
+    daily: { title: 'Daily digest', period: 'last 24 hours' },
+    weekly: { title: 'Weekly digest', period: 'last 7 days' }
+};
+
+/**
+ * Channel digest (src/digest.js)
+ * @param {object} digest - { frequency, deckPath, maxCardsPerSection,
+ *                            sections: { name: [{ title, url, assigneeName, dueDate }] | null } }
+ *                          null section = needs a bound deck
+ */
+function buildDigest(digest) {
+    const period = DIGEST_PERIODS[digest.frequency] || DIGEST_PERIODS.daily;
+    const max = digest.maxCardsPerSection || 10;
+    const lines = [`🗞️ *${period.title}* — ${period.period}`];
+
+    for (const [name, cards] of Object.entries(digest.sections)) {
+        const section = DIGEST_SECTIONS[name];
+        const where = section.inDeck && digest.deckPath ? ` in *${escapeMrkdwn(digest.deckPath)}*` : '';
+        lines.push('');
+
+        if (cards === null) {
+            lines.push(`${section.icon} *${section.label}* — no deck bound to this channel (\`!bind Space/Deck\`)`);
+            continue;
+        }
+
+        lines.push(`${section.icon} *${section.label}*${where} (${cards.length})`);
+        if (cards.length === 0) lines.push('_none_');
+
+        for (const card of cards.slice(0, max)) {
+            const title = card.url ? `<${card.url}|${escapeMrkdwn(card.title)}>` : `*${escapeMrkdwn(card.title)}*`;
+            const details = [
+                card.dueDate && name === 'overdue' ? `📅 ${card.dueDate}` : null,
+                card.assigneeName ? `👤 ${escapeMrkdwn(card.assigneeName)}` : null
+            ].filter(Boolean);
+            lines.push(`• ${title}${details.length > 0 ? ` · ${details.join(' · ')}` : ''}`);
+        }
+        if (cards.length > max) lines.push(`…and ${cards.length - max} more`);
+    }
+
+    const text = lines.join('\n');
+    return { text, blocks: textSections(text) };
+}
+
+/**
+ * Builds the report for an edited [Create] message.
+ * Returns null when the edit didn't change any card.
+ * @param {object} results - { updated, success, archived, removed, failed }
+ */
+function buildEditReport(results) {
+    const updated = results.updated || [];
+    const created = results.success || [];
+    const archived = results.archived || [];
+    const removed = results.removed || [];
+    const failed = results.failed || [];
+    const sections = [];
+
+    if (updated.length > 0) {
+        const lines = [`✏️ *Updated ${updated.length} card(s):*`];
+        for (const card of updated) {
+            const changes = (card.changes || []).map(c => CHANGE_LABELS[c] || c).join(', ');
+            lines.push(formatCardLine(card) + (changes ? `\n      ↳ changed: ${changes}` : ''));
+        }
+        sections.push(lines.join('\n'));
+    }
+
+    if (created.length > 0) {
+        sections.push([`➕ *Created ${created.length} card(s):*`, ...created.map(formatCardLine)].join('\n'));
+    }
+
+    if (archived.length > 0) {
+        sections.push([`🗄️ *Archived ${archived.length} card(s):*`, ...archived.map(formatLinkLine)].join('\n'));
+    }
+
+    if (removed.length > 0) {
+        sections.push([
+            `➖ *${removed.length} task(s) removed from the message* (cards left in Codecks):`,
+            ...removed.map(formatLinkLine)
+        ].join('\n'));
+    }
+
+    if (failed.length > 0) {
+        sections.push([`⚠️ *${failed.length} change(s) failed:*`, ...failed.map(formatFailureLine)].join('\n'));
+    }
+
+    return sections.length > 0 ? sections.join('\n\n') : null;
+}
+
+/**
+ * Thread prompt asking which deck an ambiguous [Deck: …] meant.
+ * Button value: "<pending id>:<deck id>"
+ * @param {object} entry - pending choice ({ id, deckPath, candidates, tasks })
+ */
+function buildDeckChoicePrompt(entry) {
+    const titles = entry.tasks.map(task => `• ${escapeMrkdwn(task.title)}`).join('\n');
+    const text = `🤔 *"${escapeMrkdwn(entry.deckPath)}" matches ${entry.candidates.length} decks.* ` +
+        `Which one should get ${entry.tasks.length} card(s)?\n${titles}`;
+    
+    return {
+        text,
+        blocks: [
+            { type: 'section', text: { type: 'mrkdwn', text } },
+            {
+                type: 'actions',
+                block_id: `deck_choice:${entry.id}`,
+                elements: entry.candidates.slice(0, MAX_DECK_CHOICES).map((candidate, i) => ({
+                    type: 'button',
+                    action_id: `${DECK_CHOICE_ACTION}:${i}`,
+                    text: { type: 'plain_text', text: candidate.path.substring(0, 75), emoji: true },
+                    value: `${entry.id}:${candidate.id}`
+                }))
+            }
+        ]
+    };
+}
+
+/**
+ * Replaces the prompt once a deck was chosen (buttons removed)
+ */
+function buildDeckChoiceResult(entry, deckName, userId) {
+    return `✅ "${escapeMrkdwn(entry.deckPath)}" → *${escapeMrkdwn(deckName)}* (chosen by <@${userId}>)`;
+}
+
+function formatPreviewDeck(card) {
+    if (card.deckChoices) {
+        const paths = card.deckChoices.map(c => escapeMrkdwn(c.path)).join(', ');
+        return `🎴 🤔 *"${escapeMrkdwn(card.deckPath)}" is ambiguous* (${paths}) — you'll be asked to choose`;
+    }
+    if (!card.deck) {
+        return card.deckPath
+            ? `🎴 ❌ *"${escapeMrkdwn(card.deckPath)}" not found* — won't be created`
+            : '🎴 ❌ *no deck* — won\'t be created';
+    }
+    return `🎴 ${escapeMrkdwn(card.deck)}`;
+}
+
+function formatPreviewAssignee(card) {
+    if (card.assignee) return `👤 ${escapeMrkdwn(card.assignee)}`;
+    if (card.assigneeName) return `👤 ❓ *"${escapeMrkdwn(card.assigneeName)}" unknown*`;
+    return '👤 unassigned';
+}
+
+function formatPreviewBody(body, limit) {
+    if (!body) return '';
+    const shown = body.length > limit ? body.substring(0, limit) + '…' : body;
+    return `\n\`\`\`${escapeMrkdwn(shown)}\`\`\``;
+}
+
+function formatPreviewCard(card, number) {
+    const details = [formatPreviewDeck(card), formatPreviewAssignee(card)];
+    if (card.priority) details.push(`🔺 ${PRIORITY_LABELS[card.priority] || card.priority}`);
+    if (card.effort !== null && card.effort !== undefined) details.push(`⏱️ ${card.effort}`);
+    if (card.tags && card.tags.length > 0) details.push(`🏷️ ${card.tags.map(escapeMrkdwn).join(', ')}`);
+    if (card.dueDate) details.push(`📅 ${card.dueDate}`);
+    else if (card.due) details.push(`📅 ❌ *"${escapeMrkdwn(card.due)}" unreadable*`);
+
+    let text = `*${number}. ${escapeMrkdwn(card.title)}*\n${details.join(' · ')}`;
+
+    text += formatPreviewBody(card.body, MAX_PREVIEW_BODY);
+
+    // Child cards, indented under the parent
+    const childBodyLimit = Math.floor(MAX_PREVIEW_BODY / Math.max(1, (card.children || []).length) / 2);
+    for (const child of card.children || []) {
+        text += `\n↳ *${escapeMrkdwn(child.title)}* · ${formatPreviewAssignee(child)}`;
+        text += formatPreviewBody(child.body, childBodyLimit);
+    }
+
+    for (const warning of card.warnings || []) {
+        text += `\n⚠️ ${escapeMrkdwn(warning)}`;
+    }
+    return text.length > MAX_SECTION_TEXT ? text.substring(0, MAX_SECTION_TEXT - 1) + '…' : text;
+}
+
+/**
+ * Renders a [Preview]: every card as it would be created, unresolved
+ * decks and users highlighted, and a "Create these" button.
+ * Once created (`createdBy` set) the button is replaced by who did it.
+ * @param {object} entry - pending preview ({ id, cards })
+ * @param {object} options - { createdBy: Slack user id }
+ */
+function buildPreview(entry, options = {}) {
+    const cards = entry.cards || [];
+    const creatable = cards.filter(card => card.deck || card.deckChoices).length;
+    const unknownUser = (card) => card.assigneeName && !card.assignee;
+    const unresolved = cards.filter(card => !card.deck || unknownUser(card) || (card.children || []).some(unknownUser)).length;
+
+    let summary = `👀 *Preview — ${creatable} of ${cards.length} card(s) can be created*`;
+    if (unresolved > 0) summary += ` · ${unresolved} with unresolved names`;
+
+    const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: summary } }];
+
+    cards.slice(0, MAX_PREVIEW_CARDS).forEach((card, i) => {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: formatPreviewCard(card, i + 1) } });
+    });
+
+    let footer = cards.length > MAX_PREVIEW_CARDS
+        ? `…and ${cards.length - MAX_PREVIEW_CARDS} more card(s). `
+        : '';
+
+    if (options.createdBy) {
+        footer += `✅ Created by <@${options.createdBy}>`;
+    } else if (creatable > 0) {
+        blocks.push({
+            type: 'actions',
+            block_id: `preview:${entry.id}`,
+            elements: [{
+                type: 'button',
+                action_id: PREVIEW_CREATE_ACTION,
+                style: 'primary',
+                text: { type: 'plain_text', text: 'Create these', emoji: true },
+                value: entry.id
+            }]
+        });
+        footer += 'Nothing is created until someone presses the button.';
+    } else {
+        footer += 'Nothing can be created — fix the message and preview again.';
+    }
+
+    const files = entry.fileSummary;
+    if (files && (files.accepted.length > 0 || files.rejected.length > 0)) {
+        const fileLines = [];
+        if (files.accepted.length > 0) {
+            fileLines.push(`📎 Attached to every card: ${files.accepted.map(escapeMrkdwn).join(', ')}`);
+        }
+        for (const rejected of files.rejected) {
+            fileLines.push(`📎 ❌ *${escapeMrkdwn(rejected.name)}* won't be attached — ${escapeMrkdwn(rejected.reason)}`);
+        }
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: fileLines.join('\n') }] });
+    }
+
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: footer }] });
+
+    return { text: summary, blocks };
+}
+
+module.exports = {
+    FAILURE_REASONS,
+    DECK_CHOICE_ACTION,
+    PREVIEW_CREATE_ACTION,
+    UNDO_ACTION,
+    FIND_PAGE_ACTION,
+    CARD_LIST_ACTION,
+    escapeMrkdwn,
+    describeFailure,
+    buildCreationReport,
+    buildCreationMessage,
+    buildUndoReport,
+    buildEditReport,
+    buildCardUpdates,
+    withProgress,
+    buildSearchPage,
+    buildCardDetails,
+    buildCardList,
+    buildDigest,
+    buildDeckChoicePrompt,
+    buildDeckChoiceResult,
+    buildPreview
+};
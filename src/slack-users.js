@@ -0,0 +1,178 @@
+/**
+ * Slack User Directory
+ *
+ * Maps Slack user ids (mentions like <@U123>) to Codecks users:
+ *   1. config.userMapping keyed by Slack id — admin override
+ *      ({"U123ABC": "Anna Kowalska"})
+ *   2. learned links, kept in the "userLinks" namespace of the bot store
+ *   3. Slack profile (display name, real name, e-mail name) matched
+ *      against the mapping cache — an exact hit is learned for next time,
+ *      a fuzzy one is only used (a wrong guess mustn't stick)
+ *
+ * A learned link is dropped with "!unlink" (self) or "!unlink @user" (admin).
+ *
+ * Profiles come from users.list (primed at startup) or users.info.
+ */
+
+const { MemoryStore } = require('./store');
+
+const NAMESPACE = 'userLinks';
+const slackMentionRegex = /<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g;
+
+class SlackUserDirectory {
+    constructor(store = new MemoryStore()) {
+        this.store = store;
+        this.profiles = new Map();    // "U123" → { id, name, realName, displayName, email, timeZone }
+    }
+
+    /**
+     * Learned Slack → Codecks link (or null)
+     */
+    getLink(slackUserId) {
+        return this.store.get(NAMESPACE, slackUserId);
+    }
+
+    /**
+     * Loads every workspace profile with users.list (paginated)
+     */
+    async loadProfiles(slackClient) {
+        let cursor;
+        do {
+            const result = await slackClient.users.list({ cursor, limit: 200 });
+            for (const member of result.members || []) {
+                if (!member.deleted && !member.is_bot) this.profiles.set(member.id, toProfile(member));
+            }
+            cursor = result.response_metadata && result.response_metadata.next_cursor;
+        } while (cursor);
+
+        console.log(`[SlackUsers] Loaded ${this.profiles.size} Slack profile(s)`);
+    }
+
+    /**
+     * Slack profile by id (users.info on first use); null if Slack can't tell
+     */
+    async getProfile(slackClient, slackUserId) {
+        if (!slackUserId) return null;
+        if (this.profiles.has(slackUserId)) return this.profiles.get(slackUserId);
+
+        try {
+            const { user } = await slackClient.users.info({ user: slackUserId });
+            const profile = toProfile(user);
+            this.profiles.set(slackUserId, profile);
+            return profile;
+        } catch (error) {
+            console.error(`[SlackUsers] users.info failed for ${slackUserId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Human-readable Slack name (display name → real name → handle → id)
+     */
+    async getName(slackClient, slackUserId) {
+        const profile = await this.getProfile(slackClient, slackUserId);
+        return (profile && (profile.displayName || profile.realName || profile.name)) || slackUserId;
+    }
+
+    /**
+     * Resolves a Slack user id to a Codecks user id (or null)
+     * @param {object} slackClient - Slack WebClient
+     * @param {object} cache - MappingCache
+     * @param {object} userMapping - config.userMapping (Slack id keys = overrides)
+     */
+    async resolveCodecksUser(slackClient, slackUserId, cache, userMapping = {}) {
+        if (!slackUserId) return null;
+
+        // 1. Admin override
+        if (userMapping[slackUserId]) {
+            const overrideId = cache.resolveUser(userMapping[slackUserId], userMapping);
+            if (overrideId) return overrideId;
+            console.warn(`[SlackUsers] Override for ${slackUserId} → "${userMapping[slackUserId]}" not found in Codecks`);
+        }
+
+        // 2. Learned link (still a Codecks user?)
+        const linked = this.getLink(slackUserId);
+        if (linked && (!cache.initialized || cache.userNames.has(linked))) return linked;
+
+        // 3. Match the Slack profile names — exact names first
+        const profile = await this.getProfile(slackClient, slackUserId);
+        if (!profile) return null;
+
+        const names = profileNames(profile);
+        for (const name of names) {
+            const codecksUserId = cache.users.get(cache.normalize(cache.resolveAlias(name, userMapping)));
+            if (codecksUserId) {
+                console.log(`[SlackUsers] Linked ${slackUserId} (${name}) → ${codecksUserId}`);
+                this.link(slackUserId, codecksUserId);
+                return codecksUserId;
+            }
+        }
+
+        for (const name of names) {
+            const codecksUserId = cache.resolveUser(name, userMapping);
+            if (codecksUserId) return codecksUserId;
+        }
+
+        return null;
+    }
+
+    /**
+     * Stores a Slack → Codecks link
+     */
+    link(slackUserId, codecksUserId) {
+        this.store.set(NAMESPACE, slackUserId, codecksUserId);
+    }
+
+    unlink(slackUserId) {
+        return this.store.delete(NAMESPACE, slackUserId);
+    }
+}
+
+function toProfile(user) {
+    const profile = user.profile || {};
+    return {
+        id: user.id,
+        name: user.name || null,
+        realName: profile.real_name || user.real_name || null,
+        displayName: profile.display_name || null,
+        email: profile.email || null,
+        timeZone: user.tz || null
+    };
+}
+
+/**
+ * Candidate Codecks names for a profile, most specific first
+ */
+function profileNames(profile) {
+    const emailName = profile.email ? profile.email.split('@')[0].replace(/[._]+/g, ' ') : null;
+    const names = [profile.displayName, profile.realName, emailName, profile.name];
+    return [...new Set(names.filter(Boolean))];
+}
+
+/**
+ * Slack user id from a mention ("<@U123>", "<@U123|anna>"), else null
+ */
+function parseSlackMention(text) {
+    const match = String(text || '').trim().match(/^<@([UW][A-Z0-9]+)(?:\|[^>]*)?>$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Replaces every mention in text using an async name lookup
+ */
+async function replaceMentions(text, nameFor) {
+    if (!text || !text.includes('<@')) return text;
+
+    const ids = [...new Set([...text.matchAll(slackMentionRegex)].map(m => m[1]))];
+    const names = new Map();
+    for (const id of ids) names.set(id, await nameFor(id));
+
+    return text.replace(slackMentionRegex, (match, id) => `@${names.get(id)}`);
+}
+
+module.exports = {
+    SlackUserDirectory,
+    parseSlackMention,
+    replaceMentions,
+    profileNames
+};
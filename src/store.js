@@ -0,0 +1,272 @@
+/**
+ * Bot State Store
+ *
+ * Key-value storage grouped in namespaces, with optional expiry:
+ *   events   — processed Slack event keys (dedupe across restarts)
+ *   links    — Slack message → Codecks cards
+ *   bindings — channel → default deck
+ *   userLinks — Slack user → Codecks user
+ *   cache    — mapping cache snapshot (served until the first refresh)
+ *   queue    — event jobs waiting, retrying or dead (src/queue.js)
+ *   cardStates, notifyChannels — Codecks → Slack notifications (src/notifier.js)
+ *   digests  — last digest per channel (src/digest.js)
+ *   pendingDeckChoices, pendingPreviews, pendingSearches — data of thread
+ *            buttons (src/pending.js)
+ *
+ * Backends (config.store.type):
+ *   "json"   — one JSON file, <dataDir>/store.json (default)
+ *   "sqlite" — SQLite via better-sqlite3 (installed separately, see README)
+ *   "memory" — nothing persisted (tests)
+ *
+ * All backends are synchronous, values must be JSON-serializable.
+ */
+
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+function expiryFrom(options = {}) {
+    return options.ttlMs ? Date.now() + options.ttlMs : null;
+}
+
+/**
+ * In-memory backend (also the base of the JSON file backend)
+ */
+class MemoryStore {
+    constructor() {
+        this.namespaces = new Map();  // ns → Map(key → { value, expiresAt })
+    }
+
+    table(ns) {
+        if (!this.namespaces.has(ns)) this.namespaces.set(ns, new Map());
+        return this.namespaces.get(ns);
+    }
+
+    get(ns, key) {
+        const entry = this.table(ns).get(key);
+        if (!entry) return null;
+        if (isExpired(entry)) {
+            this.delete(ns, key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    has(ns, key) {
+        return this.get(ns, key) !== null;
+    }
+
+    /**
+     * Stores a value; options.ttlMs makes it expire
+     */
+    set(ns, key, value, options = {}) {
+        this.table(ns).set(key, { value, expiresAt: expiryFrom(options) });
+        this.changed(ns);
+    }
+
+    delete(ns, key) {
+        const removed = this.table(ns).delete(key);
+        if (removed) this.changed(ns);
+        return removed;
+    }
+
+    /**
+     * All live [key, value] pairs of a namespace
+     */
+    entries(ns) {
+        const now = Date.now();
+        return [...this.table(ns).entries()]
+            .filter(([, entry]) => !isExpired(entry, now))
+            .map(([key, entry]) => [key, entry.value]);
+    }
+
+    /**
+     * Drops expired entries, returns how many
+     */
+    prune() {
+        const now = Date.now();
+        let removed = 0;
+        for (const table of this.namespaces.values()) {
+            for (const [key, entry] of table) {
+                if (isExpired(entry, now)) {
+                    table.delete(key);
+                    removed++;
+                }
+            }
+        }
+        if (removed > 0) this.changed();
+        return removed;
+    }
+
+    // Persistence hooks (no-op in memory)
+    changed(ns) {}
+
+    flush() {}
+
+    close() {}
+}
+
+// Written at once by the JSON backend: losing them in a crash means
+// lost jobs already acked to Slack or duplicate cards on replay
+const DURABLE_NAMESPACES = ['queue', 'events', 'links'];
+
+/**
+ * JSON file backend: the whole store in one file, rewritten shortly after
+ * a change (changes within writeDelayMs are written together); changes of
+ * durable namespaces, flush() and close() write right away
+ */
+class JsonFileStore extends MemoryStore {
+    constructor(filePath, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.writeDelayMs = options.writeDelayMs ?? 1000;
+        this.durable = new Set(options.durableNamespaces || DURABLE_NAMESPACES);
+        this.writeTimer = null;
+        this.dirty = false;
+        this.load();
+    }
+
+    load() {
+        const data = readJsonFile(this.filePath, {});
+        for (const [ns, entries] of Object.entries(data.namespaces || {})) {
+            this.namespaces.set(ns, new Map(Object.entries(entries)));
+        }
+        this.prune();
+        console.log(`[Store] JSON file: ${this.filePath}`);
+    }
+
+    changed(ns) {
+        this.dirty = true;
+        if (this.durable.has(ns)) {
+            this.flush();
+            return;
+        }
+        if (this.writeTimer) return;
+        this.writeTimer = setTimeout(() => this.flush(), this.writeDelayMs);
+        this.writeTimer.unref();
+    }
+
+    flush() {
+        if (this.writeTimer) clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        if (!this.dirty) return;
+
+        const namespaces = {};
+        for (const [ns, table] of this.namespaces) {
+            namespaces[ns] = Object.fromEntries(table);
+        }
+        try {
+            writeJsonFile(this.filePath, { namespaces });
+            this.dirty = false;
+        } catch (error) {
+            console.error('[Store] Failed to write:', error.message);
+        }
+    }
+
+    close() {
+        this.flush();
+    }
+}
+
+/**
+ * SQLite backend (needs `npm install better-sqlite3`)
+ */
+class SqliteStore {
+    constructor(filePath) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch {
+            throw new Error('store.type "sqlite" needs the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        require('fs').mkdirSync(path.dirname(filePath), { recursive: true });
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`CREATE TABLE IF NOT EXISTS kv (
+            ns TEXT NOT NULL,
+            key TEXT NOT NULL,
+            value TEXT NOT NULL,
+            expires_at INTEGER,
+            PRIMARY KEY (ns, key)
+        )`);
+
+        this.statements = {
+            get: this.db.prepare('SELECT value, expires_at AS expiresAt FROM kv WHERE ns = ? AND key = ?'),
+            set: this.db.prepare('INSERT OR REPLACE INTO kv (ns, key, value, expires_at) VALUES (?, ?, ?, ?)'),
+            delete: this.db.prepare('DELETE FROM kv WHERE ns = ? AND key = ?'),
+            entries: this.db.prepare('SELECT key, value FROM kv WHERE ns = ? AND (expires_at IS NULL OR expires_at > ?)'),
+            prune: this.db.prepare('DELETE FROM kv WHERE expires_at IS NOT NULL AND expires_at <= ?')
+        };
+
+        this.prune();
+        console.log(`[Store] SQLite: ${filePath}`);
+    }
+
+    get(ns, key) {
+        const row = this.statements.get.get(ns, key);
+        if (!row) return null;
+        if (isExpired(row)) {
+            this.delete(ns, key);
+            return null;
+        }
+        return JSON.parse(row.value);
+    }
+
+    has(ns, key) {
+        return this.get(ns, key) !== null;
+    }
+
+    set(ns, key, value, options = {}) {
+        this.statements.set.run(ns, key, JSON.stringify(value), expiryFrom(options));
+    }
+
+    delete(ns, key) {
+        return this.statements.delete.run(ns, key).changes > 0;
+    }
+
+    entries(ns) {
+        return this.statements.entries.all(ns, Date.now()).map(row => [row.key, JSON.parse(row.value)]);
+    }
+
+    prune() {
+        return this.statements.prune.run(Date.now()).changes;
+    }
+
+    // Every change is written at once
+    flush() {}
+
+    close() {
+        this.db.close();
+    }
+}
+
+/**
+ * Creates the configured backend
+ * @param {object} options - config.store ({ type, path, writeDelayMs })
+ * @param {string} dataDir - default location of store files
+ */
+function createStore(options = {}, dataDir = 'data') {
+    const type = options.type || 'json';
+
+    switch (type) {
+        case 'memory':
+            return new MemoryStore();
+        case 'json':
+            return new JsonFileStore(options.path || path.join(dataDir, 'store.json'), options);
+        case 'sqlite':
+            return new SqliteStore(options.path || path.join(dataDir, 'store.sqlite'));
+        default:
+            throw new Error(`Unknown store type: ${type}`);
+    }
+}
+
+module.exports = {
+    MemoryStore,
+    JsonFileStore,
+    SqliteStore,
+    createStore
+};
@@ -0,0 +1,300 @@
+/**
+ * Fake Codecks API server (offline tests)
+ *
+ * Speaks the small part of the Codecks API the bot uses:
+ *   POST /                         — queries: account.cards(filter), decks,
+ *                                    projects, roles, queueEntries (hand),
+ *                                    loggedInUser
+ *                                    (filter ops: gt, gte, lt, lte, neq, contains)
+ *   POST /dispatch/cards/create    — new card (childCards / parentCardId → sub-cards)
+ *   POST /dispatch/cards/update    — changes fields / visibility
+ *   POST /dispatch/resolvables/create — comment (by the logged-in user)
+ *   POST /dispatch/handQueue/removeCards — takes cards off hands
+ *
+ * Responses are normalized like the real API: { _root, card: { id: {...} },
+ * user: {...}, resolvable: {...} }. Tests change cards directly with
+ * setStatus / assign / addComment and point CodecksClient at `url`.
+ */
+
+const http = require('http');
+
+const COMMENTS_RELATION = 'resolvables({"context":"comment"})';
+
+// Filter fields stored under another name
+const FIELD_ALIASES = { assigneeId: 'assignee' };
+
+class FakeCodecks {
+    constructor() {
+        this.accountId = 'account-1';
+        this.botUser = { id: 'user-bot', name: 'Slack Bot' };
+        this.users = new Map([[this.botUser.id, this.botUser]]);
+        this.cards = new Map();
+        this.comments = new Map();
+        this.decks = new Map();
+        this.projects = new Map();
+        this.hands = new Map();       // userId → [cardId] in hand order
+        this.requests = [];
+        this.seq = 0;
+        this.lastTime = 0;
+        this.server = null;
+        this.url = null;
+    }
+
+    /**
+     * Starts on a free local port, resolves with the base URL
+     */
+    start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    // Strictly increasing timestamps (several changes in one millisecond)
+    now() {
+        this.lastTime = Math.max(Date.now(), this.lastTime + 1);
+        return new Date(this.lastTime).toISOString();
+    }
+
+    addUser(id, name) {
+        this.users.set(id, { id, name });
+    }
+
+    addDeck(id, title, projectId = null) {
+        this.decks.set(id, { id, title, projectId });
+    }
+
+    addCard(fields = {}) {
+        const id = fields.id || `card-${++this.seq}`;
+        const time = this.now();
+        const card = {
+            id,
+            content: '',
+            deckId: null,
+            status: 'unassigned',
+            assignee: null,
+            visibility: 'default',
+            createdAt: time,
+            updatedAt: time,
+            comments: [],
+            ...fields
+        };
+        this.cards.set(id, card);
+        return card;
+    }
+
+    putOnHand(userId, cardId) {
+        this.hands.set(userId, [...(this.hands.get(userId) || []), cardId]);
+    }
+
+    touch(cardId, changes) {
+        const card = this.cards.get(cardId);
+        Object.assign(card, changes, { updatedAt: this.now() });
+        return card;
+    }
+
+    setStatus(cardId, status) {
+        return this.touch(cardId, { status });
+    }
+
+    assign(cardId, userId) {
+        return this.touch(cardId, { assignee: userId, status: userId ? 'assigned' : 'unassigned' });
+    }
+
+    addComment(cardId, userId, content = '') {
+        const comment = { id: `comment-${++this.seq}`, createdAt: this.now(), creator: userId, content };
+        this.comments.set(comment.id, comment);
+        const card = this.cards.get(cardId);
+        this.touch(cardId, { comments: [...card.comments, comment.id] });
+        return comment;
+    }
+
+    async handle(req, res) {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+
+        let data;
+        try {
+            data = JSON.parse(body || '{}');
+        } catch {
+            return this.reply(res, 400, { error: 'bad json' });
+        }
+        this.requests.push({ url: req.url, body: data });
+
+        switch (req.url) {
+            case '/':
+                return this.reply(res, 200, this.query(data.query || {}));
+            case '/dispatch/cards/create': {
+                const card = this.addCard({
+                    content: data.content,
+                    deckId: data.deckId,
+                    parentCardId: data.parentCardId || null,
+                    assignee: data.assigneeId || null,
+                    status: data.assigneeId ? 'assigned' : 'unassigned'
+                });
+                if (data.putOnHand && data.assigneeId) this.putOnHand(data.assigneeId, card.id);
+                const children = (data.childCards || []).map(child => this.addCard({
+                    content: child.content,
+                    deckId: data.deckId,
+                    parentCardId: card.id,
+                    assignee: child.assigneeId || null,
+                    status: child.assigneeId ? 'assigned' : 'unassigned'
+                }));
+                return this.reply(res, 200, { id: card.id, childCardIds: children.map(child => child.id) });
+            }
+            case '/dispatch/cards/update': {
+                if (!this.cards.has(data.id)) return this.reply(res, 404, { error: 'card not found' });
+                const { id, assigneeId, ...changes } = data;
+                if (assigneeId !== undefined) changes.assignee = assigneeId;
+                this.touch(id, changes);
+                return this.reply(res, 200, { id });
+            }
+            case '/dispatch/resolvables/create': {
+                if (!this.cards.has(data.cardId)) return this.reply(res, 404, { error: 'card not found' });
+                const comment = this.addComment(data.cardId, this.botUser.id, data.content);
+                return this.reply(res, 200, { id: comment.id });
+            }
+            case '/dispatch/handQueue/removeCards': {
+                for (const [userId, cardIds] of this.hands) {
+                    this.hands.set(userId, cardIds.filter(id => !data.cardIds.includes(id)));
+                }
+                return this.reply(res, 200, {});
+            }
+            default:
+                return this.reply(res, 404, { error: `unknown endpoint ${req.url}` });
+        }
+    }
+
+    reply(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+
+    /**
+     * Runs a { _root: [...] } query, returns the normalized response
+     */
+    query(query) {
+        const out = { _root: {} };
+        for (const part of query._root || []) {
+            if (part.loggedInUser) {
+                out._root.loggedInUser = this.botUser.id;
+                this.putUser(out, this.botUser.id);
+            }
+            if (part.account) {
+                out._root.account = this.accountId;
+                out.account = { [this.accountId]: { id: this.accountId, name: 'Fake' } };
+                for (const relations of part.account) {
+                    for (const [key, fields] of Object.entries(relations)) this.relation(out, key, fields);
+                }
+            }
+        }
+        return out;
+    }
+
+    relation(out, key, fields) {
+        const m = key.match(/^(\w+)(?:\((.*)\))?$/);
+        const name = m[1];
+        const filter = m[2] ? JSON.parse(m[2]) : {};
+
+        if (name === 'cards') {
+            out.card = out.card || {};
+            for (const card of this.filterCards(filter)) out.card[card.id] = this.cardFields(out, card, fields);
+        } else if (name === 'queueEntries') {
+            out.queueEntry = out.queueEntry || {};
+            out.card = out.card || {};
+            const cardFields = (fields.find(f => typeof f === 'object' && f.card) || {}).card || ['id'];
+            (this.hands.get(filter.userId) || []).forEach((cardId, sortIndex) => {
+                const card = this.cards.get(cardId);
+                if (!card) return;
+                const id = `${filter.userId}-${cardId}`;
+                out.queueEntry[id] = { id, sortIndex, card: cardId };
+                out.card[cardId] = this.cardFields(out, card, cardFields);
+            });
+        } else if (name === 'decks') {
+            out.deck = Object.fromEntries([...this.decks.values()].map(deck => [deck.id, { id: deck.id, title: deck.title, project: deck.projectId }]));
+            out.project = Object.fromEntries([...this.projects.values()].map(p => [p.id, p]));
+        } else if (name === 'projects') {
+            out.project = Object.fromEntries([...this.projects.values()].map(p => [p.id, p]));
+        } else if (name === 'roles') {
+            for (const user of this.users.values()) this.putUser(out, user.id);
+        }
+    }
+
+    filterCards(filter) {
+        let cards = [...this.cards.values()].filter(card => card.visibility !== 'deleted');
+        for (const [field, condition] of Object.entries(filter)) {
+            if (field.startsWith('$')) continue;
+            cards = cards.filter(card => matches(card[FIELD_ALIASES[field] || field], condition));
+        }
+        if (filter.$order) {
+            const desc = filter.$order.startsWith('-');
+            const field = filter.$order.replace(/^-/, '');
+            cards.sort((a, b) => (a[field] < b[field] ? -1 : 1) * (desc ? -1 : 1));
+        }
+        return filter.$limit ? cards.slice(0, filter.$limit) : cards;
+    }
+
+    cardFields(out, card, fields) {
+        const data = {};
+        for (const field of fields) {
+            if (typeof field === 'string') {
+                data[field] = field === 'title' ? card.content.split('\n')[0] : card[field];
+                continue;
+            }
+            for (const [relation, subFields] of Object.entries(field)) {
+                if (relation === 'deck') {
+                    data.deck = card.deckId;
+                    const deck = this.decks.get(card.deckId);
+                    if (deck) {
+                        out.deck = out.deck || {};
+                        out.deck[deck.id] = { id: deck.id, title: deck.title };
+                    }
+                } else if (relation === 'assignee') {
+                    data.assignee = card.assignee;
+                    if (card.assignee) this.putUser(out, card.assignee);
+                } else if (relation === COMMENTS_RELATION) {
+                    data[relation] = card.comments;
+                    out.resolvable = out.resolvable || {};
+                    for (const commentId of card.comments) {
+                        const comment = this.comments.get(commentId);
+                        out.resolvable[commentId] = { id: comment.id, createdAt: comment.createdAt, creator: comment.creator };
+                        if (subFields.some(f => typeof f === 'object' && f.creator)) this.putUser(out, comment.creator);
+                    }
+                }
+            }
+        }
+        return data;
+    }
+
+    putUser(out, userId) {
+        const user = this.users.get(userId);
+        if (!user) return;
+        out.user = out.user || {};
+        out.user[userId] = { id: user.id, name: user.name };
+    }
+}
+
+function matches(value, condition) {
+    if (Array.isArray(condition)) return condition.includes(value);
+    if (condition && typeof condition === 'object' && condition.op) {
+        switch (condition.op) {
+            case 'gt': return value > condition.value;
+            case 'gte': return value >= condition.value;
+            case 'lt': return value < condition.value;
+            case 'lte': return value <= condition.value;
+            case 'neq': return value !== condition.value;
+            case 'contains': return String(value || '').toLowerCase().includes(String(condition.value).toLowerCase());
+            default: return value === condition.value;
+        }
+    }
+    return value === condition;
+}
+
+module.exports = { FakeCodecks };
@@ -3,8 +3,25 @@
  * Uruchom: node test/test.js
  */
 
-const { parseTaskMessage, buildCardContent } = require('../src/parser');
-const { MappingCache } = require('../src/cache');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTaskMessage, buildCardContent, parseCardReference, extractBlocksText, parseCommand, hasCreateCommand, isPreviewRequest, parsePlainMessage, parseDueDate, parseFindQuery, parseCardId } = require('../src/parser');
+const { MappingCache, scoreMatch } = require('../src/cache');
+const { buildCreationReport, buildCreationMessage, buildUndoReport, buildEditReport, buildDeckChoicePrompt, buildPreview, buildCardUpdates, withProgress, buildSearchPage, buildCardDetails, buildCardList, buildDigest } = require('../src/report');
+const { PendingDeckChoices, PendingActions } = require('../src/pending');
+const { SlackUserDirectory, parseSlackMention, replaceMentions } = require('../src/slack-users');
+const { ChannelBindingStore } = require('../src/bindings');
+const { MemoryStore, JsonFileStore } = require('../src/store');
+const { WorkQueue } = require('../src/queue');
+const { selectFiles, transferFiles } = require('../src/attachments');
+const { CardLinkStore, undoDenial, matchEditedTasks, linkedCards } = require('../src/links');
+const { buildCardModal, buildNoticeModal, readCardSubmission } = require('../src/modals');
+const { CodecksClient, CodecksAuthError, CodecksRateLimitError, CodecksServerError } = require('../src/codecks');
+const { CardNotifier, detectChanges, summarizeProgress } = require('../src/notifier');
+const { DigestScheduler, lastScheduledAt } = require('../src/digest');
+const { ReactionTrigger } = require('../src/reactions');
+const { FakeCodecks } = require('./fake-codecks');
 
 console.log('🧪 Uruchamianie testów Slack-Codecks Bot v4.0\n');
 
@@ -23,6 +40,27 @@ function test(name, fn) {
     }
 }
 
+// Async tests run after the synchronous ones (see SUMMARY)
+const asyncTests = [];
+
+function testAsync(name, fn) {
+    asyncTests.push({ name, fn });
+}
+
+async function runAsyncTests() {
+    for (const { name, fn } of asyncTests) {
+        try {
+            await fn();
+            console.log(`✅ ${name}`);
+            passed++;
+        } catch (error) {
+            console.log(`❌ ${name}`);
+            console.log(`   Error: ${error.message}`);
+            failed++;
+        }
+    }
+}
+
 function assertEqual(actual, expected, message = '') {
     if (JSON.stringify(actual) !== JSON.stringify(expected)) {
         throw new Error(`${message}\n   Expected: ${JSON.stringify(expected)}\n   Actual: ${JSON.stringify(actual)}`);
@@ -101,6 +139,151 @@ test('Parser: wcięte bullet points', () => {
     assertEqual(result.tasks[0].description[1].includes('•'), true, 'Wcięcie zachowane');
 });
 
+test('Parser: atrybuty z nagłówka [Create] jako domyślne', () => {
+    const message = `[Create] [Deck: Backlog] [Priority: a] [Effort: 3] [Tags: bug, ui]
+• Task 1
+• Task 2`;
+
+    const result = parseTaskMessage(message);
+
+    assertEqual(result.tasks.length, 2, '2 taski');
+    assertEqual(result.tasks[0].priority, 'a', 'Priority z nagłówka');
+    assertEqual(result.tasks[1].effort, 3, 'Effort z nagłówka');
+    assertEqual(result.tasks[1].tags, ['bug', 'ui'], 'Tagi z nagłówka');
+});
+
+test('Parser: atrybuty taska nadpisują nagłówek', () => {
+    const message = `[Create] [Priority: low] #backend
+• Fix login [Priority: high] [Effort: 5] #auth #bug (Anna)
+• Refactor (Tomek)`;
+
+    const result = parseTaskMessage(message);
+
+    assertEqual(result.tasks[0].title, 'Fix login', 'Tytuł bez atrybutów');
+    assertEqual(result.tasks[0].assigneeName, 'Anna', 'Owner za atrybutami');
+    assertEqual(result.tasks[0].priority, 'a', 'Priority taska');
+    assertEqual(result.tasks[0].effort, 5, 'Effort taska');
+    assertEqual(result.tasks[0].tags, ['auth', 'bug'], 'Tagi taska');
+    assertEqual(result.tasks[1].priority, 'c', 'Priority z nagłówka');
+    assertEqual(result.tasks[1].effort, null, 'Brak effort');
+    assertEqual(result.tasks[1].tags, ['backend'], 'Tagi z nagłówka');
+});
+
+test('Parser: atrybuty w wiadomości z blocks', () => {
+    const blocks = [{
+        type: 'rich_text',
+        elements: [
+            { type: 'rich_text_section', elements: [{ type: 'text', text: '[Create] [Tags: ui]\n' }] },
+            { type: 'rich_text_list', indent: 0, elements: [
+                { type: 'rich_text_section', elements: [{ type: 'text', text: 'Button #1 color [Effort: 2]' }] }
+            ] }
+        ]
+    }];
+
+    const result = parseTaskMessage('[Create] [Tags: ui]', blocks);
+
+    assertEqual(result.tasks[0].title, 'Button #1 color', '"#1" to nie tag');
+    assertEqual(result.tasks[0].effort, 2, 'Effort');
+    assertEqual(result.tasks[0].tags, ['ui'], 'Tagi z nagłówka');
+});
+
+test('Parser: karty podrzędne z [Sub] i [Nested]', () => {
+    const sub = parseTaskMessage(`[Create] [Deck: Backlog]
+Anna:
+• Login screen
+   • Opis
+   • [Sub] Walidacja (Tomek)
+      • Pola wymagane
+      • [ ] Testy
+   • [ ] Review
+   • [Sub] Style`);
+    
+    const task = sub.tasks[0];
+    assertEqual(task.description, ['Opis'], 'Opis rodzica');
+    assertEqual(task.checkboxes.map(c => c.text), ['Review'], 'Checkbox rodzica');
+    assertEqual(task.children.map(c => c.title), ['Walidacja', 'Style'], 'Karty podrzędne');
+    assertEqual(task.children[0].assigneeName, 'Tomek', 'Własny owner');
+    assertEqual(task.children[1].assigneeName, 'Anna', 'Owner rodzica');
+    assertEqual(task.children[0].description, ['Pola wymagane'], 'Opis dziecka');
+    assertEqual(task.children[0].checkboxes.map(c => c.text), ['Testy'], 'Checkbox dziecka');
+    
+    const nested = parseTaskMessage(`[Create] [Nested]
+• Parent
+   • Child
+   • [ ] Parent check`);
+    assertEqual(nested.tasks[0].children.map(c => c.title), ['Child'], '[Nested] — każdy punkt to karta');
+    assertEqual(nested.tasks[0].checkboxes.length, 1, 'Checkbox zostaje u rodzica');
+});
+
+test('Parser: zwykła wiadomość jako jedna karta (reakcja)', () => {
+    const task = parsePlainMessage('Login nie działa na Safari\nPo kliknięciu nic się nie dzieje\n\nTestowane na 17.2');
+    
+    assertEqual(task.title, 'Login nie działa na Safari', 'Pierwsza linia = tytuł');
+    assertEqual(task.description, ['Po kliknięciu nic się nie dzieje', '', 'Testowane na 17.2'], 'Reszta = opis');
+    assertEqual(parsePlainMessage('Tylko tytuł').description, [], 'Bez opisu');
+});
+
+test('Parser: [Due: …] w nagłówku i (due …) przy tasku', () => {
+    const result = parseTaskMessage(`[Create] [Due: friday]
+• Task 1 (due tomorrow) (Anna)
+• Task 2 [Due: 2026-11-03]
+• Task 3 (Tomek)`);
+    
+    assertEqual(result.tasks[0].due, 'tomorrow', '(due …) przy tasku');
+    assertEqual(result.tasks[0].assigneeName, 'Anna', 'Owner po (due …)');
+    assertEqual(result.tasks[1].due, '2026-11-03', '[Due: …] przy tasku');
+    assertEqual(result.tasks[2].due, 'friday', 'Z nagłówka');
+});
+
+test('parseDueDate: daty, słowa i strefa czasowa', () => {
+    // Poniedziałek 2026-10-19 23:30 UTC = wtorek 01:30 w Warszawie
+    const now = Date.UTC(2026, 9, 19, 23, 30);
+    const utc = { now };
+    const warsaw = { now, timeZone: 'Europe/Warsaw' };
+    
+    assertEqual(parseDueDate('2026-11-03', utc), '2026-11-03', 'ISO');
+    assertEqual(parseDueDate('3.11', utc), '2026-11-03', 'Dzień.miesiąc');
+    assertEqual(parseDueDate('1.1', utc), '2027-01-01', 'Minione → przyszły rok');
+    assertEqual(parseDueDate('tomorrow', utc), '2026-10-20', 'Jutro (UTC)');
+    assertEqual(parseDueDate('tomorrow', warsaw), '2026-10-21', 'Jutro (Warszawa)');
+    assertEqual(parseDueDate('friday', utc), '2026-10-23', 'Dzień tygodnia');
+    assertEqual(parseDueDate('piątek', utc), '2026-10-23', 'Po polsku');
+    assertEqual(parseDueDate('tuesday', warsaw), '2026-10-20', 'Dziś w strefie autora');
+    assertEqual(parseDueDate('next tuesday', warsaw), '2026-10-27', 'Następny');
+    assertEqual(parseDueDate('+3d', utc), '2026-10-22', '+3d');
+    assertEqual(parseDueDate('+2w', utc), '2026-11-02', '+2w');
+    assertEqual(parseDueDate('in 3 days', utc), '2026-10-22', 'in 3 days');
+    assertEqual(parseDueDate('2026-02-30', utc), null, 'Nie ma takiego dnia');
+    assertEqual(parseDueDate('someday', utc), null, 'Nieczytelne');
+});
+
+test('Parser: [Card: N] w odpowiedzi w wątku', () => {
+    assertEqual(parseCardReference('[Card: 2] Zrobione, do review'), { cardNumber: 2, text: 'Zrobione, do review' }, 'Z referencją');
+    assertEqual(parseCardReference('Bez referencji '), { cardNumber: null, text: 'Bez referencji' }, 'Bez referencji');
+});
+
+test('Parser: extractBlocksText — tekst całej wiadomości', () => {
+    const blocks = [{
+        type: 'rich_text',
+        elements: [
+            { type: 'rich_text_section', elements: [
+                { type: 'text', text: 'Crash przy logowaniu ' },
+                { type: 'user', user_id: 'U123' },
+                { type: 'text', text: '\nKroki:' }
+            ] },
+            { type: 'rich_text_list', indent: 0, elements: [
+                { type: 'rich_text_section', elements: [{ type: 'text', text: 'Otwórz app' }] }
+            ] },
+            { type: 'rich_text_list', indent: 1, elements: [
+                { type: 'rich_text_section', elements: [{ type: 'text', text: 'Kliknij login' }] }
+            ] }
+        ]
+    }];
+    
+    assertEqual(extractBlocksText(blocks), 'Crash przy logowaniu <@U123>\nKroki:\n• Otwórz app\n   • Kliknij login', 'Tekst z listą');
+    assertEqual(extractBlocksText(null), '', 'Brak blocks');
+});
+
 // ============================================================
 // CACHE TESTS
 // ============================================================
@@ -195,6 +378,53 @@ test('Cache: getStats', () => {
     assertEqual(stats.initialized, false, 'Not initialized');
 });
 
+test('Cache: scoreMatch — literówki, prefiksy, słowa', () => {
+    assertEqual(scoreMatch('backlog', 'backlog'), 1, 'Dokładne');
+    assertEqual(scoreMatch('backlgo', 'backlog') > 0.8, true, 'Zamiana liter');
+    assertEqual(scoreMatch('ana', 'anna') > scoreMatch('ana', 'anastazja'), true, 'Ana bliżej Anny');
+    assertEqual(scoreMatch('nowak tobiasz', 'tobiasz nowak') > 0.9, true, 'Kolejność słów');
+    assertEqual(scoreMatch('xyz', 'backlog') < 0.4, true, 'Brak podobieństwa');
+});
+
+test('Cache: fuzzy user — najlepszy wynik, nie pierwszy', () => {
+    const cache = new MappingCache();
+    cache.users.set('anastazja', 'u1');
+    cache.users.set('anna', 'u2');
+    cache.userNames.set('u1', 'Anastazja');
+    cache.userNames.set('u2', 'Anna');
+    
+    assertEqual(cache.resolveUser('Ana'), 'u2', 'Ana → Anna');
+    assertEqual(cache.resolveUser('Anastazia'), 'u1', 'Literówka');
+    assertEqual(cache.resolveUser('Zenon'), null, 'Brak');
+});
+
+test('Cache: fuzzy remis = brak dopasowania + podpowiedzi', () => {
+    const cache = new MappingCache();
+    cache.users.set('anna kowalska', 'u1');
+    cache.users.set('anna nowak', 'u2');
+    cache.userNames.set('u1', 'Anna Kowalska');
+    cache.userNames.set('u2', 'Anna Nowak');
+    
+    assertEqual(cache.resolveUser('Anna'), null, 'Remis');
+    assertEqual(cache.suggest('user', 'Anna').join(','), 'Anna Kowalska,Anna Nowak', 'Obie w podpowiedziach');
+});
+
+test('Cache: fuzzy deck i space', () => {
+    const cache = new MappingCache();
+    cache.spaces.set('ma txa', 's1');
+    cache.spaceNames.set('s1', 'MA TXA');
+    cache.decks.set('backlog', { id: 'd1', spaceId: 's1', spaceName: 'MA TXA' });
+    cache.deckNames.set('d1', 'Backlog');
+    cache.deckInfo.set('d1', { name: 'Backlog', spaceId: 's1', spaceName: 'MA TXA' });
+    cache.deckPaths.set('ma txa/backlog', 'd1');
+    
+    assertEqual(cache.resolveSpace('MA TAX'), 's1', 'Space z literówką');
+    assertEqual(cache.resolveDeck('Backlgo'), 'd1', 'Deck z literówką');
+    assertEqual(cache.resolveDeck('MA TXA/Backlgo'), 'd1', 'Ścieżka z literówką');
+    assertEqual(cache.resolveDeck('Roadmap'), null, 'Nieznany deck');
+    assertEqual(cache.suggest('deck', 'Backlogs').join(','), 'MA TXA/Backlog', 'Podpowiedź ze space');
+});
+
 // ============================================================
 // CARD CONTENT BUILDER TESTS
 // ============================================================
@@ -231,6 +461,1389 @@ test('buildCardContent: z checkboxami', () => {
     assertEqual(content.includes('- [x] Zrobione'), true, 'Zaznaczony checkbox');
 });
 
+// ============================================================
+// CREATION REPORT TESTS
+// ============================================================
+
+console.log('\n🧾 Creation Report Tests:\n');
+
+test('Cache: describeDeck', () => {
+    const cache = new MappingCache();
+    cache.deckInfo.set('deck-1', { name: 'Backlog', spaceId: 'space-1', spaceName: 'MA TXA' });
+    
+    assertEqual(cache.describeDeck('deck-1'), 'MA TXA/Backlog', 'Space/Deck');
+    assertEqual(cache.describeDeck('deck-x'), 'deck-x', 'Nieznany deck');
+});
+
+test('buildCreationReport: karty z linkami i błędy', () => {
+    const report = buildCreationReport({
+        success: [{
+            title: 'Fix <login>',
+            deck: 'MA TXA/Backlog',
+            assignee: 'Anna',
+            url: 'https://team.codecks.io/card/card-1',
+            warnings: []
+        }],
+        failed: [
+            { title: 'Task 2', reason: 'unknown_deck', error: '"Foo" not found' },
+            { title: 'Task 3', reason: 'api_error', error: 'HTTP 500' }
+        ]
+    });
+    
+    assertEqual(report.includes('<https://team.codecks.io/card/card-1|Fix &lt;login&gt;>'), true, 'Link do karty');
+    assertEqual(report.includes('MA TXA/Backlog'), true, 'Deck');
+    assertEqual(report.includes('Anna'), true, 'Assignee');
+    assertEqual(report.includes('*Task 2* — Unknown deck: "Foo" not found'), true, 'Nieznany deck');
+    assertEqual(report.includes('Codecks API error: HTTP 500'), true, 'Błąd API');
+});
+
+test('buildEditReport: zmiany, nowe i usunięte karty', () => {
+    const report = buildEditReport({
+        updated: [{ title: 'Task 1', url: 'https://team.codecks.io/card/c1', changes: ['content', 'assigneeId'] }],
+        success: [{ title: 'Task 3', url: 'https://team.codecks.io/card/c3' }],
+        archived: [],
+        removed: [{ title: 'Task 2', url: 'https://team.codecks.io/card/c2' }],
+        failed: []
+    });
+    
+    assertEqual(report.includes('Updated 1 card(s)'), true, 'Zaktualizowane');
+    assertEqual(report.includes('changed: content, assignee'), true, 'Lista zmian');
+    assertEqual(report.includes('<https://team.codecks.io/card/c3|Task 3>'), true, 'Nowa karta');
+    assertEqual(report.includes('<https://team.codecks.io/card/c2|Task 2>'), true, 'Usunięty task');
+    assertEqual(buildEditReport({ updated: [], success: [], failed: [] }), null, 'Brak zmian');
+});
+
+test('CardLinkStore: zapis i odczyt kart wiadomości', () => {
+    const links = new CardLinkStore();
+    links.save('C1', '111.222', {
+        user: 'U1',
+        tasks: [{ index: 1, cardId: 'card-b' }, { index: 0, cardId: 'card-a' }]
+    });
+    
+    assertEqual(links.get('C1', '111.222').tasks.map(t => t.cardId), ['card-a', 'card-b'], 'Posortowane po indeksie');
+    assertEqual(links.getCardId('C1', '111.222', 1), 'card-b', 'Karta po indeksie');
+    assertEqual(links.get('C1', '999'), null, 'Brak wpisu');
+    
+    links.save('C1', '111.222', { tasks: [{ index: 0, cardId: 'card-a' }] });
+    assertEqual(links.get('C1', '111.222').user, 'U1', 'Autor zachowany po edycji');
+});
+
+test('matchEditedTasks: tytuł, potem treść, potem pozycja', () => {
+    const previous = [
+        { index: 0, cardId: 'card-a', title: 'Login', content: 'Login\n\nForm' },
+        { index: 1, cardId: 'card-b', title: 'Logout', content: 'Logout\n\nButton' },
+        { index: 2, cardId: 'card-c', title: 'Footer', content: 'Footer' },
+        { index: null, cardId: 'card-d', title: 'Header', content: 'Header', removed: true }
+    ];
+    const matches = matchEditedTasks(previous, [
+        { index: 0, title: 'New task', content: 'New task' },
+        { index: 1, title: 'login', content: 'login\n\nForm' },
+        { index: 2, title: 'Sign out', content: 'Sign out\n\nButton' },
+        { index: 3, title: 'Header', content: 'Header' },
+        { index: 4, title: 'Other', content: 'Other' }
+    ]);
+    
+    assertEqual(matches.get(0), undefined, 'Wstawiony task → nowa karta');
+    assertEqual(matches.get(1).cardId, 'card-a', 'Przesunięty task po tytule');
+    assertEqual(matches.get(2).cardId, 'card-b', 'Zmieniony tytuł po treści');
+    assertEqual(matches.get(3).cardId, 'card-d', 'Usunięty i dodany z powrotem task → ta sama karta');
+    assertEqual(matches.get(4), undefined, 'Pozycja bez pary');
+    
+    const byPosition = matchEditedTasks(previous, [{ index: 2, title: 'Page footer', content: 'Page footer' }]);
+    assertEqual(byPosition.get(2).cardId, 'card-c', 'Zmieniony tytuł bez treści → po pozycji');
+    
+    const links = new CardLinkStore();
+    links.save('C1', '1.0', { tasks: [previous[3], previous[1], { ...previous[0], children: [previous[3], previous[2]] }] });
+    const link = links.get('C1', '1.0');
+    assertEqual(link.tasks.map(t => t.cardId), ['card-a', 'card-b', 'card-d'], 'Usunięte na końcu');
+    assertEqual(link.tasks[0].children.map(t => t.cardId), ['card-c', 'card-d'], 'Karty podrzędne posortowane');
+    assertEqual(linkedCards(link).map(t => t.cardId), ['card-a', 'card-c', 'card-d', 'card-b', 'card-d'], 'Wszystkie karty');
+    assertEqual(linkedCards(link, { includeRemoved: false }).map(t => t.cardId), ['card-a', 'card-c', 'card-b'], 'Bez usuniętych');
+});
+
+test('Undo: autor lub admin, tylko w oknie czasowym', () => {
+    const links = new CardLinkStore();
+    links.save('C1', '100.1', { user: 'U1', tasks: [{ index: 0, cardId: 'card-a' }] });
+    links.save('C1', '200.1', { user: 'U1', tasks: [{ index: 0, cardId: 'card-b' }] });
+    links.save('C1', '300.1', { user: 'U2', tasks: [{ index: 0, cardId: 'card-c' }] });
+    
+    const link = links.latestByUser('C1', 'U1');
+    assertEqual(link.ts, '200.1', 'Ostatnia wiadomość autora');
+    assertEqual(links.latestByUser('C2', 'U1'), null, 'Inny kanał');
+    
+    const options = { admins: ['UADMIN'], windowMinutes: 60 };
+    assertEqual(undoDenial(link, 'U1', options), null, 'Autor');
+    assertEqual(undoDenial(link, 'UADMIN', options), null, 'Admin');
+    assertEqual(undoDenial(link, 'U2', options).includes('Only the author'), true, 'Ktoś inny');
+    assertEqual(undoDenial(link, 'U1', { ...options, now: Date.now() + 61 * 60 * 1000 }).includes('60 minute'), true, 'Po czasie');
+    assertEqual(undoDenial(null, 'U1', options), 'No cards to undo for this message.', 'Brak kart');
+});
+
+test('buildCreationMessage / buildUndoReport: przycisk Undo i raport', () => {
+    const created = { success: [{ title: 'Task', url: 'https://team.codecks.io/card/c1' }], failed: [] };
+    const message = buildCreationMessage(created, 'C1:100.1');
+    const button = message.blocks[message.blocks.length - 1].elements[0];
+    
+    assertEqual(button.value, 'C1:100.1', 'Wartość przycisku');
+    assertEqual(message.blocks[0].text.text, message.text, 'Raport w sekcji');
+    assertEqual(buildCreationMessage({ success: [], failed: [{ title: 'X' }] }, 'C1:100.1').blocks, undefined, 'Bez kart bez przycisku');
+    
+    const report = buildUndoReport({
+        undone: [{ title: 'Task', url: 'https://team.codecks.io/card/c1' }],
+        failed: [{ title: 'Other', reason: 'server', error: 'HTTP 502' }],
+        mode: 'archive',
+        user: 'U1'
+    });
+    assertEqual(report.includes('Archived 1 card(s)* (undone by <@U1>)'), true, 'Zarchiwizowane');
+    assertEqual(report.includes('*Other* — Codecks server error: HTTP 502'), true, 'Błąd');
+    assertEqual(parseCommand('!undo').name, '!undo', 'Komenda !undo');
+});
+
+// ============================================================
+// MODAL TESTS
+// ============================================================
+
+console.log('\n🪟 Modal Tests:\n');
+
+test('buildCardModal: opcje z cache i wartości początkowe', () => {
+    const view = buildCardModal({
+        decks: [{ id: 'deck-1', name: 'Backlog', space: 'MA TXA' }, { id: 'deck-2', name: 'Code', space: null }],
+        users: [{ id: 'user-1', name: 'Tobiasz' }],
+        metadata: { channel: 'C1' },
+        initial: { deckId: 'deck-1', priority: 'b', title: 'Nowa karta' }
+    });
+    
+    const block = (id) => view.blocks.find(b => b.block_id === id);
+    
+    assertEqual(block('deck').element.options.map(o => o.text.text), ['Code', 'MA TXA/Backlog'], 'Opcje decków');
+    assertEqual(block('deck').element.initial_option.value, 'deck-1', 'Domyślny deck');
+    assertEqual(block('assignee').optional, true, 'Assignee opcjonalny');
+    assertEqual(block('title').element.initial_value, 'Nowa karta', 'Tytuł z komendy');
+    assertEqual(JSON.parse(view.private_metadata), { channel: 'C1' }, 'Metadata');
+});
+
+test('buildNoticeModal: modal bez formularza (ładowanie)', () => {
+    const view = buildNoticeModal('⏳ Loading…');
+    
+    assertEqual(view.submit, undefined, 'Bez przycisku Create');
+    assertEqual(view.blocks.map(b => b.text.text), ['⏳ Loading…'], 'Treść');
+    assertEqual(view.title.text, buildCardModal({}).title.text, 'Ten sam tytuł co formularz');
+});
+
+test('buildCardModal: ponad 100 decków i userów w grupach', () => {
+    const decks = [];
+    for (let i = 0; i < 150; i++) decks.push({ id: `deck-${i}`, name: `Deck ${i}`, space: i < 120 ? 'Big' : 'Small' });
+    const users = [];
+    for (let i = 0; i < 130; i++) users.push({ id: `user-${i}`, name: `${i % 2 ? 'Anna' : 'Marek'} ${i}` });
+    
+    const view = buildCardModal({ decks, users, initial: { deckId: 'deck-149', assigneeId: 'user-7' } });
+    const deck = view.blocks.find(b => b.block_id === 'deck').element;
+    const assignee = view.blocks.find(b => b.block_id === 'assignee').element;
+    
+    assertEqual(deck.options, undefined, 'Bez płaskiej listy');
+    assertEqual(deck.option_groups.map(g => [g.label.text, g.options.length]), [['Big (1)', 100], ['Big (2)', 20], ['Small', 30]], 'Grupy po space');
+    assertEqual(deck.initial_option.value, 'deck-149', 'Domyślny deck z grupy');
+    assertEqual(assignee.option_groups.map(g => g.label.text), ['A', 'M'], 'Userzy po literze');
+    assertEqual(assignee.initial_option.value, 'user-7', 'Domyślny user');
+});
+
+test('readCardSubmission: wartości i błędy walidacji', () => {
+    const view = {
+        private_metadata: '{"channel":"C1"}',
+        state: { values: {
+            title: { title: { value: ' Fix login ' } },
+            deck: { deck: { selected_option: { value: 'deck-1' } } },
+            assignee: { assignee: { selected_option: null } },
+            priority: { priority: { selected_option: { value: 'a' } } },
+            tags: { tags: { value: 'bug, #ui' } },
+            description: { description: { value: 'Linia 1\nLinia 2\n' } }
+        } }
+    };
+    
+    const { task, metadata, errors } = readCardSubmission(view);
+    
+    assertEqual(errors, {}, 'Brak błędów');
+    assertEqual(metadata.channel, 'C1', 'Metadata');
+    assertEqual(task.title, 'Fix login', 'Tytuł');
+    assertEqual(task.deckId, 'deck-1', 'Deck');
+    assertEqual(task.assigneeId, null, 'Bez assignee');
+    assertEqual(task.tags, ['bug', 'ui'], 'Tagi');
+    assertEqual(task.description, ['Linia 1', 'Linia 2'], 'Opis');
+    
+    const empty = readCardSubmission({ state: { values: {} } });
+    assertEqual(Object.keys(empty.errors), ['title', 'deck'], 'Wymagane pola');
+});
+
+// ============================================================
+// CODECKS CLIENT TESTS (fetch stub)
+// ============================================================
+
+console.log('\n🌐 Codecks Client Tests (async, uruchamiane na końcu)\n');
+
+/**
+ * Replaces global fetch with a scripted sequence of responses.
+ * Each handler gets (url, body) and returns a Response (or throws).
+ */
+function stubFetch(handlers) {
+    const calls = [];
+    const original = global.fetch;
+    global.fetch = async (url, options) => {
+        const body = JSON.parse(options.body);
+        calls.push({ url, body });
+        const handler = handlers[Math.min(calls.length - 1, handlers.length - 1)];
+        return handler(url, body);
+    };
+    return { calls, restore: () => { global.fetch = original; } };
+}
+
+const jsonResponse = (status, body, headers = {}) => new Response(JSON.stringify(body), { status, headers });
+const fastClient = () => new CodecksClient('token', 'team', { retryBaseDelayMs: 1, retryMaxDelayMs: 2, maxRetries: 2 });
+
+test('CodecksClient: Retry-After ma pierwszeństwo przed backoff', () => {
+    const client = new CodecksClient('token', 'team', { retryBaseDelayMs: 100, retryMaxDelayMs: 1000 });
+    
+    assertEqual(client.retryDelay(0, new CodecksRateLimitError('429', { retryAfterMs: 2500 })), 2500, 'Retry-After');
+    
+    const delay = client.retryDelay(3, new Error('x'));
+    assertEqual(delay >= 400 && delay <= 800, true, 'Backoff z jitterem (100 * 2^3)');
+});
+
+testAsync('CodecksClient: retry zapytania po 502 i 429', async () => {
+    const stub = stubFetch([
+        () => jsonResponse(502, { error: 'bad gateway' }),
+        () => jsonResponse(429, { error: 'slow down' }, { 'Retry-After': '0' }),
+        () => jsonResponse(200, { project: { p1: { id: 'p1', name: 'MA TXA' } } })
+    ]);
+    
+    try {
+        const projects = await fastClient().listProjects();
+        assertEqual(projects.map(p => p.name), ['MA TXA'], 'Wynik po retry');
+        assertEqual(stub.calls.length, 3, '3 próby');
+    } finally {
+        stub.restore();
+    }
+});
+
+testAsync('CodecksClient: 401 → CodecksAuthError bez retry', async () => {
+    const stub = stubFetch([() => jsonResponse(401, { error: 'unauthorized' })]);
+    
+    try {
+        await fastClient().listProjects();
+        throw new Error('Powinien rzucić błąd');
+    } catch (error) {
+        assertEqual(error instanceof CodecksAuthError, true, 'Typ błędu');
+        assertEqual(error.code, 'auth', 'Kod błędu');
+        assertEqual(stub.calls.length, 1, 'Bez retry');
+    } finally {
+        stub.restore();
+    }
+});
+
+testAsync('CodecksClient: createCard nie duplikuje karty po 502', async () => {
+    const stub = stubFetch([
+        // create → 502, ale karta powstała
+        () => jsonResponse(502, { error: 'bad gateway' }),
+        // sprawdzenie → karta istnieje
+        () => jsonResponse(200, { card: { 'card-1': { id: 'card-1', content: 'Task', createdAt: new Date().toISOString() } } })
+    ]);
+    
+    try {
+        const card = await fastClient().createCard({ content: 'Task', deckId: 'deck-1' });
+        assertEqual(card.id, 'card-1', 'Istniejąca karta');
+        assertEqual(stub.calls.filter(c => c.url.endsWith('/dispatch/cards/create')).length, 1, 'Jedno create');
+    } finally {
+        stub.restore();
+    }
+});
+
+testAsync('CodecksClient: createCard po 502 pomija karty z tej samej partii', async () => {
+    const createdAt = new Date().toISOString();
+    const stub = stubFetch([
+        () => jsonResponse(502, { error: 'bad gateway' }),
+        // ta sama treść — ale to karta utworzona wcześniej w partii
+        () => jsonResponse(200, { card: { 'card-1': { id: 'card-1', content: 'Task', createdAt } } }),
+        () => jsonResponse(200, { id: 'card-2' })
+    ]);
+    
+    try {
+        const card = await fastClient().createCard({ content: 'Task', deckId: 'deck-1', excludeIds: ['card-1'] });
+        assertEqual(card.id, 'card-2', 'Nowa karta, nie card-1');
+        assertEqual(stub.calls.filter(c => c.url.endsWith('/dispatch/cards/create')).length, 2, 'Dwa create');
+    } finally {
+        stub.restore();
+    }
+});
+
+testAsync('CodecksClient: createComment nie ponawia po 502', async () => {
+    const stub = stubFetch([() => jsonResponse(502, { error: 'bad gateway' })]);
+    
+    try {
+        await fastClient().createComment('card-1', 'Hello');
+        throw new Error('Powinien rzucić błąd');
+    } catch (error) {
+        assertEqual(error instanceof CodecksServerError, true, 'Typ błędu');
+        assertEqual(stub.calls.length, 1, 'Bez retry');
+    } finally {
+        stub.restore();
+    }
+});
+
+testAsync('CodecksClient: createCard wysyła karty podrzędne', async () => {
+    const stub = stubFetch([() => jsonResponse(200, { id: 'card-3' })]);
+    
+    try {
+        await fastClient().createCard({
+            content: 'Parent',
+            deckId: 'deck-1',
+            childCards: [{ content: 'Child\n\n- [ ] test', assigneeId: 'user-1', priority: 'a', tags: ['ui'] }]
+        });
+        assertEqual(stub.calls[0].body.childCards, [{
+            content: 'Child\n\n- [ ] test',
+            assigneeId: 'user-1',
+            priority: 'a',
+            effort: null,
+            masterTags: ['ui']
+        }], 'childCards w payloadzie');
+    } finally {
+        stub.restore();
+    }
+});
+
+testAsync('CodecksClient: createCard zwraca id kart podrzędnych', async () => {
+    const fake = new FakeCodecks();
+    const url = await fake.start();
+    
+    try {
+        const client = new CodecksClient('token', 'team', { baseUrl: url, maxRetries: 0 });
+        const card = await client.createCard({ content: 'Parent', deckId: 'd1', childCards: [{ content: 'A' }, { content: 'B' }] });
+        
+        assertEqual(card.childCardIds.map(id => fake.cards.get(id).content), ['A', 'B'], 'Id w kolejności childCards');
+        assertEqual(card.childCardIds.every(id => fake.cards.get(id).parentCardId === card.id), true, 'Pod kartą nadrzędną');
+        assertEqual(await client.getChildCardIds(card.id), card.childCardIds, 'getChildCardIds');
+        
+        const sub = await client.createCard({ content: 'C', deckId: 'd1', parentCardId: card.id });
+        assertEqual(sub.childCardIds, [], 'Karta bez podrzędnych');
+        assertEqual((await client.getChildCardIds(card.id)).length, 3, 'Dodana pod istniejącą kartę');
+    } finally {
+        await fake.close();
+    }
+});
+
+testAsync('CodecksClient: createCard ponawia gdy karty nie ma', async () => {
+    const stub = stubFetch([
+        () => jsonResponse(503, { error: 'unavailable' }),
+        () => jsonResponse(200, { card: {} }),
+        () => jsonResponse(200, { id: 'card-2' })
+    ]);
+    
+    try {
+        const card = await fastClient().createCard({ content: 'Task', deckId: 'deck-1' });
+        assertEqual(card.id, 'card-2', 'Nowa karta');
+        assertEqual(stub.calls.filter(c => c.url.endsWith('/dispatch/cards/create')).length, 2, 'Dwa create');
+    } finally {
+        stub.restore();
+    }
+});
+
+// Fake Codecks client for cache refresh tests (list* calls only)
+function fakeCacheClient(data) {
+    const client = {
+        calls: 0,
+        data,
+        listProjects: async () => { client.calls++; return client.data.projects; },
+        listDecksWithSpaces: async () => client.data.decks,
+        listUsers: async () => client.data.users
+    };
+    return client;
+}
+
+testAsync('Cache: refresh podmienia mapy dopiero po załadowaniu', async () => {
+    const client = fakeCacheClient({
+        projects: [{ id: 's1', name: 'MA TXA' }],
+        decks: [{ id: 'd1', title: 'Backlog', project: 's1' }],
+        users: [{ id: 'u1', name: 'Anna' }]
+    });
+    const cache = new MappingCache();
+    await cache.initialize(client);
+    
+    client.data = {
+        projects: [{ id: 's1', name: 'MA TXA' }],
+        decks: [{ id: 'd2', title: 'Sprint', project: 's1' }],
+        users: [{ id: 'u1', name: 'Anna' }]
+    };
+    const refresh = cache.refresh(client);
+    assertEqual(cache.resolveDeck('Backlog'), 'd1', 'Stare dane w trakcie refreshu');
+    await refresh;
+    assertEqual(cache.resolveDeck('Sprint'), 'd2', 'Nowe dane po refreshu');
+    assertEqual(cache.resolveDeck('Backlog'), null, 'Stary deck usunięty');
+});
+
+testAsync('Cache: równoległe refresh współdzielą jedno zapytanie', async () => {
+    const client = fakeCacheClient({ projects: [], decks: [], users: [] });
+    const cache = new MappingCache();
+    await Promise.all([cache.refresh(client), cache.refresh(client), cache.refresh(client)]);
+    assertEqual(client.calls, 1, 'Jeden refresh');
+    assertEqual(cache.refreshing, null, 'Refresh zakończony');
+});
+
+testAsync('Cache: resolveFresh odświeża raz przy braku', async () => {
+    const client = fakeCacheClient({ projects: [], decks: [], users: [] });
+    const cache = new MappingCache({ missRefreshCooldownSeconds: 60 });
+    await cache.initialize(client);
+    
+    client.data = { projects: [], decks: [], users: [{ id: 'u2', name: 'Marek' }] };
+    const [first, second] = await Promise.all([
+        cache.resolveFresh('user', 'Marek'),
+        cache.resolveFresh('user', 'Marek')
+    ]);
+    assertEqual(first, 'u2', 'Nowy user znaleziony');
+    assertEqual(second, 'u2', 'Drugi lookup też');
+    assertEqual(client.calls, 2, 'Init + jeden refresh');
+    
+    assertEqual(await cache.resolveFresh('user', 'Nikt'), null, 'Brak usera');
+    assertEqual(client.calls, 2, 'Cooldown blokuje kolejny refresh');
+});
+
+test('Cache: isStale po ttlMinutes', () => {
+    const cache = new MappingCache({ ttlMinutes: 30 });
+    assertEqual(cache.isStale(), false, 'Niezainicjalizowany nie jest stale');
+    cache.initialized = true;
+    cache.lastRefresh = new Date(Date.now() - 31 * 60 * 1000);
+    assertEqual(cache.isStale(), true, 'Stary cache');
+    cache.lastRefresh = new Date();
+    assertEqual(cache.isStale(), false, 'Świeży cache');
+});
+
+testAsync('Cache: ta sama nazwa decka w dwóch space\'ach jest niejednoznaczna', async () => {
+    const client = fakeCacheClient({
+        projects: [{ id: 's1', name: 'MA TXA' }, { id: 's2', name: 'Other' }],
+        decks: [
+            { id: 'd1', title: 'Backlog', project: 's1' },
+            { id: 'd2', title: 'Backlog', project: 's2' },
+            { id: 'd3', title: 'Sprint', project: 's1' }
+        ],
+        users: []
+    });
+    const cache = new MappingCache();
+    await cache.initialize(client);
+    
+    const result = cache.resolveDeck('Backlog');
+    assertEqual(result.ambiguous, true, 'Niejednoznaczny');
+    assertEqual(result.candidates.map(c => c.path).join(','), 'MA TXA/Backlog,Other/Backlog', 'Kandydaci');
+    assertEqual(cache.resolveDeck('MT/Backlog', {}, { MT: 'MA TXA' }), 'd1', 'Pełna ścieżka');
+    assertEqual(cache.resolveDeck('Sprint'), 'd3', 'Unikalna nazwa');
+    assertEqual(cache.listDecks().length, 3, 'Wszystkie decki na liście');
+    assertEqual(cache.listDecks().filter(d => d.duplicate).length, 2, 'Duplikaty oznaczone');
+});
+
+test('Pending: wybór decka działa tylko raz', () => {
+    const store = new PendingDeckChoices();
+    const entry = store.add({
+        channel: 'C1',
+        ts: '1.0',
+        deckPath: 'Backlog',
+        candidates: [{ id: 'd1', path: 'MA TXA/Backlog' }, { id: 'd2', path: 'Other/Backlog' }],
+        tasks: [{ title: 'Task', index: 0 }]
+    });
+    
+    const prompt = buildDeckChoicePrompt(entry);
+    const buttons = prompt.blocks[1].elements;
+    assertEqual(buttons.length, 2, 'Przycisk na deck');
+    assertEqual(buttons[1].value, `${entry.id}:d2`, 'Wartość przycisku');
+    assertEqual(buttons[0].action_id !== buttons[1].action_id, true, 'Unikalne action_id');
+    
+    assertEqual(store.take(entry.id).deckPath, 'Backlog', 'Pierwsze kliknięcie');
+    assertEqual(store.take(entry.id), null, 'Drugie kliknięcie');
+});
+
+test('Pending: wpisy wygasają', () => {
+    const store = new PendingDeckChoices(1);
+    const entry = store.add({ channel: 'C1', ts: '1.0', deckPath: 'Backlog', candidates: [], tasks: [] });
+    entry.createdAt = Date.now() - 2 * 60 * 1000;
+    assertEqual(store.get(entry.id), null, 'Wygasły');
+    assertEqual(store.size, 0, 'Usunięty');
+});
+
+test('Pending: wpisy przetrwają restart (store)', () => {
+    const botStore = new MemoryStore();
+    const before = new PendingActions(60, 'pendingPreviews');
+    before.attachStore(botStore);
+    const entry = before.add({ channel: 'C1', ts: '1.0', tasks: [{ title: 'Task', index: 0 }] });
+    
+    const after = new PendingActions(60, 'pendingPreviews');
+    after.attachStore(botStore);
+    assertEqual(after.take(entry.id).tasks[0].title, 'Task', 'Po restarcie');
+    assertEqual(before.get(entry.id), null, 'Tylko raz');
+});
+
+// ============================================================
+// SLACK USER TESTS
+// ============================================================
+
+console.log('\n👤 Slack User Tests:\n');
+
+// Fake Slack client: users.info only
+function fakeSlackUsers(users) {
+    const client = {
+        calls: 0,
+        users: {
+            info: async ({ user }) => {
+                client.calls++;
+                if (!users[user]) throw new Error('user_not_found');
+                return { user: { id: user, ...users[user] } };
+            }
+        }
+    };
+    return client;
+}
+
+function cacheWithUsers(entries) {
+    const cache = new MappingCache();
+    for (const [name, id] of entries) {
+        cache.users.set(cache.normalize(name), id);
+        cache.userNames.set(id, name);
+    }
+    cache.initialized = true;
+    return cache;
+}
+
+test('SlackUsers: parseSlackMention', () => {
+    assertEqual(parseSlackMention('<@U123ABC>'), 'U123ABC', 'Wzmianka');
+    assertEqual(parseSlackMention(' <@U123ABC|anna> '), 'U123ABC', 'Z etykietą');
+    assertEqual(parseSlackMention('Anna'), null, 'Zwykła nazwa');
+});
+
+test('Parser: wzmianka jako owner i inline', () => {
+    const message = `[Create]
+<@U1>:
+• Task one
+• Task two (<@U2>)`;
+    const { tasks } = parseTaskMessage(message);
+    assertEqual(tasks[0].assigneeName, '<@U1>', 'Owner z nagłówka');
+    assertEqual(tasks[1].assigneeName, '<@U2>', 'Owner inline');
+});
+
+testAsync('SlackUsers: dopasowanie profilu i zapamiętanie', async () => {
+    const slack = fakeSlackUsers({ U1: { name: 'ania', profile: { real_name: 'Anna Kowalska', display_name: '' } } });
+    const cache = cacheWithUsers([['Anna Kowalska', 'c1'], ['Marek', 'c2']]);
+    const directory = new SlackUserDirectory();
+    
+    assertEqual(await directory.resolveCodecksUser(slack, 'U1', cache), 'c1', 'Po real name');
+    assertEqual(directory.getLink('U1'), 'c1', 'Zapamiętane');
+    assertEqual(slack.calls, 1, 'users.info raz');
+});
+
+testAsync('SlackUsers: e-mail i override z userMapping', async () => {
+    const slack = fakeSlackUsers({
+        U1: { name: 'x', profile: { display_name: 'Zed', email: 'marek@studio.com' } },
+        U2: { name: 'y', profile: { display_name: 'Ktoś' } }
+    });
+    const cache = cacheWithUsers([['Anna Kowalska', 'c1'], ['Marek', 'c2']]);
+    const directory = new SlackUserDirectory();
+    
+    assertEqual(await directory.resolveCodecksUser(slack, 'U1', cache), 'c2', 'Po e-mailu');
+    assertEqual(await directory.resolveCodecksUser(slack, 'U2', cache, { U2: 'Anna Kowalska' }), 'c1', 'Override');
+    assertEqual(await directory.resolveCodecksUser(slack, 'U9', cache), null, 'Nieznany user');
+});
+
+testAsync('SlackUsers: dopasowanie fuzzy nie jest zapamiętywane', async () => {
+    const slack = fakeSlackUsers({ U1: { name: 'x', profile: { display_name: 'Kowalska' } } });
+    const cache = cacheWithUsers([['Anna Kowalska', 'c1'], ['Marek', 'c2']]);
+    const directory = new SlackUserDirectory();
+    
+    assertEqual(await directory.resolveCodecksUser(slack, 'U1', cache), 'c1', 'Fuzzy użyte');
+    assertEqual(directory.getLink('U1'), null, 'Ale nie zapamiętane');
+    
+    directory.link('U1', 'c2');
+    assertEqual(directory.unlink('U1'), true, 'Unlink');
+    assertEqual(directory.getLink('U1'), null, 'Usunięte');
+});
+
+testAsync('SlackUsers: replaceMentions', async () => {
+    const text = await replaceMentions('ping <@U1> i <@U2|bob>, znowu <@U1>', async id => (id === 'U1' ? 'Anna' : 'Bob'));
+    assertEqual(text, 'ping @Anna i @Bob, znowu @Anna', 'Zamienione');
+});
+
+// ============================================================
+// CHANNEL BINDING TESTS
+// ============================================================
+
+console.log('\n📌 Channel Binding Tests:\n');
+
+test('Parser: parseCommand', () => {
+    assertEqual(parseCommand('!bind MT/Backlog').args, 'MT/Backlog', 'Argument');
+    assertEqual(parseCommand('  !BINDING ').name, '!binding', 'Wielkość liter');
+    assertEqual(parseCommand('!status now'), null, 'Komenda bez argumentów');
+    assertEqual(parseCommand('!unknown'), null, 'Nieznana komenda');
+    assertEqual(parseCommand('hello !bind'), null, 'Nie na początku');
+    assertEqual(parseCommand('!unlink <@U123>').args, '<@U123>', '!unlink z wzmianką');
+});
+
+test('Bindings: bind / unbind zapisane na dysku', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codecks-bot-'));
+    const file = path.join(dir, 'store.json');
+    
+    try {
+        const bindings = new ChannelBindingStore(new JsonFileStore(file));
+        bindings.bind('C1', { deckId: 'd1', deckPath: 'MA TXA/Backlog', spaceName: 'MA TXA', boundBy: 'U1' });
+        bindings.store.flush();
+        
+        const reloaded = new ChannelBindingStore(new JsonFileStore(file));
+        assertEqual(reloaded.get('C1').deckId, 'd1', 'Wczytane ponownie');
+        assertEqual(reloaded.get('C1').spaceName, 'MA TXA', 'Space');
+        assertEqual(reloaded.channels().join(','), 'C1', 'Lista kanałów');
+        
+        assertEqual(reloaded.unbind('C1'), true, 'Usunięte');
+        reloaded.store.close();
+        assertEqual(new ChannelBindingStore(new JsonFileStore(file)).get('C1'), null, 'Usunięte na dysku');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// ============================================================
+// STORE TESTS
+// ============================================================
+
+console.log('\n🗄️ Store Tests:\n');
+
+test('Store: TTL i prune', () => {
+    const store = new MemoryStore();
+    store.set('events', 'a', true, { ttlMs: 60000 });
+    store.set('events', 'b', true);
+    assertEqual(store.has('events', 'a'), true, 'Świeży wpis');
+    
+    store.table('events').get('a').expiresAt = Date.now() - 1;
+    assertEqual(store.has('events', 'a'), false, 'Wygasły');
+    assertEqual(store.entries('events').length, 1, 'Zostaje wpis bez TTL');
+    
+    store.set('events', 'c', true, { ttlMs: 1 });
+    store.table('events').get('c').expiresAt = Date.now() - 1;
+    assertEqual(store.prune(), 1, 'Prune usuwa wygasłe');
+});
+
+test('Store: powiązania kart przetrwają restart (JSON)', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codecks-bot-'));
+    const file = path.join(dir, 'store.json');
+    
+    try {
+        const first = new JsonFileStore(file);
+        new CardLinkStore(first).save('C1', '1.0', { user: 'U1', tasks: [{ index: 0, cardId: 'card-1' }] });
+        first.set('events', 'evt-1', true, { ttlMs: 60000 });
+        first.close();
+        
+        const reloaded = new JsonFileStore(file);
+        assertEqual(new CardLinkStore(reloaded).getCardId('C1', '1.0', 0), 'card-1', 'Karta po restarcie');
+        assertEqual(reloaded.has('events', 'evt-1'), true, 'Dedupe po restarcie');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('Store: JSON zapisuje zmiany zbiorczo', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codecks-bot-'));
+    const file = path.join(dir, 'store.json');
+    
+    try {
+        const store = new JsonFileStore(file, { writeDelayMs: 60000 });
+        store.set('cardStates', 'a', true);
+        store.set('cardStates', 'b', true);
+        assertEqual(fs.existsSync(file), false, 'Jeszcze nie zapisane');
+        
+        store.flush();
+        assertEqual(new JsonFileStore(file).entries('cardStates').length, 2, 'Oba wpisy po flush');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('Store: kolejka, dedupe i powiązania zapisane od razu (JSON)', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codecks-bot-'));
+    const file = path.join(dir, 'store.json');
+    
+    try {
+        const store = new JsonFileStore(file, { writeDelayMs: 60000 });
+        store.set('cardStates', 'card-1', { status: 'done' });
+        store.set('queue', 'job-1', { type: 'event' });
+        store.set('events', 'evt-1', true);
+        new CardLinkStore(store).save('C1', '1.0', { user: 'U1', tasks: [{ index: 0, cardId: 'card-1' }] });
+        
+        // Bez close() — jak po crashu
+        const reloaded = new JsonFileStore(file);
+        assertEqual(reloaded.has('queue', 'job-1'), true, 'Job w kolejce');
+        assertEqual(reloaded.has('events', 'evt-1'), true, 'Klucz dedupe');
+        assertEqual(new CardLinkStore(reloaded).getCardId('C1', '1.0', 0), 'card-1', 'Powiązanie karty');
+        assertEqual(reloaded.has('cardStates', 'card-1'), true, 'Wcześniejsze zmiany zapisane razem z nimi');
+        
+        store.delete('queue', 'job-1');
+        assertEqual(new JsonFileStore(file).has('queue', 'job-1'), false, 'Usunięcie też od razu');
+        store.close();
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('Store: stare powiązania kart wygasają', () => {
+    const store = new MemoryStore();
+    const links = new CardLinkStore(store, { retentionDays: 30 });
+    links.save('C1', '1.0', { user: 'U1', tasks: [{ index: 0, cardId: 'card-1' }] });
+    
+    const expiresAt = store.table('links').get('C1:1.0').expiresAt;
+    assertEqual(Math.round((expiresAt - Date.now()) / 86400000), 30, 'TTL w dniach');
+    
+    store.table('links').get('C1:1.0').expiresAt = Date.now() - 1;
+    assertEqual(links.get('C1', '1.0'), null, 'Wygasłe');
+});
+
+test('Cache: snapshot w store i restore po restarcie', () => {
+    const store = new MemoryStore();
+    const cache = new MappingCache();
+    cache.attachStore(store);
+    cache.decks.set('backlog', { id: 'd1', spaceId: 's1', spaceName: 'MA TXA' });
+    cache.deckInfo.set('d1', { name: 'Backlog', spaceId: 's1', spaceName: 'MA TXA' });
+    cache.lastRefresh = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    cache.saveSnapshot();
+    
+    const restarted = new MappingCache();
+    restarted.attachStore(store);
+    assertEqual(restarted.initialized, true, 'Gotowy ze snapshotu');
+    assertEqual(restarted.resolveDeck('Backlog'), 'd1', 'Deck ze snapshotu');
+    assertEqual(restarted.isStale(), true, 'Stary snapshot jest stale');
+});
+
+// ============================================================
+// PREVIEW TESTS
+// ============================================================
+
+console.log('\n👀 Preview Tests:\n');
+
+test('Parser: [Preview] i [Create] [DryRun]', () => {
+    assertEqual(hasCreateCommand('[Preview] [Deck: Backlog]'), true, '[Preview] parsowany jak [Create]');
+    assertEqual(isPreviewRequest('[Preview] [Deck: Backlog]'), true, '[Preview]');
+    assertEqual(isPreviewRequest('[Create] [DryRun]'), true, '[DryRun]');
+    assertEqual(isPreviewRequest('[Create] [Deck: Backlog]'), false, 'Zwykły [Create]');
+    
+    const result = parseTaskMessage(`[Preview] [Deck: Backlog] [Priority: a]
+• Task 1 (Anna)`);
+    assertEqual(result.deckPath, 'Backlog', 'Deck z linii [Preview]');
+    assertEqual(result.tasks[0].priority, 'a', 'Atrybuty z linii [Preview]');
+});
+
+test('buildPreview: karty, nierozwiązane nazwy i przycisk', () => {
+    const previews = new PendingActions();
+    const entry = previews.add({
+        channel: 'C1',
+        ts: '1.0',
+        tasks: [],
+        cards: [
+            { title: 'Fix <login>', body: '- [ ] test', deck: 'MT/Backlog', assignee: 'Anna', assigneeName: 'Anna', priority: 'a', effort: 3, tags: ['bug'], warnings: [],
+              children: [{ title: 'Sub', body: '- [ ] done', assignee: null, assigneeName: 'Zenek' }] },
+            { title: 'Typo', body: '', deck: null, deckPath: 'Bakclog', assignee: null, assigneeName: 'Zenek', priority: 'b', effort: null, tags: [], warnings: ['Unknown user "Zenek" — card left unassigned'] },
+            { title: 'Shared', body: '', deck: null, deckPath: 'Sprint', deckChoices: [{ id: 'd1', path: 'A/Sprint' }, { id: 'd2', path: 'B/Sprint' }], assignee: null, assigneeName: null, priority: 'b', effort: null, tags: [], warnings: [] }
+        ]
+    });
+    
+    const preview = buildPreview(entry);
+    const cardTexts = preview.blocks.slice(1, 4).map(block => block.text.text);
+    
+    assertEqual(preview.text.includes('2 of 3 card(s)'), true, 'Liczba kart do utworzenia');
+    assertEqual(cardTexts[0].includes('Fix &lt;login&gt;') && cardTexts[0].includes('```- [ ] test```'), true, 'Tytuł i treść karty');
+    assertEqual(cardTexts[0].includes('🎴 MT/Backlog · 👤 Anna · 🔺 high · ⏱️ 3 · 🏷️ bug'), true, 'Deck, owner, atrybuty');
+    assertEqual(cardTexts[0].includes('↳ *Sub* · 👤 ❓ *"Zenek" unknown*\n```- [ ] done```'), true, 'Karta podrzędna');
+    assertEqual(cardTexts[1].includes('"Bakclog" not found') && cardTexts[1].includes('"Zenek" unknown'), true, 'Nierozwiązane nazwy');
+    assertEqual(cardTexts[2].includes('A/Sprint, B/Sprint'), true, 'Niejednoznaczny deck');
+    
+    const actions = preview.blocks.find(block => block.type === 'actions');
+    assertEqual(actions.elements[0].value, entry.id, 'Przycisk "Create these"');
+    
+    const created = buildPreview(entry, { createdBy: 'U1' });
+    assertEqual(created.blocks.some(block => block.type === 'actions'), false, 'Bez przycisku po utworzeniu');
+    assertEqual(created.blocks[created.blocks.length - 1].elements[0].text, '✅ Created by <@U1>', 'Kto utworzył');
+    
+    assertEqual(previews.take(entry.id).channel, 'C1', 'Pierwsze kliknięcie');
+    assertEqual(previews.take(entry.id), null, 'Drugie kliknięcie');
+});
+
+// ============================================================
+// ATTACHMENT TESTS
+// ============================================================
+
+console.log('\n📎 Attachment Tests:\n');
+
+const slackFile = (name, mimetype, size, extra = {}) => ({
+    id: `F-${name}`, name, mimetype, size, url_private_download: `https://files.slack.com/${name}`, ...extra
+});
+
+test('Attachments: limity typu, rozmiaru i liczby plików', () => {
+    const files = [
+        slackFile('shot.png', 'image/png', 1024),
+        slackFile('setup.exe', 'application/x-msdownload', 1024),
+        slackFile('video.mp4', 'video/mp4', 30 * 1024 * 1024),
+        slackFile('log.txt', 'text/plain', 10),
+        slackFile('gone.png', 'image/png', 10, { mode: 'tombstone' })
+    ];
+    
+    const { accepted, rejected } = selectFiles(files, { maxFiles: 1, maxFileSizeMb: 20 });
+    assertEqual(accepted.map(f => f.name), ['shot.png'], 'Przyjęte');
+    assertEqual(rejected.map(r => r.name), ['setup.exe', 'video.mp4', 'log.txt', 'gone.png'], 'Odrzucone');
+    assertEqual(rejected[0].reason.includes('not allowed'), true, 'Typ');
+    assertEqual(rejected[1].reason.includes('20 MB'), true, 'Rozmiar');
+    assertEqual(rejected[2].reason, 'only 1 file(s) per message', 'Liczba');
+    assertEqual(selectFiles(files, { enabled: false }).accepted.length, 0, 'Wyłączone');
+});
+
+testAsync('Attachments: transfer Slack → Codecks i błędy', async () => {
+    const result = await transferFiles([
+        slackFile('a.png', 'image/png', 3),
+        slackFile('b.png', 'image/png', 3),
+        slackFile('c.exe', 'application/x-msdownload', 3)
+    ], {
+        download: async (file) => {
+            if (file.name === 'b.png') throw new Error('Slack download failed (403)');
+            return Buffer.from('abc');
+        },
+        upload: async (buffer, meta) => ({ fileName: meta.fileName, url: `uploads/${meta.fileName}`, size: buffer.length })
+    });
+    
+    assertEqual(result.attachments, [{ fileName: 'a.png', url: 'uploads/a.png', size: 3 }], 'Wysłany plik');
+    assertEqual(result.failed.map(f => f.name).sort(), ['b.png', 'c.exe'], 'Nieprzeniesione pliki');
+    
+    const report = buildCreationReport({
+        success: [{ title: 'Bug', url: 'https://team.codecks.io/card/c1', attachments: 1 }],
+        failed: [],
+        fileFailures: result.failed
+    });
+    assertEqual(report.includes('· 📎 1'), true, 'Liczba załączników przy karcie');
+    assertEqual(report.includes('*b.png* — Slack download failed (403)'), true, 'Powód w raporcie');
+});
+
+// ============================================================
+// WORK QUEUE TESTS
+// ============================================================
+
+console.log('\n📬 Work Queue Tests:\n');
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+testAsync('Queue: kolejność w grupie, równolegle między grupami', async () => {
+    const log = [];
+    const queue = new WorkQueue(new MemoryStore(), async (job) => {
+        log.push(`start:${job.payload.name}`);
+        await tick(job.payload.delay);
+        log.push(`end:${job.payload.name}`);
+    }, { concurrency: 2 });
+    
+    queue.enqueue({ type: 't', payload: { name: 'create', delay: 20 }, groupKey: 'C1:1' });
+    queue.enqueue({ type: 't', payload: { name: 'edit', delay: 1 }, groupKey: 'C1:1' });
+    queue.enqueue({ type: 't', payload: { name: 'other', delay: 1 }, groupKey: 'C1:2' });
+    queue.start();
+    await tick(40);
+    await queue.idle();
+    
+    assertEqual(log.indexOf('start:edit') > log.indexOf('end:create'), true, 'Edycja po utworzeniu');
+    assertEqual(log.indexOf('end:other') < log.indexOf('end:create'), true, 'Inna wiadomość nie czeka');
+    assertEqual(queue.jobs().length, 0, 'Kolejka pusta');
+});
+
+testAsync('Queue: retry, potem dead-letter i replay', async () => {
+    let calls = 0;
+    let deadJob = null;
+    let failing = true;
+    const queue = new WorkQueue(new MemoryStore(), async () => {
+        calls++;
+        if (failing) throw new Error('Codecks down');
+    }, { maxAttempts: 3, retryBaseDelayMs: 1, retryMaxDelayMs: 2, onDead: job => { deadJob = job; } });
+    
+    const job = queue.enqueue({ type: 't', payload: {}, groupKey: 'C1:1' });
+    queue.start();
+    await tick(50);
+    await queue.idle();
+    
+    assertEqual(calls, 3, 'Trzy próby');
+    assertEqual(deadJob && deadJob.id, job.id, 'onDead wywołane');
+    assertEqual(queue.stats().dead, 1, 'Dead-letter');
+    assertEqual(queue.get(job.id).lastError, 'Codecks down', 'Ostatni błąd');
+    
+    failing = false;
+    queue.replay(job.id);
+    await tick(10);
+    await queue.idle();
+    assertEqual(calls, 4, 'Replay');
+    assertEqual(queue.jobs().length, 0, 'Job zakończony');
+    queue.stop();
+});
+
+testAsync('Queue: przerwany job wraca po restarcie', async () => {
+    const store = new MemoryStore();
+    const first = new WorkQueue(store, async () => {});
+    const job = first.enqueue({ type: 't', payload: {}, groupKey: 'C1:1' });
+    store.set('queue', job.id, { ...store.get('queue', job.id), status: 'running' });
+    
+    const handled = [];
+    const restarted = new WorkQueue(store, async (j) => { handled.push(j.id); });
+    restarted.start();
+    await tick(10);
+    await restarted.idle();
+    
+    assertEqual(handled.join(','), job.id, 'Job wykonany ponownie');
+});
+
+// ============================================================
+// NOTIFICATION TESTS (fake Codecks server)
+// ============================================================
+
+console.log('\n🔔 Notification Tests (async, uruchamiane na końcu)\n');
+
+test('Notify: detectChanges i treść powiadomienia', () => {
+    const previous = { status: 'assigned', assigneeId: 'u1', assigneeName: 'Anna', commentIds: ['c1'] };
+    const current = {
+        status: 'started',
+        assigneeId: 'u2',
+        assigneeName: 'Tomek',
+        comments: [{ id: 'c1' }, { id: 'c2', creatorId: 'bot' }, { id: 'c3', creatorId: 'u1', creatorName: 'Anna' }]
+    };
+    
+    const changes = detectChanges(previous, current, 'bot');
+    assertEqual(changes.map(c => c.type), ['status', 'assignee', 'comment'], 'Trzy zmiany');
+    assertEqual(changes[2].count, 1, 'Komentarz bota pominięty');
+    assertEqual(detectChanges({ ...previous, status: 'started' }, { ...current, status: 'review', assigneeId: 'u1', comments: [] }).length, 0,
+        'review bez powiadomienia');
+    
+    const text = buildCardUpdates([{ title: 'Login', url: 'https://team.codecks.io/card/1', changes }]);
+    assertEqual(text.includes('<https://team.codecks.io/card/1|Login>'), true, 'Link do karty');
+    assertEqual(text.includes('▶️ started') && text.includes('*Tomek*') && text.includes('new comment by Anna'), true, 'Opis zmian');
+});
+
+testAsync('Notify: poller na udawanym API Codecks', async () => {
+    const fake = new FakeCodecks();
+    const url = await fake.start();
+    
+    try {
+        fake.addUser('user-anna', 'Anna');
+        fake.addUser('user-tomek', 'Tomek');
+        const card = fake.addCard({ content: 'Login\nopis', assignee: 'user-anna', status: 'assigned' });
+        const other = fake.addCard({ content: 'Logout' });
+        const muted = fake.addCard({ content: 'Muted' });
+        
+        const store = new MemoryStore();
+        const links = new CardLinkStore(store);
+        links.save('C1', '1.000', { user: 'U1', tasks: [{ index: 0, cardId: card.id, title: 'Login' }, { index: 1, cardId: other.id, title: 'Logout' }] });
+        links.save('C2', '2.000', { user: 'U1', tasks: [{ index: 0, cardId: muted.id, title: 'Muted' }] });
+        
+        const posts = [];
+        const notifier = new CardNotifier(store, {
+            codecksClient: new CodecksClient('token', 'team', { baseUrl: url, maxRetries: 0 }),
+            links,
+            post: async (channel, threadTs, updates) => posts.push({ channel, threadTs, updates })
+        });
+        notifier.enable('C1', 'U1');
+        
+        // First poll only records the baseline
+        assertEqual(await notifier.poll(), 0, 'Pierwszy poll bez powiadomień');
+        
+        fake.setStatus(card.id, 'started');
+        fake.assign(other.id, 'user-tomek');
+        fake.addComment(card.id, 'user-tomek');
+        fake.addComment(card.id, fake.botUser.id);
+        fake.setStatus(muted.id, 'done');
+        
+        assertEqual(await notifier.poll(), 1, 'Jeden wątek');
+        assertEqual(posts[0].channel, 'C1', 'Tylko kanał z !notify on');
+        assertEqual(posts[0].threadTs, '1.000', 'Wątek wiadomości');
+        assertEqual(posts[0].updates.map(u => u.title), ['Login', 'Logout'], 'Obie karty w jednej odpowiedzi');
+        assertEqual(posts[0].updates[0].changes.map(c => c.type), ['status', 'comment'], 'started + komentarz (bez komentarza bota)');
+        assertEqual(posts[0].updates[1].changes[0], { type: 'assignee', from: null, to: 'Tomek' }, 'Przypisanie');
+        
+        const writes = [];
+        const set = store.set.bind(store);
+        store.set = (ns, ...args) => { if (ns === 'cardStates') writes.push(args[0]); set(ns, ...args); };
+        assertEqual(await notifier.poll(), 0, 'Bez zmian — cisza');
+        assertEqual(writes, [], 'Bez zapisu niezmienionych stanów');
+        store.set = set;
+        
+        fake.setStatus(card.id, 'done');
+        notifier.disable('C1');
+        assertEqual(await notifier.poll(), 0, 'Kanał wyłączony');
+        
+        const updatedSince = fake.requests.filter(r => r.url === '/' && JSON.stringify(r.body).includes('updatedAt'));
+        assertEqual(updatedSince.length > 0, true, 'Zapytania z filtrem updatedAt');
+    } finally {
+        await fake.close();
+    }
+});
+
+test('Progress: postęp w raporcie nad przyciskiem Undo', () => {
+    const report = buildCreationMessage({ success: [{ title: 'A', url: 'https://x/1', deckId: 'd' }], failed: [] }, 'C1:1.000');
+    const progress = summarizeProgress([
+        { cardId: 'c1', title: 'A', url: 'https://x/1', status: 'done' },
+        { cardId: 'c2', title: 'B', url: null, status: 'started' }
+    ]);
+    assertEqual([progress.done, progress.total, progress.state], [1, 2, 'partial'], 'Podsumowanie');
+    
+    const first = withProgress(report, progress);
+    const again = withProgress(first, summarizeProgress(progress.cards.map(card => ({ ...card, status: 'done' }))));
+    const types = again.blocks.map(block => block.type);
+    
+    assertEqual(types[types.length - 1], 'actions', 'Undo zostaje na końcu');
+    assertEqual(again.blocks.filter(block => block.type === 'divider').length, 1, 'Postęp podmieniony, nie dopisany');
+    const text = JSON.stringify(again.blocks);
+    assertEqual(text.includes('2/2 done') && !text.includes('1/2 done'), true, 'Aktualny licznik');
+    assertEqual(text.includes('✅ *B* — done'), true, 'Status karty');
+});
+
+testAsync('Progress: reakcje statusu przez poller', async () => {
+    const fake = new FakeCodecks();
+    const url = await fake.start();
+    
+    try {
+        const a = fake.addCard({ content: 'A' });
+        const b = fake.addCard({ content: 'B' });
+        
+        const store = new MemoryStore();
+        const links = new CardLinkStore(store);
+        links.save('C1', '1.000', { user: 'U1', tasks: [{ index: 0, cardId: a.id, title: 'A' }, { index: 1, cardId: b.id, title: 'B' }] });
+        
+        const calls = [];
+        const notifier = new CardNotifier(store, {
+            codecksClient: new CodecksClient('token', 'team', { baseUrl: url, maxRetries: 0 }),
+            links,
+            post: async () => { throw new Error('kanał bez !notify on'); },
+            onProgress: async (link, progress, previous) => calls.push({ state: progress.state, previous: previous && previous.state }),
+            options: { progress: 'all' }
+        });
+        
+        const optedIn = new CardNotifier(store, { links, onProgress: async () => {} });
+        assertEqual(optedIn.watchedLinks().length, 0, 'Domyślnie tylko włączone kanały');
+        optedIn.enable('C1', 'U1');
+        assertEqual(optedIn.watchedLinks().length, 1, 'Po !notify on');
+        optedIn.disable('C1');
+        
+        await notifier.poll();
+        assertEqual(calls.length, 0, 'Nowe karty bez aktualizacji');
+        
+        fake.setStatus(a.id, 'done');
+        await notifier.poll();
+        fake.setStatus(b.id, 'done');
+        await notifier.poll();
+        await notifier.poll();
+        
+        assertEqual(calls, [{ state: 'partial', previous: 'open' }, { state: 'done', previous: 'partial' }], 'partial → done');
+        assertEqual(links.get('C1', '1.000').progress.done, 2, 'Postęp zapisany w linku');
+    } finally {
+        await fake.close();
+    }
+});
+
+testAsync('Progress: karty podrzędne liczą się, usunięte taski nie', async () => {
+    const fake = new FakeCodecks();
+    const url = await fake.start();
+    
+    try {
+        const parent = fake.addCard({ content: 'Parent' });
+        const child = fake.addCard({ content: 'Child', parentCardId: parent.id });
+        const removed = fake.addCard({ content: 'Removed' });
+        
+        const store = new MemoryStore();
+        const links = new CardLinkStore(store);
+        links.save('C1', '1.000', { user: 'U1', tasks: [
+            { index: 0, cardId: parent.id, title: 'Parent', children: [{ index: 0, cardId: child.id, title: 'Child' }] },
+            { index: null, cardId: removed.id, title: 'Removed', removed: true }
+        ] });
+        
+        const calls = [];
+        const notifier = new CardNotifier(store, {
+            codecksClient: new CodecksClient('token', 'team', { baseUrl: url, maxRetries: 0 }),
+            links,
+            post: async () => {},
+            onProgress: async (link, progress) => calls.push(`${progress.done}/${progress.total}`),
+            options: { channels: ['C1'] }
+        });
+        
+        await notifier.poll();
+        fake.setStatus(child.id, 'done');
+        await notifier.poll();
+        
+        assertEqual(store.get('cardStates', child.id).status, 'done', 'Stan karty podrzędnej');
+        assertEqual(calls, ['1/2'], 'Karta podrzędna w postępie, bez usuniętej');
+    } finally {
+        await fake.close();
+    }
+});
+
+// ============================================================
+// SEARCH TESTS
+// ============================================================
+
+test('Find: parsowanie !find i !card', () => {
+    assertEqual(parseFindQuery('log in screen in MT/Backlog @Anna'),
+        { text: 'log in screen', deckPath: 'MT/Backlog', owner: 'Anna', ownerSlackId: null, fullText: 'log in screen in MT/Backlog' }, 'Tekst, deck, owner');
+    assertEqual(parseFindQuery('crash <@U123ABC|anna>'),
+        { text: 'crash', deckPath: null, owner: null, ownerSlackId: 'U123ABC', fullText: 'crash' }, 'Wzmianka Slack');
+    assertEqual(parseFindQuery('sign in button').fullText, 'sign in button', 'Cały tekst, gdy "in" to nie deck');
+    
+    const id = '0b0e8d4e-1111-2222-3333-444455556666';
+    assertEqual(parseCardId(id), id, 'Samo id');
+    assertEqual(parseCardId(`<https://team.codecks.io/card/${id}|Login>`), id, 'Link ze Slacka');
+    assertEqual(parseCardId('123'), null, 'Nie id');
+    assertEqual(parseCardId('https://team.codecks.io/card/1v5-login'), null, 'Krótki kod z aplikacji');
+});
+
+test('Find: strony wyników i szczegóły karty', () => {
+    const entry = {
+        id: 's1',
+        query: { text: 'bug', deckPath: 'MT/Backlog', ownerName: null },
+        cards: Array.from({ length: 12 }, (_, i) => ({ title: `Bug ${i + 1}`, url: null, deckPath: 'MT/Backlog', status: 'started' })),
+        pageSize: 5,
+        truncated: false
+    };
+    
+    const first = buildSearchPage(entry, 0);
+    assertEqual(first.text.includes('*12 card(s)*') && first.text.includes('page 1/3'), true, 'Nagłówek');
+    assertEqual(first.blocks[first.blocks.length - 1].elements.map(b => b.value), ['s1:1'], 'Tylko "More"');
+    
+    const last = buildSearchPage(entry, 2);
+    assertEqual(last.text.includes('Bug 11') && !last.text.includes('Bug 10'), true, 'Ostatnia strona');
+    assertEqual(last.blocks[last.blocks.length - 1].elements.map(b => b.value), ['s1:1'], 'Tylko "Previous"');
+    assertEqual(buildSearchPage({ ...entry, cards: [] }).text.startsWith('🔍 No cards found'), true, 'Brak wyników');
+    
+    const details = buildCardDetails({ title: 'Login', content: 'Login\n\nOpis\n- [x] A\n- [ ] B', status: 'done', assigneeName: 'Anna' });
+    assertEqual(details.text.includes('*Checkboxes* (1/2)') && details.text.includes('Opis') && details.text.includes('👤 Anna'), true, 'Szczegóły');
+});
+
+testAsync('Find: searchCards i getCard na udawanym API Codecks', async () => {
+    const fake = new FakeCodecks();
+    const url = await fake.start();
+    
+    try {
+        fake.addUser('user-anna', 'Anna');
+        fake.addDeck('deck-1', 'Backlog');
+        fake.addDeck('deck-2', 'Sprint');
+        const login = fake.addCard({ content: 'Login bug\nopis', deckId: 'deck-1', assignee: 'user-anna', status: 'started' });
+        fake.addCard({ content: 'Logout bug', deckId: 'deck-2' });
+        fake.addCard({ content: 'Old bug', deckId: 'deck-1', visibility: 'archived' });
+        
+        const client = new CodecksClient('token', 'team', { baseUrl: url, maxRetries: 0 });
+        
+        const all = await client.searchCards({ text: 'BUG' });
+        assertEqual(all.map(c => c.title), ['Logout bug', 'Login bug'], 'Najnowsze najpierw, bez archiwum');
+        
+        const filtered = await client.searchCards({ text: 'bug', deckId: 'deck-1', assigneeId: 'user-anna' });
+        assertEqual(filtered.map(c => [c.title, c.deckName, c.assigneeName, c.status]), [['Login bug', 'Backlog', 'Anna', 'started']], 'Deck + owner');
+        
+        const card = await client.getCard(login.id);
+        assertEqual(card.content, 'Login bug\nopis', 'Pełna treść');
+        assertEqual(await client.getCard('missing'), null, 'Brak karty');
+    } finally {
+        await fake.close();
+    }
+});
+
+test('Hand: lista kart po deckach z menu akcji', () => {
+    const list = buildCardList({
+        kind: 'mine',
+        slackUserId: 'U1',
+        userName: 'Anna',
+        cards: [
+            { id: 'c1', title: 'A', deckPath: 'MT/Backlog', status: 'assigned', onHand: true },
+            { id: 'c2', title: 'B', deckPath: 'MT/Sprint', status: 'started', onHand: false },
+            { id: 'c3', title: 'C', deckPath: 'MT/Backlog', status: 'assigned', onHand: false }
+        ]
+    });
+    
+    const decks = list.blocks.filter(b => b.type === 'context').map(b => b.elements[0].text);
+    assertEqual(decks, ['📂 *MT/Backlog*', '📂 *MT/Sprint*'], 'Grupy decków');
+    
+    const menus = list.blocks.filter(b => b.accessory).map(b => b.accessory.options.map(o => o.value.split(':')[1]));
+    assertEqual(menus, [['start', 'done', 'unhand'], ['start', 'done'], ['done']], 'Opcje zależne od statusu i ręki');
+    assertEqual(list.blocks[2].accessory.options[0].value, 'mine:start:c1:U1', 'Wartość z właścicielem listy');
+    assertEqual(buildCardList({ kind: 'hand', userName: 'Anna', cards: [] }).text.includes('No cards on the hand'), true, 'Pusta ręka');
+});
+
+testAsync('Hand: ręka, otwarte karty i akcje na udawanym API Codecks', async () => {
+    const fake = new FakeCodecks();
+    const url = await fake.start();
+    
+    try {
+        fake.addUser('user-anna', 'Anna');
+        const client = new CodecksClient('token', 'team', { baseUrl: url, maxRetries: 0 });
+        
+        const first = await client.createCard({ content: 'First', deckId: 'd1', assigneeId: 'user-anna', putOnHand: true });
+        const second = await client.createCard({ content: 'Second', deckId: 'd1', assigneeId: 'user-anna', putOnHand: true });
+        const other = fake.addCard({ content: 'Not on hand', assignee: 'user-anna', status: 'assigned' });
+        
+        assertEqual((await client.getHand('user-anna')).map(c => c.title), ['First', 'Second'], 'Kolejność ręki');
+        
+        await client.updateCard({ id: other.id, status: 'done' });
+        await client.removeFromHand(first.id);
+        
+        assertEqual((await client.getHand('user-anna')).map(c => c.id), [second.id], 'Zdjęta z ręki');
+        const open = await client.searchCards({ assigneeId: 'user-anna', openOnly: true });
+        assertEqual(open.map(c => c.title).sort(), ['First', 'Second'], 'Bez kart done');
+    } finally {
+        await fake.close();
+    }
+});
+
+testAsync('Hand: karty zarchiwizowane i usunięte nie są pokazywane', async () => {
+    const fake = new FakeCodecks();
+    const url = await fake.start();
+    
+    try {
+        const client = new CodecksClient('token', 'team', { baseUrl: url, maxRetries: 0 });
+        const kept = await client.createCard({ content: 'Kept', deckId: 'd1', assigneeId: 'user-anna', putOnHand: true });
+        const archived = await client.createCard({ content: 'Archived', deckId: 'd1', assigneeId: 'user-anna', putOnHand: true });
+        const deleted = await client.createCard({ content: 'Deleted', deckId: 'd1', assigneeId: 'user-anna', putOnHand: true });
+        
+        await client.archiveCard(archived.id);
+        await client.deleteCard(deleted.id);
+        
+        assertEqual((await client.getHand('user-anna')).map(c => c.id), [kept.id], 'Tylko aktywna karta');
+    } finally {
+        await fake.close();
+    }
+});
+
+// ============================================================
+// REACTION TRIGGER TESTS (stub Slack + card creation)
+// ============================================================
+
+// Slack stub with the given channel messages; created cards are linked like createTasks does
+function reactionTrigger(messages) {
+    const links = new CardLinkStore();
+    const created = [];
+    const slackClient = {
+        conversations: {
+            history: async ({ latest }) => ({ messages: messages.filter(m => m.ts === latest) }),
+            replies: async () => ({ messages: [] })
+        },
+        chat: { getPermalink: async ({ message_ts }) => ({ permalink: `https://slack/p${message_ts}` }) }
+    };
+    const trigger = new ReactionTrigger({
+        slackClient,
+        links,
+        authorName: async (userId) => `Name of ${userId}`,
+        create: async (request) => {
+            created.push(request);
+            links.save(request.channel, request.ts, {
+                user: request.user,
+                tasks: request.tasks.map((task, index) => ({ index, cardId: `card-${created.length}-${index}`, title: task.title }))
+            });
+        },
+        options: { emoji: 'codecks' }
+    });
+    return { trigger, created };
+}
+
+const reaction = (ts, user = 'U2', name = 'codecks') => ({ type: 'reaction_added', reaction: name, user, item: { type: 'message', channel: 'C1', ts } });
+
+testAsync('Reaction: emoji, reagujący jako owner, bez duplikatu', async () => {
+    const { trigger, created } = reactionTrigger([
+        { ts: '1.0', user: 'U1', text: 'Login crashes\nOn Android 14' },
+        { ts: '2.0', user: 'U1', text: '[Create]\nMarek:\n• Fix logout\n• Write tests (Anna)' }
+    ]);
+    
+    assertEqual(await trigger.handle(reaction('1.0', 'U2', 'thumbsup')), false, 'Inne emoji');
+    assertEqual(await trigger.handle(reaction('1.0', 'U2', 'codecks::skin-tone-2')), true, 'Emoji z odcieniem');
+    assertEqual(created[0].tasks[0].title, 'Login crashes', 'Tytuł z pierwszej linii');
+    assertEqual(created[0].tasks[0].assigneeName, '<@U2>', 'Owner = reagujący');
+    assertEqual(created[0].tasks[0].description.includes('Slack: https://slack/p1.0'), true, 'Link do wiadomości');
+    assertEqual(created[0].origin, 'reaction', 'Origin');
+    
+    assertEqual(await trigger.handle(reaction('1.0', 'U3')), false, 'Druga reakcja');
+    assertEqual(created.length, 1, 'Bez duplikatu');
+    
+    await trigger.handle(reaction('2.0', 'U2'));
+    assertEqual(created[1].tasks.map(t => t.assigneeName), ['Marek', 'Anna'], 'Taski z [Create] zachowują ownerów');
+    assertEqual(created[1].origin, 'message', 'Edycje synchronizowane');
+});
+
+testAsync('Reaction: pomija wiadomości bota i [Preview]', async () => {
+    const { trigger, created } = reactionTrigger([
+        { ts: '1.0', bot_id: 'B1', text: '✅ Created 2 card(s)' },
+        { ts: '2.0', user: 'U1', text: '[Preview]\n• Fix logout' }
+    ]);
+    
+    assertEqual(await trigger.handle(reaction('1.0')), false, 'Raport bota');
+    assertEqual(await trigger.handle(reaction('2.0')), false, '[Preview]');
+    assertEqual(created.length, 0, 'Nic nie utworzono');
+});
+
+// ============================================================
+// DIGEST TESTS
+// ============================================================
+
+test('Digest: ostatni termin z harmonogramu (strefa czasowa)', () => {
+    const now = Date.parse('2026-10-19T10:30:00Z');    // poniedziałek
+    
+    assertEqual(new Date(lastScheduledAt({ frequency: 'daily', time: '09:00', timeZone: 'Europe/Warsaw' }, now)).toISOString(),
+        '2026-10-19T07:00:00.000Z', 'Dziś 09:00 w Warszawie');
+    assertEqual(new Date(lastScheduledAt({ frequency: 'daily', time: '13:00', timeZone: 'Europe/Warsaw' }, now)).toISOString(),
+        '2026-10-18T11:00:00.000Z', 'Jeszcze nie dziś → wczoraj');
+    assertEqual(new Date(lastScheduledAt({ frequency: 'weekly', weekday: 'friday', time: '16:00', timeZone: 'UTC' }, now)).toISOString(),
+        '2026-10-16T16:00:00.000Z', 'Tygodniowy w piątek');
+});
+
+testAsync('Digest: sekcje z udawanego API Codecks i harmonogram', async () => {
+    const fake = new FakeCodecks();
+    const url = await fake.start();
+    
+    try {
+        fake.addUser('user-anna', 'Anna');
+        const done = fake.addCard({ content: 'Done card' });
+        const fresh = fake.addCard({ content: 'Fresh card' });
+        fake.addCard({ content: 'Late', deckId: 'deck-1', assignee: 'user-anna', status: 'assigned', dueDate: '2026-01-05' });
+        fake.addCard({ content: 'Nobody', deckId: 'deck-1' });
+        fake.addCard({ content: 'Finished late', deckId: 'deck-1', status: 'done', dueDate: '2026-01-01' });
+        fake.setStatus(done.id, 'done');
+        
+        const store = new MemoryStore();
+        const links = new CardLinkStore(store);
+        links.save('C1', '1.000', { tasks: [{ index: 0, cardId: done.id, title: 'Done card' }, { index: 1, cardId: fresh.id, title: 'Fresh card' }] });
+        const bindings = new ChannelBindingStore(store);
+        bindings.bind('C1', { deckId: 'deck-1', deckPath: 'MT/Backlog' });
+        
+        const posts = [];
+        const scheduler = new DigestScheduler(store, {
+            codecksClient: new CodecksClient('token', 'team', { baseUrl: url, maxRetries: 0 }),
+            links,
+            bindings,
+            post: async (channel, digest) => posts.push({ channel, digest }),
+            options: { channels: ['C1', { channel: 'C2', sections: ['overdue'] }], time: '09:00' }
+        });
+        
+        const old = fake.addCard({ content: 'Old card', status: 'done' });
+        links.save('C1', '0.500', { tasks: [{ index: 0, cardId: old.id, title: 'Old card' }] });
+        links.update('C1', '0.500', { createdAt: new Date(Date.now() - 40 * 86400000).toISOString() });
+        
+        const digest = await scheduler.build(scheduler.settingsFor('C1'));
+        const titles = name => digest.sections[name].map(card => card.title);
+        assertEqual(titles('created'), ['Done card', 'Fresh card'], 'Utworzone z kanału');
+        assertEqual(titles('completed'), ['Done card'], 'Skończone');
+        assertEqual(titles('overdue'), ['Late'], 'Po terminie (bez done)');
+        assertEqual(titles('unassigned'), ['Nobody'], 'Bez ownera');
+        
+        // Done two days ago, only commented on now → not completed again
+        store.get('digests', 'C1').doneAt[done.id] -= 2 * 86400000;
+        fake.addComment(done.id, 'user-anna');
+        const later = await scheduler.build(scheduler.settingsFor('C1'));
+        assertEqual(later.sections.completed, [], 'Komentarz nie liczy się jako ukończenie');
+        
+        const other = await scheduler.build(scheduler.settingsFor('C2'));
+        assertEqual(other.sections, { overdue: null }, 'Kanał bez decka');
+        assertEqual(buildDigest(other).text.includes('!bind Space/Deck'), true, 'Podpowiedź !bind');
+        
+        // First check only records the time, the next slot posts once
+        const monday = Date.parse('2026-10-19T08:00:00Z');
+        assertEqual(await scheduler.check(monday), 0, 'Pierwszy check bez postów');
+        assertEqual(await scheduler.check(monday + 30 * 60 * 1000), 0, 'Przed 09:00');
+        assertEqual(await scheduler.check(monday + 90 * 60 * 1000), 2, 'Po 09:00 — oba kanały');
+        assertEqual(await scheduler.check(monday + 120 * 60 * 1000), 0, 'Nie dwa razy');
+        assertEqual(posts.map(p => p.channel), ['C1', 'C2'], 'Posty na kanałach');
+    } finally {
+        await fake.close();
+    }
+});
+
 // ============================================================
 // INTEGRATION TESTS (symulacja pełnego flow)
 // ============================================================
@@ -280,10 +1893,12 @@ Implement login feature (Tobiasz)
 // SUMMARY
 // ============================================================
 
-console.log('\n' + '='.repeat(50));
-console.log(`📊 Wyniki: ${passed} passed, ${failed} failed`);
-console.log('='.repeat(50));
-
-if (failed > 0) {
-    process.exit(1);
-}
+runAsyncTests().then(() => {
+    console.log('\n' + '='.repeat(50));
+    console.log(`📊 Wyniki: ${passed} passed, ${failed} failed`);
+    console.log('='.repeat(50));
+    
+    if (failed > 0) {
+        process.exit(1);
+    }
+});